@@ -1,159 +1,88 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { PROVIDERS, DEFAULT_PROVIDER, fetchForecast, forecastRequestUrl, geocode, reverseGeocode } from "./providers/index.js";
+import { LANGUAGES, createTranslator, detectLanguage, resolveLanguage } from "./i18n/index.js";
+import { detectAlerts } from "./lib/alerts.js";
+import { evaluateRule, pruneFired, ruleTargets } from "./lib/rules.js";
+import { notificationPermission, requestNotificationPermission, sendNotification } from "./lib/notifications.js";
+import { mapWithConcurrency } from "./lib/async.js";
+import { parseUrlState, buildUrlSearch } from "./lib/urlState.js";
 import {
-  Search,
-  MapPin,
-  Loader2,
-  Droplets,
-  Wind,
-  Eye,
-  Thermometer,
-  Star,
-  StarOff,
-  RefreshCcw,
-  Sun,
-  Moon,
-} from "lucide-react";
+  registerServiceWorker,
+  applyServiceWorkerUpdate,
+  setBackgroundSyncUrls,
+  onBackgroundRefresh,
+} from "./lib/serviceWorker.js";
+import { resolveUnits } from "./lib/units.js";
+import { fetchHistory } from "./providers/history.js";
+import { isAbortError } from "./lib/http.js";
+import { readStore, writeStore, subscribeStore, onStorageFull } from "./lib/storage.js";
+import { STORES } from "./lib/stores.js";
+import { REFRESH_INTERVALS, REFRESH_INTERVAL_DEFAULT, scheduleRefresh } from "./lib/refresh.js";
+import { searchLocalPlaces, mergeSuggestions, stripSource } from "./lib/search.js";
+import { fetchAirQuality } from "./providers/airQuality.js";
+import { fetchNowcast } from "./providers/nowcast.js";
+import { fetchTimezone } from "./providers/geocoding.js";
+import { daySummary } from "./lib/summary.js";
+import { EXPORT_COLUMNS, columnUnit, exportRows, placeMeta, fileSlug, toCsv, toJson, toIcs } from "./lib/export.js";
+import { findActivity, scoreHours, bestWindows } from "./lib/activities.js";
+import { summarizeNowcast, isRainImminent } from "./lib/nowcast.js";
+import { sunPhase } from "./lib/astronomy.js";
+import { formatLocalWeekday, placeNowIso, placeOffsetSeconds } from "./lib/time.js";
+import { pressureTrend } from "./lib/indices.js";
+import { FAVORITES_LIMIT_DEFAULT, FAVORITES_LIMIT_OPTIONS } from "./lib/favorites.js";
+import { buildReference, clampHistoryRange, defaultHistoryRange, latestHistoryDate, referenceRange } from "./lib/history.js";
+import { AlertBanner } from "./components/AlertBanner.jsx";
+import { AstronomyCard } from "./components/AstronomyCard.jsx";
+import { CompareView } from "./components/CompareView.jsx";
+import { CurrentCard } from "./components/CurrentCard.jsx";
+import { DailyCard } from "./components/DailyCard.jsx";
+import { FavoriteChips } from "./components/FavoriteChips.jsx";
+import { FavoritesManager } from "./components/FavoritesManager.jsx";
+import { Footer } from "./components/Footer.jsx";
+import { HistoryCard } from "./components/HistoryCard.jsx";
+import { HourlyCard } from "./components/HourlyCard.jsx";
+import { HourlyDetailCard } from "./components/HourlyDetailCard.jsx";
+import { UvCard, WindCard, PressureCard, AirQualityCard } from "./components/IndexPanels.jsx";
+import { MapView } from "./components/MapView.jsx";
+import { UpdatePrompt, StorageFullNotice } from "./components/Notices.jsx";
+import { NowcastCard } from "./components/NowcastCard.jsx";
+import { PlannerCard } from "./components/PlannerCard.jsx";
+import { RulesCard } from "./components/RulesCard.jsx";
+import { TopBar } from "./components/TopBar.jsx";
+import { ViewTabs } from "./components/ViewTabs.jsx";
+import { SkeletonCard, ErrorCard } from "./components/common.jsx";
+import { wxLabel, nowcastText, summaryText, formatRuleValue, describeRule, activityName } from "./i18n/phrases.js";
+import { downloadFile } from "./lib/download.js";
 import {
-  AreaChart,
-  Area,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-  CartesianGrid,
-} from "recharts";
-
-
-//Chaves para persistência no localstorage, com versionamento para o caso de mudanças no formato no futuro
-const STORAGE_KEYS = {
-  favorites: "wx_favorites_v1",
-  lastPlace: "wx_last_place_v1",
-  settings: "wx_settings_v1",
-};
-
-const clamp = (n, a, b) => Math.max(a, Math.min(b, n)); //garente que um numero (n) fique dentro do intervalo [a, b]
-
-//Faz o parse do json, retornando o fallback em caso de erro
-function safeJsonParse(value, fallback) {
-  try {
-    return JSON.parse(value);
-  } catch {
-    return fallback;
-  }
-}
-
-function loadLS(key, fallback) {
-  if (typeof window === "undefined") return fallback;
-  const v = localStorage.getItem(key);
-  return v ? safeJsonParse(v, fallback) : fallback;
-}
-
-function saveLS(key, value) {
-  if (typeof window === "undefined") return;
-  localStorage.setItem(key, JSON.stringify(value));
-}
-
-function formatTemp(t) {
-  if (t == null || Number.isNaN(t)) return "–";
-  return `${Math.round(t)}°`;
-}
-
-function formatSpeed(v, unit) {
-  if (v == null || Number.isNaN(v)) return "–";
-  return unit === "imperial" ? `${Math.round(v)} mph` : `${Math.round(v)} km/h`;
-}
-
-function formatDistance(v, unit) {
-  if (v == null || Number.isNaN(v)) return "–";
-  // open-meteo visibility is meters
-  const km = v / 1000;
-  if (unit === "imperial") {
-    const miles = km * 0.621371;
-    return miles >= 1 ? `${miles.toFixed(1)} mi` : `${Math.round(miles * 5280)} ft`;
-  }
-  return km >= 1 ? `${km.toFixed(1)} km` : `${Math.round(v)} m`;
-}
-
-function formatTimeLabel(iso, locale = "pt-BR") {
-  try {
-    const d = new Date(iso);
-    return d.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
-  } catch {
-    return "";
-  }
-}
-
-function formatDayLabel(iso, locale = "pt-BR") {
-  try {
-    const d = new Date(iso);
-    return d.toLocaleDateString(locale, { weekday: "short" });
-  } catch {
-    return "";
-  }
-}
-
-function wxEmoji(code, isDay) {
-  // https://open-meteo.com/en/docs
-  if (code == null) return "❔";
-  if (code === 0) return isDay ? "☀️" : "🌙";
-  if ([1, 2].includes(code)) return isDay ? "🌤️" : "☁️";
-  if (code === 3) return "☁️";
-  if ([45, 48].includes(code)) return "🌫️";
-  if ([51, 53, 55].includes(code)) return "🌦️";
-  if ([56, 57].includes(code)) return "🌧️";
-  if ([61, 63, 65].includes(code)) return "🌧️";
-  if ([66, 67].includes(code)) return "🌧️";
-  if ([71, 73, 75, 77].includes(code)) return "🌨️";
-  if ([80, 81, 82].includes(code)) return "🌧️";
-  if ([85, 86].includes(code)) return "🌨️";
-  if ([95, 96, 99].includes(code)) return "⛈️";
-  return "🌡️";
-}
-
-function wxLabelPT(code) {
-  if (code == null) return "–";
-  const map = {
-    0: "Céu limpo",
-    1: "Principalmente limpo",
-    2: "Parcialmente nublado",
-    3: "Nublado",
-    45: "Neblina",
-    48: "Neblina com gelo",
-    51: "Garoa fraca",
-    53: "Garoa moderada",
-    55: "Garoa forte",
-    56: "Garoa congelante fraca",
-    57: "Garoa congelante forte",
-    61: "Chuva fraca",
-    63: "Chuva moderada",
-    65: "Chuva forte",
-    66: "Chuva congelante fraca",
-    67: "Chuva congelante forte",
-    71: "Neve fraca",
-    73: "Neve moderada",
-    75: "Neve forte",
-    77: "Grãos de neve",
-    80: "Pancadas fracas",
-    81: "Pancadas moderadas",
-    82: "Pancadas fortes",
-    85: "Pancadas de neve fracas",
-    86: "Pancadas de neve fortes",
-    95: "Trovoada",
-    96: "Trovoada com granizo fraco",
-    99: "Trovoada com granizo forte",
-  };
-  return map[code] || "Condição variável";
-}
-
-function bgGradientFromTemp(tempC, isDay, theme) {
+  readCachedForecast,
+  historyReferenceKey,
+  readHistoryReference,
+  writeHistoryReference,
+  writeCachedForecast,
+} from "./lib/forecastCache.js";
+import { clamp, formatTemp, formatAlertTime, wxEmoji } from "./lib/format.js";
+import { placeKey, isSamePlace, placeLabel } from "./lib/places.js";
+import { buildHourlySeries, buildDailySeries } from "./lib/series.js";
+
+//Idade a partir da qual a previsão salva de um favorito é rebuscada (alertas, regras e comparação)
+const FAVORITE_FORECAST_MAX_AGE_MS = 60 * 60 * 1000;
+//Quantos lugares escolhidos na busca ficam na lista de recentes
+const RECENT_PLACES_MAX = 8;
+//Quantos favoritos buscar ao mesmo tempo
+const FAVORITES_CONCURRENCY = 3;
+
+//phase: "night" | "dawn" | "day" | "dusk" (lib/astronomy.js sunPhase)
+function bgGradientFromTemp(tempC, phase, theme) {
   const t = clamp(tempC ?? 20, -5, 40);
   const cool = t < 14;
   const hot = t > 28;
 
   if (theme === "dark") {
     //Dark theme
-    if (!isDay) return "from-zinc-950 via-zinc-950 to-indigo-950";
+    if (phase === "night") return "from-zinc-950 via-zinc-950 to-indigo-950";
+    if (phase === "dawn") return "from-zinc-950 via-indigo-950 to-rose-900";
+    if (phase === "dusk") return "from-zinc-950 via-purple-950 to-orange-900";
     if (hot) return "from-zinc-950 to-amber-900";
     if (cool) return "from-zinc-900 via-sky-900 to-sky-500";
     return "from-zinc-900 via-zinc-950 to-gray-900";
@@ -161,604 +90,293 @@ function bgGradientFromTemp(tempC, isDay, theme) {
 
   //Light theme
   const base = "from-white via-white";
-  if (!isDay) return `${base} to-indigo-100`;
+  if (phase === "night") return `${base} to-indigo-100`;
+  if (phase === "dawn") return `${base} to-rose-100`;
+  if (phase === "dusk") return `${base} to-orange-100`;
   if (hot) return `${base} to-amber-100`;
   if (cool) return `${base} to-sky-100`;
   return `${base} to-emerald-50`;
 }
 
-//Normaliza um resultado de geocoding para um formato consistente
-//Ajuda a não depender do shape exato retornado pela API
-function normalizePlace(p) {
-  if (!p) return null;
-  return {
-    id: p.id ?? `${p.latitude},${p.longitude}`,
-    name: p.name,
-    admin1: p.admin1,
-    country: p.country,
-    latitude: p.latitude,
-    longitude: p.longitude,
-    timezone: p.timezone,
-  };
-}
-
-function placeLabel(p) {
-  if (!p) return "";
-  const parts = [p.name, p.admin1, p.country].filter(Boolean);
-  return parts.join(", ");
-}
-
-async function fetchJson(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
-}
-
-// Open-Meteo endpoints
-async function geocode(query, count = 6, language = "pt") {
-  const q = encodeURIComponent(query.trim());
-  const url = `https://geocoding-api.open-meteo.com/v1/search?name=${q}&count=${count}&language=${language}&format=json`;
-  const data = await fetchJson(url);
-  return (data?.results || []).map(normalizePlace);
-}
-
-
-// Reverse geocode via Nominatim
-async function reverseGeocodeOSM(lat, lon, language = "pt-BR") {
-  const url =
-    `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}&accept-language=${language}`;
-
-  const data = await fetchJson(url);
-  const a = data?.address || {};
-
-  const name = a.city || a.town || a.village || a.county || "Minha localização";
-  const admin1 = a.state || "";
-  const country = a.country || "";
-
-  return [{
-    id: `osm:${lat},${lon}`,
-    name,
-    admin1,
-    country,
-    latitude: lat,
-    longitude: lon,
-    timezone: "auto",
-  }];
-}
-
-//Busca previsao no Open-Meteo
-async function fetchForecast(place, unit = "metric") {
-  const tempUnit = unit === "imperial" ? "fahrenheit" : "celsius";
-  const windUnit = unit === "imperial" ? "mph" : "kmh";
-
-  const params = new URLSearchParams({
-    latitude: String(place.latitude),
-    longitude: String(place.longitude),
-    timezone: place.timezone || "auto",
-    temperature_unit: tempUnit,
-    wind_speed_unit: windUnit,
-    current: [
-      "temperature_2m",
-      "relative_humidity_2m",
-      "apparent_temperature",
-      "weather_code",
-      "wind_speed_10m",
-      "visibility",
-      "is_day",
-    ].join(","),
-    hourly: [
-      "temperature_2m",
-      "apparent_temperature",
-      "relative_humidity_2m",
-      "weather_code",
-      "wind_speed_10m",
-      "visibility",
-      "precipitation_probability",
-    ].join(","),
-    daily: ["weather_code", "temperature_2m_max", "temperature_2m_min", "sunrise", "sunset"].join(","),
-    forecast_days: "7",
-  });
-
-  const url = `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
-  return fetchJson(url);
-}
-
-//Monta a série horária a partir do momento atual
-function buildHourlySeries(data, nowISO, hours = 24, locale = "pt-BR") {
-  const times = data?.hourly?.time || [];
-  const temps = data?.hourly?.temperature_2m || [];
-  const feels = data?.hourly?.apparent_temperature || [];
-  const pop = data?.hourly?.precipitation_probability || [];
-
-  const now = nowISO ? new Date(nowISO).getTime() : Date.now();
-  let startIdx = 0;
-  for (let i = 0; i < times.length; i++) {
-    const t = new Date(times[i]).getTime();
-    if (t >= now) {
-      startIdx = i;
-      break;
-    }
-  }
-
-  const out = [];
-  for (let i = startIdx; i < Math.min(times.length, startIdx + hours); i++) {
-    out.push({
-      time: formatTimeLabel(times[i], locale),
-      temp: temps[i],
-      feels: feels[i],
-      pop: pop[i],
-      iso: times[i],
-    });
-  }
-  return out;
-}
-
-//Monta série diária com labels (Seg, Ter, ...).
-function buildDailySeries(data, locale = "pt-BR") {
-  const t = data?.daily?.time || [];
-  const max = data?.daily?.temperature_2m_max || [];
-  const min = data?.daily?.temperature_2m_min || [];
-  const code = data?.daily?.weather_code || [];
-  const sunrise = data?.daily?.sunrise || [];
-  const sunset = data?.daily?.sunset || [];
-
-  return t.map((day, i) => ({
-    day,
-    label: formatDayLabel(day, locale).replace(/^./, (c) => c.toLocaleUpperCase(locale)),
-    max: max[i],
-    min: min[i],
-    code: code[i],
-    sunrise: sunrise[i],
-    sunset: sunset[i],
-  }));
-}
-
-function isSamePlace(a, b) {
-  if (!a || !b) return false;
-  const keyA = `${a.latitude.toFixed(4)}:${a.longitude.toFixed(4)}`;
-  const keyB = `${b.latitude.toFixed(4)}:${b.longitude.toFixed(4)}`;
-  return keyA === keyB;
-}
-
-function Pill({ icon: Icon, label, value }) {
-  return (
-    <div className="flex items-center gap-3 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-3 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-      <div className="rounded-xl border border-zinc-200/60 bg-white p-2 dark:border-white/10 dark:bg-zinc-950/40">
-        <Icon className="h-5 w-5" />
-      </div>
-      <div className="min-w-0">
-        <div className="text-xs text-zinc-500 dark:text-zinc-400">{label}</div>
-        <div className="truncate text-sm font-semibold text-zinc-900 dark:text-zinc-50">{value}</div>
-      </div>
-    </div>
-  );
-}
-
-function SkeletonCard() {
-  return (
-    <div className="animate-pulse rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-      <div className="h-6 w-52 rounded bg-zinc-200/70 dark:bg-white/10" />
-      <div className="mt-4 h-10 w-36 rounded bg-zinc-200/70 dark:bg-white/10" />
-      <div className="mt-6 grid grid-cols-2 gap-3 md:grid-cols-4">
-        {Array.from({ length: 4 }).map((_, i) => (
-          <div key={i} className="h-16 rounded-2xl bg-zinc-200/70 dark:bg-white/10" />
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function ErrorCard({ title, message, onRetry }) {
-  return (
-    <div className="rounded-3xl border border-rose-200/60 bg-rose-50/70 p-6 shadow-sm backdrop-blur dark:border-rose-400/20 dark:bg-rose-950/30">
-      <div className="text-sm font-semibold text-rose-900 dark:text-rose-100">{title}</div>
-      <div className="mt-2 text-sm text-rose-700 dark:text-rose-200">{message}</div>
-      {onRetry && (
-        <button
-          onClick={onRetry}
-          className="mt-4 inline-flex items-center gap-2 rounded-2xl bg-rose-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-rose-700"
-        >
-          <RefreshCcw className="h-4 w-4" /> Tentar de novo
-        </button>
-      )}
-    </div>
-  );
-}
-
-function TopBar({
-  query,
-  setQuery,
-  suggestions,
-  isSearching,
-  onPick,
-  onLocate,
-  unit,
-  setUnit,
-  theme,
-  setTheme,
-}) {
-  const inputRef = useRef(null);
-
-  return (
-    <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-      <div className="relative w-full md:max-w-xl">
-        <div className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 text-zinc-400">
-          <Search className="h-5 w-5" />
-        </div>
-        <input
-          ref={inputRef}
-          value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          placeholder="Buscar cidade… (ex.: São Paulo, Recife, Porto Alegre)"
-          className="w-full rounded-2xl border border-zinc-200/60 bg-white/70 py-3 pl-11 pr-12 text-sm shadow-sm backdrop-blur outline-none ring-0 placeholder:text-zinc-400 focus:border-zinc-300 dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:placeholder:text-zinc-500"
-        />
-        <div className="absolute right-3 top-1/2 -translate-y-1/2 text-zinc-500 dark:text-zinc-300">
-          {isSearching ? <Loader2 className="h-5 w-5 animate-spin" /> : null}
-        </div>
-
-        <AnimatePresence>
-          {suggestions.length > 0 && query.trim().length > 1 && (
-            <motion.div
-              initial={{ opacity: 0, y: 6 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: 6 }}
-              className="absolute z-20 mt-2 w-full overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/90 shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/70"
-            >
-              <ul className="max-h-80 overflow-auto">
-                {suggestions.map((s) => (
-                  <li key={s.id}>
-                    <button
-                      onClick={() => {
-                        onPick(s);
-                        setQuery("");
-                        inputRef.current?.blur();
-                      }}
-                      className="flex w-full items-center justify-between gap-3 px-4 py-3 text-left text-sm hover:bg-zinc-50 dark:hover:bg-white/5"
-                    >
-                      <span className="truncate font-medium text-zinc-900 dark:text-zinc-50">{placeLabel(s)}</span>
-                      <span className="shrink-0 text-xs text-zinc-500 dark:text-zinc-400">
-                        {s.latitude.toFixed(2)}, {s.longitude.toFixed(2)}
-                      </span>
-                    </button>
-                  </li>
-                ))}
-              </ul>
-            </motion.div>
-          )}
-        </AnimatePresence>
-      </div>
-
-      <div className="flex flex-wrap items-center gap-2">
-        <button
-          onClick={onLocate}
-          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
-          title="Usar minha localização"
-        >
-          <MapPin className="h-4 w-4" /> Localização
-        </button>
-
-        <div className="inline-flex overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/70 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-          <button
-            onClick={() => setUnit("metric")}
-            className={`px-4 py-2.5 text-sm font-semibold ${unit === "metric"
-              ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
-              : "text-zinc-700 hover:bg-white dark:text-zinc-200 dark:hover:bg-white/5"
-              }`}
-          >
-            °C
-          </button>
-          <button
-            onClick={() => setUnit("imperial")}
-            className={`px-4 py-2.5 text-sm font-semibold ${unit === "imperial"
-              ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
-              : "text-zinc-700 hover:bg-white dark:text-zinc-200 dark:hover:bg-white/5"
-              }`}
-          >
-            °F
-          </button>
-        </div>
-
-        <button
-          onClick={() => setTheme(theme === "dark" ? "light" : "dark")}
-          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
-          title="Alternar tema"
-        >
-          {theme === "dark" ? <Sun className="h-4 w-4" /> : <Moon className="h-4 w-4" />}
-          {theme === "dark" ? "Claro" : "Escuro"}
-        </button>
-      </div>
-    </div>
-  );
-}
-
-function FavoriteChips({ favorites, current, onPick, onToggle }) {
-  if (!favorites.length) return null;
-
-  return (
-    <div className="mt-4 flex flex-wrap items-center gap-2">
-      {favorites.map((p) => {
-        const active = current && isSamePlace(current, p);
-        return (
-          <button
-            key={p.id}
-            onClick={() => onPick(p)}
-            className={`group inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm shadow-sm backdrop-blur transition ${active
-              ? "border-zinc-900 bg-zinc-900 text-white dark:border-white dark:bg-white dark:text-zinc-900"
-              : "border-zinc-200/60 bg-white/70 text-zinc-900 hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
-              }`}
-            title={placeLabel(p)}
-          >
-            <span className="max-w-[16rem] truncate font-semibold">{p.name}</span>
-            <span className={`text-xs ${active ? "text-white/80 dark:text-zinc-700" : "text-zinc-500 dark:text-zinc-400"}`}>
-              {p.country}
-            </span>
-            <span
-              onClick={(e) => {
-                e.stopPropagation();
-                onToggle(p);
-              }}
-              className={`ml-1 inline-flex rounded-xl p-1 ${active ? "hover:bg-white/15 dark:hover:bg-zinc-900/10" : "hover:bg-zinc-50 dark:hover:bg-white/5"}`}
-              title="Remover dos favoritos"
-              role="button"
-              tabIndex={0}
-            >
-              <StarOff className="h-4 w-4" />
-            </span>
-          </button>
-        );
-      })}
-    </div>
-  );
-}
-
-function CurrentCard({ place, data, unit, onToggleFavorite, isFavorite }) {
-  const current = data?.current || {};
-  const isDay = Boolean(current?.is_day);
-
-  const wxCode = current?.weather_code;
-  const temp = current?.temperature_2m;
-  const feels = current?.apparent_temperature;
-  const humidity = current?.relative_humidity_2m;
-  const wind = current?.wind_speed_10m;
-  const visibility = current?.visibility;
-
-  return (
-    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-      <div className="flex flex-col gap-4 md:flex-row md:items-start md:justify-between">
-        <div className="min-w-0">
-          <div className="flex items-center gap-3">
-            <div className="text-3xl" aria-hidden>
-              {wxEmoji(wxCode, isDay)}
-            </div>
-            <div className="min-w-0">
-              <div className="truncate text-lg font-semibold text-zinc-900 dark:text-zinc-50">{placeLabel(place)}</div>
-              <div className="mt-0.5 text-sm text-zinc-600 dark:text-zinc-300">{wxLabelPT(wxCode)}</div>
-            </div>
-          </div>
-
-          <div className="mt-4 flex items-end gap-3">
-            <div className="text-5xl font-semibold tracking-tight text-zinc-900 dark:text-zinc-50">{formatTemp(temp)}</div>
-            <div className="pb-1 text-sm text-zinc-600 dark:text-zinc-300">
-              Sensação {formatTemp(feels)} • {unit === "imperial" ? "°F" : "°C"}
-            </div>
-          </div>
-        </div>
-
-        <button
-          onClick={onToggleFavorite}
-          className={`inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2.5 text-sm font-semibold shadow-sm transition ${isFavorite
-            ? "bg-amber-500 text-white hover:bg-amber-600"
-            : "border border-zinc-200/60 bg-white/70 text-zinc-900 hover:bg-white dark:border-white/10 dark:bg-zinc-950/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
-            }`}
-          title={isFavorite ? "Remover dos favoritos" : "Adicionar aos favoritos"}
-        >
-          <Star className="h-4 w-4" /> {isFavorite ? "Favorito" : "Favoritar"}
-        </button>
-      </div>
-
-      <div className="mt-6 grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4">
-        <Pill icon={Droplets} label="Umidade" value={`${humidity ?? "–"}%`} />
-        <Pill icon={Wind} label="Vento" value={formatSpeed(wind, unit)} />
-        <Pill icon={Eye} label="Visibilidade" value={formatDistance(visibility, unit)} />
-        <Pill icon={Thermometer} label="Unidade" value={unit === "imperial" ? "Fahrenheit" : "Celsius"} />
-      </div>
-    </div>
-  );
-}
-
-function HourlyCard({ series, unit }) {
-  if (!series?.length) return null;
-
-  return (
-    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-      <div className="flex items-center justify-between">
-        <div>
-          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">Próximas horas</div>
-          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">Temperatura e chance de chuva</div>
-        </div>
-        <div className="text-xs text-zinc-500 dark:text-zinc-400">{unit === "imperial" ? "°F" : "°C"}</div>
-      </div>
-
-      <div className="mt-4 h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <AreaChart data={series} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
-            <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
-            <XAxis dataKey="time" tick={{ fontSize: 12 }} interval={2} />
-            <YAxis tick={{ fontSize: 12 }} domain={["dataMin - 2", "dataMax + 2"]} />
-            <Tooltip
-              content={({ active, payload, label }) => {
-                if (!active || !payload?.length) return null;
-                const p = payload[0].payload;
-                return (
-                  <div className="rounded-2xl border border-zinc-200/60 bg-white/90 px-3 py-2 text-xs shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/80">
-                    <div className="font-semibold text-zinc-900 dark:text-zinc-50">{label}</div>
-                    <div className="mt-1 text-zinc-700 dark:text-zinc-200">
-                      Temp: <span className="font-semibold">{Math.round(p.temp)}°</span>
-                    </div>
-                    <div className="text-zinc-700 dark:text-zinc-200">
-                      Sensação: <span className="font-semibold">{Math.round(p.feels)}°</span>
-                    </div>
-                    <div className="text-zinc-700 dark:text-zinc-200">
-                      Chuva: <span className="font-semibold">{p.pop ?? 0}%</span>
-                    </div>
-                  </div>
-                );
-              }}
-            />
-            <Area type="monotone" dataKey="temp" fillOpacity={0.25} strokeWidth={2} />
-          </AreaChart>
-        </ResponsiveContainer>
-      </div>
-
-      <div className="mt-4 grid grid-cols-4 gap-2">
-        {series.slice(0, 8).map((h) => (
-          <div
-            key={h.iso}
-            className="rounded-2xl border border-zinc-200/60 bg-white/60 px-3 py-2 text-center text-xs shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-950/30"
-          >
-            <div className="text-zinc-500 dark:text-zinc-400">{h.time}</div>
-            <div className="mt-1 font-semibold text-zinc-900 dark:text-zinc-50">{Math.round(h.temp)}°</div>
-            <div className="mt-1 text-[11px] text-zinc-600 dark:text-zinc-300">{h.pop ?? 0}%</div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function DailyCard({ days }) {
-  if (!days?.length) return null;
-
-  return (
-    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
-      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">Próximos dias</div>
-      <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">Máxima, mínima e condição</div>
-
-      <div className="mt-4 grid gap-2">
-        {days.slice(0, 7).map((d) => (
-          <div
-            key={d.day}
-            className="flex items-center justify-between rounded-2xl border border-zinc-200/60 bg-white/60 px-4 py-3 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-950/30"
-          >
-            <div className="flex items-center gap-3">
-              <div className="text-xl" aria-hidden>
-                {wxEmoji(d.code, true)}
-              </div>
-              <div>
-                <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{d.label}</div>
-                <div className="text-xs text-zinc-600 dark:text-zinc-300">{wxLabelPT(d.code)}</div>
-              </div>
-            </div>
-
-            <div className="flex items-center gap-3">
-              <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{formatTemp(d.max)}</div>
-              <div className="text-sm text-zinc-500 dark:text-zinc-400">{formatTemp(d.min)}</div>
-            </div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function Footer() {
-  return (
-    <div className="mt-10 text-center text-xs text-zinc-500 dark:text-zinc-400">
-      <div>
-        Dados: Open‑Meteo
-      </div>
-    </div>
-  );
-}
-
-
 // -------------App -------------
 export default function App() {
-  const locale = "pt-BR";
-
-  const [settings, setSettings] = useState(() => loadLS(STORAGE_KEYS.settings, { unit: "metric", theme: "dark" }));
-  const unit = settings.unit;
+  // Estado vindo de um link compartilhado: tem prioridade sobre o que está salvo
+  const [urlAtStart] = useState(() => parseUrlState());
+
+  const [settings, setSettings] = useState(() => {
+    const saved = readStore(STORES.settings, { theme: "dark", language: detectLanguage() });
+    return {
+      ...saved,
+      units: resolveUnits({ ...saved.units, ...urlAtStart.units }),
+      ...(urlAtStart.theme && { theme: urlAtStart.theme }),
+    };
+  });
+  const units = settings.units;
   const theme = settings.theme;
+  const locale = resolveLanguage(settings.language);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const provider = PROVIDERS[settings.provider] ? settings.provider : DEFAULT_PROVIDER;
+  const favoritesLimit = FAVORITES_LIMIT_OPTIONS.includes(settings.favoritesLimit) ? settings.favoritesLimit : FAVORITES_LIMIT_DEFAULT;
+  const refreshInterval = REFRESH_INTERVALS.includes(settings.refreshInterval) ? settings.refreshInterval : REFRESH_INTERVAL_DEFAULT;
 
   const [query, setQuery] = useState("");
-  const [suggestions, setSuggestions] = useState([]);
+  // Resultado da API para um texto: { query, results }; só vale enquanto o texto digitado for o mesmo
+  const [remoteResults, setRemoteResults] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
+  const [recents, setRecents] = useState(() => readStore(STORES.recentPlaces));
 
-  const [favorites, setFavorites] = useState(() => loadLS(STORAGE_KEYS.favorites, []));
-  const [place, setPlace] = useState(() => loadLS(STORAGE_KEYS.lastPlace, null));
+  const [favorites, setFavorites] = useState(() => readStore(STORES.favorites));
+  const [place, setPlace] = useState(() => urlAtStart.place || readStore(STORES.lastPlace));
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [forecast, setForecast] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null); // != null quando a previsão exibida veio do cache
+  const [updatedAt, setUpdatedAt] = useState(null); // quando a previsão exibida foi buscada
+  const [forecastKey, setForecastKey] = useState(null); // placeKey do lugar a que a previsão exibida pertence
+  const [refreshTick, setRefreshTick] = useState(0); // incrementado para rebuscar a previsão do lugar atual
+  const [now, setNow] = useState(() => Date.now()); // relógio do app, avança a cada virada de minuto
+  const [pickingOnMap, setPickingOnMap] = useState(false); // reverse geocoding do ponto clicado no mapa
+  const mapPickRef = useRef(null);
+  const [locating, setLocating] = useState(false); // geolocalização + reverse geocoding do "Minha localização"
+  const locateRef = useRef(null);
+
+  const [dismissedAlerts, setDismissedAlerts] = useState(() => new Set());
+  const [favoriteForecasts, setFavoriteForecasts] = useState({});
+  // Momento da última atualização em segundo plano do service worker (0 = nenhuma nesta sessão)
+  const [backgroundRefreshAt, setBackgroundRefreshAt] = useState(0);
+
+  const [swUpdate, setSwUpdate] = useState(null); // registration com uma nova versão esperando
+  const [storageFull, setStorageFull] = useState(false); // alguma alteração não coube no localStorage
+
+  const [view, setView] = useState(() => urlAtStart.view || "forecast"); // "forecast" | "compare" | "map" | "favorites"
+  const [detail, setDetail] = useState(null); // null | { day: "YYYY-MM-DD" | null }
+  // Referência histórica da semana prevista: { key, data } (data = buildReference)
+  const [reference, setReference] = useState(null);
+  // Intervalo do histórico escolhido pelo usuário (null = últimos 30 dias disponíveis)
+  const [historyRange, setHistoryRange] = useState(null);
+  // Resultado da última busca de histórico: { key, days } ou { key, error }
+  const [history, setHistory] = useState(null);
+  const [historyAttempt, setHistoryAttempt] = useState(0);
+  // Qualidade do ar do lugar atual: { key, data } ou { key, error }
+  const [airQuality, setAirQuality] = useState(null);
+  const [nowcast, setNowcast] = useState(null);
+
+  const [rules, setRules] = useState(() => readStore(STORES.alertRules));
+  // Atividades criadas pelo usuário no planejador (as predefinidas ficam em lib/activities.js)
+  const [activities, setActivities] = useState(() => readStore(STORES.activities));
+  const activity = findActivity(settings.activity, activities);
+  const [notifyPermission, setNotifyPermission] = useState(() => notificationPermission());
 
   const isFavorite = useMemo(() => favorites.some((f) => isSamePlace(f, place)), [favorites, place]);
+  const favoritesFull = favorites.length >= favoritesLimit;
+
+  // Índice local da busca: favoritos, recentes e o lugar atual, pesquisados na hora (sem rede);
+  // o resultado da API entra depois, sem repetir os lugares que já apareceram
+  const recentSuggestions = useMemo(() => recents.map((p) => ({ ...p, source: "recent" })), [recents]);
+  const suggestions = useMemo(() => {
+    if (query.trim().length < 2) return [];
+    const index = [
+      ...favorites.map((p) => ({ ...p, source: "favorite" })),
+      ...recentSuggestions,
+      ...(place ? [{ ...place, source: "recent" }] : []),
+    ];
+    const local = searchLocalPlaces(index, query, { keyOf: placeKey, textOf: placeLabel });
+    const remote = remoteResults?.query === query ? remoteResults.results : [];
+    return mergeSuggestions(local, remote, placeKey);
+  }, [query, favorites, recentSuggestions, place, remoteResults]);
 
   // Aplica tema ao html root
   useEffect(() => {
     const root = document.documentElement;
     if (theme === "dark") root.classList.add("dark");
     else root.classList.remove("dark");
-    saveLS(STORAGE_KEYS.settings, settings);
+    writeStore(STORES.settings, settings);
   }, [settings, theme]);
 
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
   // PersistÊncia das localidades favoritas
-  useEffect(() => saveLS(STORAGE_KEYS.favorites, favorites), [favorites]);
-  useEffect(() => saveLS(STORAGE_KEYS.lastPlace, place), [place]);
+  useEffect(() => {
+    writeStore(STORES.favorites, favorites);
+  }, [favorites]);
+  useEffect(() => {
+    writeStore(STORES.lastPlace, place);
+  }, [place]);
+  useEffect(() => {
+    writeStore(STORES.recentPlaces, recents);
+  }, [recents]);
+  useEffect(() => {
+    writeStore(STORES.alertRules, rules);
+  }, [rules]);
+  useEffect(() => {
+    writeStore(STORES.activities, activities);
+  }, [activities]);
+
+  // Outra aba alterou os dados: adota a versão dela em vez de sobrescrevê-la no próximo save.
+  // O lugar atual não é sincronizado: cada aba pode estar olhando uma cidade
+  useEffect(() => {
+    const subscriptions = [
+      subscribeStore(STORES.favorites, setFavorites),
+      subscribeStore(STORES.recentPlaces, setRecents),
+      subscribeStore(STORES.alertRules, setRules),
+      subscribeStore(STORES.activities, setActivities),
+      subscribeStore(STORES.settings, (s) => setSettings((prev) => ({ ...prev, ...s }))),
+    ];
+    const offFull = onStorageFull(() => setStorageFull(true));
+    return () => {
+      subscriptions.forEach((off) => off());
+      offFull();
+    };
+  }, []);
+
+  // Mantém a URL em sincronia: trocar de lugar cria uma entrada nova no histórico (voltar/avançar);
+  // unidade, tema e visão só atualizam a entrada atual
+  const urlPlaceKeyRef = useRef(place ? placeKey(place) : null);
+  useEffect(() => {
+    const search = buildUrlSearch({ place, units, theme, view });
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const key = place ? placeKey(place) : null;
+    if (urlPlaceKeyRef.current && key !== urlPlaceKeyRef.current) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+    urlPlaceKeyRef.current = key;
+  }, [place, units, theme, view]);
+
+  useEffect(() => {
+    registerServiceWorker(setSwUpdate).catch(() => {
+      // sem service worker o app funciona normalmente, só não fica disponível offline
+    });
+  }, []);
+
+  useEffect(() => {
+    function onPopState() {
+      const s = parseUrlState();
+      if (s.place) {
+        urlPlaceKeyRef.current = placeKey(s.place);
+        setPlace(s.place);
+      }
+      if (s.units || s.theme) {
+        setSettings((prev) => ({
+          ...prev,
+          ...(s.units && { units: resolveUnits({ ...prev.units, ...s.units }) }),
+          ...(s.theme && { theme: s.theme }),
+        }));
+      }
+      setView(s.view || "forecast");
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
 
-  // Debounced search
+  // Debounced search (respostas repetidas saem do cache em memória de geocode).
+  // Texto novo cancela a requisição anterior, que não chega a atualizar a tela
   useEffect(() => {
-    let alive = true;
     if (query.trim().length < 2) {
-      setSuggestions([]);
+      setRemoteResults(null);
       setIsSearching(false);
       return;
     }
 
+    const controller = new AbortController();
     setIsSearching(true);
     const t = setTimeout(async () => {
       try {
-        const res = await geocode(query, 6, "pt");
-        if (!alive) return;
-        setSuggestions(res);
-      } catch {
-        if (!alive) return;
-        setSuggestions([]);
-      } finally {
-        if (!alive) return;
-        setIsSearching(false);
+        const res = await geocode(query, 6, LANGUAGES[locale].geocode, provider, { signal: controller.signal });
+        setRemoteResults({ query, results: res });
+      } catch (e) {
+        if (isAbortError(e)) return;
+        setRemoteResults({ query, results: [] });
       }
+      setIsSearching(false);
     }, 350);
 
     return () => {
-      alive = false;
+      controller.abort();
       clearTimeout(t);
     };
-  }, [query]);
+  }, [query, provider, locale]);
+
+  // Só a carga de previsão mais recente pode atualizar a tela: cada chamada cancela a anterior
+  const forecastRequestRef = useRef(null);
 
   async function loadForecast(nextPlace) {
     if (!nextPlace) return;
+    forecastRequestRef.current?.abort();
+    const controller = new AbortController();
+    forecastRequestRef.current = controller;
     setError(null);
+
+    // Stale-while-revalidate: mostra na hora a última previsão salva e atualiza em segundo plano.
+    // Numa atualização do lugar que já está na tela com dados da rede, a tela fica como está
+    const key = placeKey(nextPlace);
+    const onScreen = Boolean(forecast) && forecastKey === key && cachedAt == null;
+    const cached = onScreen ? null : readCachedForecast(nextPlace, provider);
+    if (cached) {
+      setForecast(cached.data);
+      setForecastKey(key);
+      setCachedAt(cached.savedAt);
+    }
+
     setLoading(true);
     try {
-      const data = await fetchForecast(nextPlace, unit);
+      const data = await fetchForecast(nextPlace, provider, { signal: controller.signal });
+      // Offline, quem responde é a cópia do service worker (fetchedAt): vale como cache, com a idade
+      // dela, e só substitui o que já está na tela se for mais nova
+      const shownAt = onScreen ? updatedAt : cached?.savedAt;
+      if (data.fetchedAt != null && shownAt != null && shownAt >= data.fetchedAt) {
+        setCachedAt(shownAt);
+        return;
+      }
       setForecast(data);
+      setForecastKey(key);
+      setCachedAt(data.fetchedAt ?? null);
+      setUpdatedAt(data.fetchedAt ?? Date.now());
+      writeCachedForecast(nextPlace, provider, data);
     } catch (e) {
+      // Cancelada por uma carga mais nova, ou já tem dados na tela (o badge indica a idade)
+      if (isAbortError(e)) return;
+      if (onScreen) {
+        setCachedAt(updatedAt ?? Date.now());
+        return;
+      }
+      if (cached) return;
       setForecast(null);
+      setCachedAt(null);
       setError({
-        title: "Não consegui carregar a previsão",
-        message: "Verifique sua conexão e tente novamente. Se persistir, pode ser instabilidade do provedor de dados.",
+        title: "errors.forecastTitle",
+        message: "errors.forecastMessage",
         raw: String(e?.message || e),
       });
     } finally {
-      setLoading(false);
+      if (forecastRequestRef.current === controller) setLoading(false);
     }
   }
 
-  // Recarrega a previsão quando local ou unidade muda 
+  // Recarrega a previsão quando local ou provider muda (unidade é só exibição, não rebusca),
+  // e a cada atualização pedida (botão ou automática)
   useEffect(() => {
     if (!place) return;
     loadForecast(place);
-  }, [place, unit]);
+  }, [place, provider, refreshTick]);
+
+  useEffect(() => {
+    const id = setTimeout(() => setNow(Date.now()), 60000 - (now % 60000));
+    return () => clearTimeout(id);
+  }, [now]);
+
+  // Atualização automática alinhada às rodadas dos modelos; reagenda a cada busca iniciada
+  useEffect(() => {
+    if (!place) return;
+    return scheduleRefresh({
+      lastAt: Date.now(),
+      intervalMin: refreshInterval,
+      onRefresh: () => setRefreshTick((n) => n + 1),
+    });
+  }, [place, provider, refreshInterval, refreshTick]);
 
   // Primeiro carregamento: se não tem nenhum lugar ainda, vai no default
   useEffect(() => {
@@ -775,18 +393,195 @@ export default function App() {
     });
   }, [place]);
 
+  // Previsão dos favoritos (alertas, regras e comparação): usa a salva quando recente, senão busca de
+  // novo, com no máximo FAVORITES_CONCURRENCY requisições em paralelo. Depois de uma atualização em
+  // segundo plano, as salvas antes dela são trocadas pelas cópias que o service worker acabou de guardar
+  useEffect(() => {
+    const controller = new AbortController();
+    mapWithConcurrency(favorites, FAVORITES_CONCURRENCY, async (f) => {
+      const cached = readCachedForecast(f, provider);
+      let data = cached?.data;
+      const synced = cached && cached.savedAt < backgroundRefreshAt;
+      if (!cached || Date.now() - cached.savedAt > FAVORITE_FORECAST_MAX_AGE_MS || synced) {
+        try {
+          const fetched = await fetchForecast(f, provider, {
+            signal: controller.signal,
+            cache: synced ? "force-cache" : undefined,
+          });
+          // A cópia do service worker pode ser mais velha que a salva (offline)
+          if (!cached || (fetched.fetchedAt ?? Date.now()) > cached.savedAt) {
+            data = fetched;
+            writeCachedForecast(f, provider, data);
+          }
+        } catch {
+          // sem rede (ou cancelado): fica com o que tiver salvo
+        }
+      }
+      if (controller.signal.aborted || !data) return;
+      setFavoriteForecasts((prev) => ({ ...prev, [placeKey(f)]: data }));
+    });
+    return () => controller.abort();
+  }, [favorites, provider, backgroundRefreshAt]);
+
+  // O service worker atualiza os favoritos em segundo plano (Periodic Background Sync) com as mesmas
+  // URLs que o app busca; com a aba aberta, o aviso dele faz o app trazer os dados para o seu cache.
+  // A lista só é reenviada quando as URLs mudam (editar apelido ou grupo não muda nada)
+  const syncUrls = favorites
+    .map((f) => forecastRequestUrl(f, provider))
+    .filter(Boolean)
+    .join("\n");
+  useEffect(() => {
+    setBackgroundSyncUrls(syncUrls ? syncUrls.split("\n") : []).catch(() => {});
+  }, [syncUrls]);
+  useEffect(() => onBackgroundRefresh(setBackgroundRefreshAt), []);
+
+  // Datas da semana prevista (fuso da cidade): a comparação com o passado é feita para cada uma
+  const forecastDates = (forecast?.daily || []).map((d) => d.date).join(",");
+  const referenceKey = place && forecastDates ? historyReferenceKey(place, forecastDates.split(",")) : null;
+
+  // Mesmo dia no ano passado e média dos últimos NORMAL_YEARS anos, numa única busca no arquivo.
+  // Sem rede ou com erro, os cartões só não mostram as diferenças
+  useEffect(() => {
+    if (!referenceKey) return;
+    const dates = forecastDates.split(",");
+    const cached = readHistoryReference(place, dates);
+    const controller = new AbortController();
+    const { start, end } = referenceRange(dates);
+    (cached
+      ? Promise.resolve(cached)
+      : fetchHistory(place, start, end, { signal: controller.signal }).then((days) => {
+        const data = buildReference(dates, days);
+        writeHistoryReference(place, dates, data);
+        return data;
+      })
+    )
+      .then((data) => !controller.signal.aborted && setReference({ key: referenceKey, data }))
+      .catch(() => {});
+    return () => controller.abort();
+  }, [place, forecastDates, referenceKey]);
+
+  // "Hoje" no fuso da cidade define até onde o histórico vai
+  const todayLocal = placeNowIso(forecast, now).slice(0, 10);
+  const historyLatest = latestHistoryDate(todayLocal);
+  const effectiveHistoryRange = clampHistoryRange(historyRange || defaultHistoryRange(todayLocal), todayLocal);
+  const { start: historyStart, end: historyEnd } = effectiveHistoryRange;
+  const historyKey = place ? `${placeKey(place)}:${historyStart}:${historyEnd}:${historyAttempt}` : null;
+
+  useEffect(() => {
+    if (!historyKey) return;
+    const controller = new AbortController();
+    fetchHistory(place, historyStart, historyEnd, { signal: controller.signal })
+      .then((days) => setHistory({ key: historyKey, days }))
+      .catch((error) => !isAbortError(error) && setHistory({ key: historyKey, error }));
+    return () => controller.abort();
+  }, [place, historyStart, historyEnd, historyKey]);
+
+  // Qualidade do ar vem de outro endpoint, buscada só quando o lugar muda
+  const airKey = place ? placeKey(place) : null;
+  useEffect(() => {
+    if (!airKey) return;
+    const controller = new AbortController();
+    fetchAirQuality(place, { signal: controller.signal })
+      .then((data) => setAirQuality({ key: airKey, data }))
+      .catch((error) => !isAbortError(error) && setAirQuality({ key: airKey, error }));
+    return () => controller.abort();
+  }, [place, airKey]);
+
+  // Nowcast (chuva de 15 em 15 min) também vem à parte; acompanha as atualizações da previsão.
+  // A chave é só o lugar: ao atualizar, o dado anterior continua na tela até chegar o novo
+  useEffect(() => {
+    if (!airKey) return;
+    const controller = new AbortController();
+    fetchNowcast(place, { signal: controller.signal })
+      .then((data) => setNowcast({ key: airKey, data }))
+      .catch((error) => !isAbortError(error) && setNowcast({ key: airKey, error }));
+    return () => controller.abort();
+  }, [place, airKey, refreshTick]);
+
+  // Regras do usuário: avaliadas a cada previsão nova (lugar atual e favoritos).
+  // Cada ocorrência (regra + dia) notifica uma única vez; o registro fica no localStorage
+  useEffect(() => {
+    const targets = ruleTargets(favoriteForecasts, { key: place ? placeKey(place) : null, forecast, forecastKey });
+
+    const fired = pruneFired(readStore(STORES.ruleNotifications));
+    for (const rule of rules) {
+      const data = targets[rule.placeKey];
+      if (!data) continue;
+      const series = {
+        hourly: buildHourlySeries(data, undefined, 168, locale),
+        daily: buildDailySeries(data, locale),
+      };
+      const today = placeNowIso(data).slice(0, 10);
+
+      for (const m of evaluateRule(rule, series, { today })) {
+        if (fired[m.key]) continue;
+        const sent = sendNotification(t("rules.notifyTitle", { place: rule.placeName }), {
+          body: t("rules.notifyBody", {
+            rule: describeRule(rule, t),
+            value: formatRuleValue(rule.metric, m.value, units),
+            when: m.iso.length > 10 ? formatAlertTime(m.iso, locale) : formatLocalWeekday(m.iso, locale),
+          }),
+          tag: m.key,
+        });
+        if (sent) fired[m.key] = Date.now();
+      }
+    }
+    writeStore(STORES.ruleNotifications, fired);
+  }, [rules, favoriteForecasts, forecast, forecastKey, place, units, locale, t]);
+
   function toggleFavorite(p = place) {
     if (!p) return;
     setFavorites((prev) => {
       const exists = prev.some((f) => isSamePlace(f, p));
       if (exists) return prev.filter((f) => !isSamePlace(f, p));
-      return [p, ...prev].slice(0, 12);
+      // Cheio: não adiciona (o botão fica desabilitado); baixar o limite nunca apaga favoritos
+      if (prev.length >= favoritesLimit) return prev;
+      return [p, ...prev];
     });
   }
 
+  //Ponto clicado no mapa: identifica o lugar (reverse geocoding) e o fuso dele, e carrega a previsão.
+  //O fuso vai no lugar salvo/compartilhado: providers sem fuso na resposta (MET Norway) dependem dele.
+  //Um clique novo cancela o anterior; sem resposta, o lugar fica com as coordenadas como nome
+  async function pickOnMap(lat, lon) {
+    mapPickRef.current?.abort();
+    const controller = new AbortController();
+    mapPickRef.current = controller;
+    const latitude = Number(lat.toFixed(4));
+    const longitude = Number(lon.toFixed(4));
+    const fallbackPlace = {
+      id: `map:${latitude},${longitude}`,
+      name: `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
+      admin1: "",
+      country: "",
+      latitude,
+      longitude,
+      timezone: "auto",
+    };
+
+    setPickingOnMap(true);
+    const [geo, zone] = await Promise.allSettled([
+      reverseGeocode(latitude, longitude, LANGUAGES[locale].nominatim, provider, { signal: controller.signal }),
+      fetchTimezone(latitude, longitude, { signal: controller.signal }),
+    ]);
+    try {
+      if (controller.signal.aborted) return;
+      const found = geo.status === "fulfilled" ? geo.value?.[0] : null;
+      const timezone = (zone.status === "fulfilled" && zone.value) || "auto";
+      setPlace(found ? { ...found, name: found.name || fallbackPlace.name, timezone } : { ...fallbackPlace, timezone });
+    } finally {
+      if (mapPickRef.current === controller) setPickingOnMap(false);
+    }
+  }
+
+  //Minha localização: posição do navegador + reverse geocoding. Cancelado por uma nova escolha de lugar
+  //(ou um novo clique); o loading da previsão fica por conta do loadForecast
   async function locateMe() {
+    locateRef.current?.abort();
+    const controller = new AbortController();
+    locateRef.current = controller;
     setError(null);
-    setLoading(true);
+    setLocating(true);
 
     try {
       const pos = await new Promise((resolve, reject) => {
@@ -796,14 +591,15 @@ export default function App() {
           timeout: 12000,
         });
       });
+      if (controller.signal.aborted) return;
 
       const lat = pos.coords.latitude;
       const lon = pos.coords.longitude;
 
-      // Sempre seta um place "básico" (sem reverse)
+      // Sem reverse geocoding, o lugar fica com um nome genérico
       const fallbackPlace = {
         id: `gps:${lat},${lon}`,
-        name: "Minha localização",
+        name: t("place.myLocation"),
         admin1: "",
         country: "",
         latitude: lat,
@@ -812,43 +608,132 @@ export default function App() {
       };
 
       try {
-        const places = await reverseGeocodeOSM(lat, lon, "pt-BR");
-        if (places?.[0]) setPlace(places[0]);
-      } catch {
-        // fica com fallback
+        const places = await reverseGeocode(lat, lon, LANGUAGES[locale].nominatim, provider, { signal: controller.signal });
+        setPlace(places?.[0] ? { ...places[0], name: places[0].name || fallbackPlace.name } : fallbackPlace);
+      } catch (e) {
+        if (isAbortError(e)) return;
         setPlace(fallbackPlace);
       }
       setQuery("");
-      setSuggestions([]);
-
+      setRemoteResults(null);
     } catch (err) {
+      if (controller.signal.aborted) return;
       setError({
-        title: "Não consegui acessar sua localização",
-        message: "Permita o acesso à localização no navegador ou busque sua cidade manualmente.",
+        title: "errors.locationTitle",
+        message: "errors.locationMessage",
         raw: String(err?.message || err),
       });
     } finally {
-      setLoading(false);
+      if (locateRef.current === controller) setLocating(false);
     }
   }
 
+  // Outro lugar escolhido enquanto "Minha localização" ainda procurava: a resposta dela não vale mais
+  useEffect(() => () => locateRef.current?.abort(), [place]);
 
   const current = forecast?.current;
-  const tempForBg = useMemo(() => {
-    //Se estiver em imperial, faz uma conversão para Cº apenas para decidir o gradiente do bg
-    const t = current?.temperature_2m;
-    if (t == null) return 20;
-    return unit === "imperial" ? (t - 32) * (5 / 9) : t;
-  }, [current?.temperature_2m, unit]);
-
-  const isDay = Boolean(current?.is_day);
-  const gradient = bgGradientFromTemp(tempForBg, isDay, theme);
+  //Relógio local da cidade agora (a previsão vem no fuso dela, não no do navegador)
+  const placeNow = forecast ? placeNowIso(forecast, now) : null;
+  const placeHour = placeNow?.slice(0, 13);
+  //A previsão já vem em °C, que é o que o gradiente do bg espera
+  const tempForBg = current?.temp ?? 20;
+
+  //Fase do dia pela altura do sol na cidade; sem coordenadas, cai no is_day do provider
+  const isDay = Boolean(current?.isDay);
+  const phase =
+    placeNow && place
+      ? sunPhase(placeNow, place.latitude, place.longitude, placeOffsetSeconds(forecast, now))
+      : isDay
+        ? "day"
+        : "night";
+  const gradient = bgGradientFromTemp(tempForBg, phase, theme);
 
   const hourlySeries = useMemo(
-    () => (forecast ? buildHourlySeries(forecast, forecast?.current?.time, 24, locale) : []),
-    [forecast]
+    () => (forecast && placeHour ? buildHourlySeries(forecast, `${placeHour}:00`, 24, locale) : []),
+    [forecast, placeHour, locale]
+  );
+  const dailySeries = useMemo(() => (forecast ? buildDailySeries(forecast, locale) : []), [forecast, locale]);
+  // Planejador: nota de cada hora a partir da hora em andamento (recalculada a cada hora nova)
+  const activityHours = useMemo(
+    () => (forecast && placeHour ? scoreHours(forecast, activity, `${placeHour}:00`, place) : []),
+    [forecast, activity, placeHour, place]
+  );
+  const activityWindows = useMemo(() => bestWindows(activityHours), [activityHours]);
+  const daySummaries = useMemo(
+    () => Object.fromEntries(dailySeries.map((d) => [d.day, summaryText(daySummary(forecast?.hourly, d.day), t, locale)])),
+    [forecast, dailySeries, t, locale]
+  );
+  const currentReference = reference?.key === referenceKey ? reference.data : null;
+
+  // Exportação das séries horária (da hora em andamento em diante) e diária, nas unidades escolhidas
+  function exportForecast(kind, format) {
+    if (!forecast) return;
+    const meta = placeMeta(place, forecast);
+    const stamp = (placeNow || placeNowIso(forecast)).slice(0, 10);
+    const name = `${t(`export.fileNames.${kind}`)}-${fileSlug(place?.name)}-${stamp}`;
+    const series = kind === "hourly" ? forecast.hourly.filter((h) => h.time.slice(0, 13) >= placeHour) : forecast.daily;
+
+    if (format === "ics") {
+      const events = series.map((d) => ({
+        date: d.date,
+        summary: [
+          `${wxEmoji(d.code, true)} ${wxLabel(d.code, t)} ${formatTemp(d.max, units.temp)}/${formatTemp(d.min, units.temp)}`,
+          d.popMax != null ? t("export.icsRain", { pop: d.popMax }) : null,
+        ]
+          .filter(Boolean)
+          .join(" • "),
+        description: [
+          daySummaries[d.date],
+          t("export.icsDetails", { max: formatTemp(d.max, units.temp), min: formatTemp(d.min, units.temp), pop: d.popMax ?? "–" }),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      }));
+      downloadFile(`${name}.ics`, toIcs(events, { name: t("export.calendarName", { place: placeLabel(place) }), meta }), "text/calendar");
+      return;
+    }
+
+    const rows = exportRows(series, kind, units, (row) => ({ condition: wxLabel(row.code, t) }));
+    if (format === "json") {
+      downloadFile(`${name}.json`, toJson(rows, kind, meta, units), "application/json");
+      return;
+    }
+    const columns = [...EXPORT_COLUMNS[kind], ["condition", "plain"]].map(([key, k]) => {
+      const unit = columnUnit(k, units);
+      return { key, label: unit ? `${t(`export.columns.${key}`)} (${unit})` : t(`export.columns.${key}`) };
+    });
+    downloadFile(`${name}.csv`, toCsv(rows, columns, meta), "text/csv");
+  }
+  const currentHistory = history?.key === historyKey ? history : null;
+  const currentAir = airQuality?.key === airKey ? airQuality : null;
+  const currentNowcast = nowcast?.key === airKey ? nowcast : null;
+  // "Agora" no fuso que veio com o nowcast (o mesmo da cidade)
+  const nowcastNow = currentNowcast?.data ? placeNowIso(currentNowcast.data, now) : null;
+  const nowcastSummary = nowcastNow ? summarizeNowcast(currentNowcast.data.slots, nowcastNow) : null;
+  const pressure = useMemo(() => pressureTrend(forecast?.hourly, forecast?.current?.time), [forecast]);
+  //Série completa (até 7 dias) para o gráfico detalhado
+  const detailSeries = useMemo(
+    () => (forecast && detail ? buildHourlySeries(forecast, forecast.hourly?.[0]?.time, 168, locale) : []),
+    [forecast, detail, locale]
+  );
+
+  // Logo após trocar de lugar a previsão em tela ainda é a do anterior: os alertas dela não valem para o novo
+  const alertsKey = place && forecast && forecastKey === placeKey(place) ? forecastKey : null;
+  const alerts = useMemo(() => (alertsKey ? detectAlerts(forecast) : []), [alertsKey, forecast]);
+  const visibleAlerts = alerts.filter((a) => !dismissedAlerts.has(`${alertsKey}|${a.id}`));
+  const alertsByPlace = useMemo(() => {
+    const out = {};
+    for (const [key, data] of Object.entries(favoriteForecasts)) out[key] = detectAlerts(data);
+    // O favorito aberto usa os alertas da previsão em tela, que é a mais recente
+    if (alertsKey) out[alertsKey] = alerts;
+    return out;
+  }, [favoriteForecasts, alertsKey, alerts]);
+
+  // Lugares que podem receber regras: o atual e os favoritos
+  const rulePlaces = useMemo(
+    () => (place && !favorites.some((f) => isSamePlace(f, place)) ? [place, ...favorites] : favorites),
+    [place, favorites]
   );
-  const dailySeries = useMemo(() => (forecast ? buildDailySeries(forecast, locale) : []), [forecast]);
 
   return (
     <div className={`min-h-screen bg-gradient-to-b ${gradient} text-zinc-900 dark:text-zinc-50`}>
@@ -860,83 +745,269 @@ export default function App() {
           className="flex flex-col gap-6"
         >
           <header className="flex flex-col gap-2">
-            <div className="text-3xl font-semibold tracking-tight">Previsão do Tempo</div>
-            <div className="text-sm text-zinc-600 dark:text-zinc-300">
-              Busque cidades, use sua localização e salve favoritos.
-            </div>
+            <div className="text-3xl font-semibold tracking-tight">{t("app.title")}</div>
+            <div className="text-sm text-zinc-600 dark:text-zinc-300">{t("app.subtitle")}</div>
           </header>
 
+          {swUpdate ? (
+            <UpdatePrompt
+              onUpdate={() => applyServiceWorkerUpdate(swUpdate)}
+              onDismiss={() => setSwUpdate(null)}
+              t={t}
+            />
+          ) : null}
+
+          {storageFull ? <StorageFullNotice onDismiss={() => setStorageFull(false)} t={t} /> : null}
+
           <TopBar
             query={query}
             setQuery={setQuery}
             suggestions={suggestions}
+            recents={recentSuggestions}
             isSearching={isSearching}
             onPick={(p) => {
-              setPlace(p);
-              setSuggestions([]);
+              const clean = stripSource(p);
+              setPlace(clean);
+              setRemoteResults(null);
+              setRecents((prev) => [clean, ...prev.filter((r) => !isSamePlace(r, clean))].slice(0, RECENT_PLACES_MAX));
             }}
+            onRemoveRecent={(p) => setRecents((prev) => prev.filter((r) => !isSamePlace(r, p)))}
+            onClearRecents={() => setRecents([])}
             onLocate={locateMe}
-            unit={unit}
-            setUnit={(u) => setSettings((s) => ({ ...s, unit: u }))}
+            locating={locating}
+            units={units}
+            setUnits={(u) => setSettings((s) => ({ ...s, units: u }))}
             theme={theme}
             setTheme={(t) => setSettings((s) => ({ ...s, theme: t }))}
+            provider={provider}
+            setProvider={(id) => setSettings((s) => ({ ...s, provider: id }))}
+            language={locale}
+            setLanguage={(l) => setSettings((s) => ({ ...s, language: l }))}
+            t={t}
           />
 
           <FavoriteChips
             favorites={favorites}
             current={place}
+            alertsByPlace={alertsByPlace}
             onPick={(p) => setPlace(p)}
             onToggle={(p) => toggleFavorite(p)}
+            locale={locale}
+            t={t}
           />
 
-          <AnimatePresence mode="wait">
-            {error ? (
-              <motion.div key="error" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-                <ErrorCard
-                  title={error.title}
-                  message={error.message}
-                  onRetry={() => {
-                    if (place) loadForecast(place);
-                  }}
-                />
-                {error.raw ? (
-                  <div className="mt-2 text-xs text-zinc-500 dark:text-zinc-400">Detalhe: {error.raw}</div>
-                ) : null}
-              </motion.div>
-            ) : loading && !forecast ? (
-              <motion.div key="skeleton" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-                <SkeletonCard />
-              </motion.div>
-            ) : place && forecast ? (
-              <motion.div
-                key="content"
-                initial={{ opacity: 0, y: 6 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: 6 }}
-                transition={{ duration: 0.25 }}
-                className="grid gap-4"
-              >
-                <CurrentCard
-                  place={place}
-                  data={forecast}
-                  unit={unit}
-                  isFavorite={isFavorite}
-                  onToggleFavorite={() => toggleFavorite(place)}
-                />
-
-                <div className="grid gap-4 lg:grid-cols-2">
-                  <HourlyCard series={hourlySeries} unit={unit} />
-                  <DailyCard days={dailySeries} />
-                </div>
-              </motion.div>
-            ) : (
-              <motion.div key="empty" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-                <ErrorCard title="Selecione uma cidade" message="Busque uma cidade acima para ver a previsão." />
-              </motion.div>
-            )}
-          </AnimatePresence>
-
-          <Footer />
+          <ViewTabs view={view} setView={setView} canCompare={favorites.length > 0} t={t} />
+
+          {view === "map" ? (
+            <MapView
+              place={place}
+              data={place && forecastKey === placeKey(place) ? forecast : null}
+              favorites={favorites}
+              forecasts={favoriteForecasts}
+              units={units}
+              picking={pickingOnMap}
+              onPickPoint={pickOnMap}
+              onPickPlace={(p) => setPlace(p)}
+              onOpenForecast={() => setView("forecast")}
+              t={t}
+            />
+          ) : view === "favorites" ? (
+            <FavoritesManager
+              favorites={favorites}
+              limit={favoritesLimit}
+              onChange={setFavorites}
+              onChangeLimit={(n) => setSettings((s) => ({ ...s, favoritesLimit: n }))}
+              onPick={(p) => {
+                setPlace(p);
+                setView("forecast");
+              }}
+              locale={locale}
+              t={t}
+            />
+          ) : view === "compare" ? (
+            <CompareView
+              favorites={favorites}
+              forecasts={favoriteForecasts}
+              units={units}
+              locale={locale}
+              onPick={(p) => {
+                setPlace(p);
+                setView("forecast");
+              }}
+              t={t}
+            />
+          ) : (
+            <AnimatePresence mode="wait">
+              {error ? (
+                <motion.div key="error" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                  <ErrorCard
+                    title={t(error.title)}
+                    message={t(error.message)}
+                    t={t}
+                    onRetry={() => {
+                      if (place) loadForecast(place);
+                    }}
+                  />
+                  {error.raw ? (
+                    <div className="mt-2 text-xs text-zinc-500 dark:text-zinc-400">
+                      {t("app.detail", { detail: error.raw })}
+                    </div>
+                  ) : null}
+                </motion.div>
+              ) : loading && !forecast ? (
+                <motion.div key="skeleton" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                  <SkeletonCard />
+                </motion.div>
+              ) : place && forecast ? (
+                <motion.div
+                  key="content"
+                  initial={{ opacity: 0, y: 6 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: 6 }}
+                  transition={{ duration: 0.25 }}
+                  className="grid gap-4"
+                >
+                  <AlertBanner
+                    alerts={visibleAlerts}
+                    units={units}
+                    locale={locale}
+                    onDismiss={(a) => setDismissedAlerts((prev) => new Set(prev).add(`${alertsKey}|${a.id}`))}
+                    t={t}
+                  />
+
+                  <CurrentCard
+                    place={place}
+                    data={forecast}
+                    units={units}
+                    cachedAt={cachedAt}
+                    updatedAt={updatedAt}
+                    now={now}
+                    refreshing={loading}
+                    onRefresh={() => setRefreshTick((n) => n + 1)}
+                    refreshInterval={refreshInterval}
+                    onChangeRefreshInterval={(min) => setSettings((s) => ({ ...s, refreshInterval: min }))}
+                    isFavorite={isFavorite}
+                    onToggleFavorite={() => toggleFavorite(place)}
+                    favoritesFull={favoritesFull}
+                    favoritesLimit={favoritesLimit}
+                    reference={currentReference}
+                    nowcastText={isRainImminent(nowcastSummary) ? nowcastText(nowcastSummary, t, locale) : null}
+                    locale={locale}
+                    t={t}
+                  />
+
+                  <NowcastCard
+                    nowcast={currentNowcast}
+                    nowIso={nowcastNow}
+                    summary={nowcastSummary}
+                    loading={!currentNowcast}
+                    units={units}
+                    locale={locale}
+                    t={t}
+                  />
+
+                  <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+                    <UvCard uv={forecast.current?.uv} uvMax={dailySeries[0]?.uvMax} t={t} />
+                    <WindCard
+                      wind={forecast.current?.wind}
+                      gusts={forecast.current?.gusts}
+                      dir={forecast.current?.windDir}
+                      gustsMax={dailySeries[0]?.gustsMax}
+                      units={units}
+                      t={t}
+                    />
+                    <PressureCard pressure={forecast.current?.pressure} trend={pressure} series={hourlySeries} t={t} />
+                    <AirQualityCard air={currentAir?.data} loading={!currentAir} t={t} />
+                  </div>
+
+                  <div className="grid gap-4 lg:grid-cols-2">
+                    <HourlyCard
+                      series={hourlySeries}
+                      units={units}
+                      marks={activityWindows}
+                      markLabel={activityName(activity, t)}
+                      onExpand={() => setDetail({ day: null })}
+                      onExport={(format) => exportForecast("hourly", format)}
+                      t={t}
+                    />
+                    <DailyCard
+                      days={dailySeries}
+                      units={units}
+                      reference={currentReference}
+                      summaries={daySummaries}
+                      selectedDay={detail?.day}
+                      onSelectDay={(day) => setDetail({ day })}
+                      onExport={(format) => exportForecast("daily", format)}
+                      locale={locale}
+                      t={t}
+                    />
+                  </div>
+
+                  {detail && detailSeries.length ? (
+                    <HourlyDetailCard
+                      key={detail.day || "now"}
+                      series={detailSeries}
+                      days={dailySeries.slice(0, 7)}
+                      units={units}
+                      focusDay={detail.day}
+                      nowISO={placeNow}
+                      locale={locale}
+                      onClose={() => setDetail(null)}
+                      t={t}
+                    />
+                  ) : null}
+
+                  <PlannerCard
+                    activity={activity}
+                    activities={activities}
+                    onSelect={(id) => setSettings((s) => ({ ...s, activity: id }))}
+                    onAdd={(a) => setActivities((prev) => [...prev, a])}
+                    onRemove={(id) => setActivities((prev) => prev.filter((a) => a.id !== id))}
+                    scored={activityHours}
+                    windows={activityWindows}
+                    days={dailySeries.slice(0, 7)}
+                    units={units}
+                    locale={locale}
+                    t={t}
+                  />
+
+                  <AstronomyCard place={place} data={forecast} now={now} locale={locale} t={t} />
+
+                  <HistoryCard
+                    range={effectiveHistoryRange}
+                    latest={historyLatest}
+                    days={currentHistory?.days}
+                    loading={!currentHistory}
+                    error={currentHistory?.error}
+                    units={units}
+                    locale={locale}
+                    onChangeRange={setHistoryRange}
+                    onRetry={() => setHistoryAttempt((n) => n + 1)}
+                    t={t}
+                  />
+
+                  <RulesCard
+                    rules={rules}
+                    places={rulePlaces}
+                    current={place}
+                    units={units}
+                    permission={notifyPermission}
+                    onRequestPermission={async () => setNotifyPermission(await requestNotificationPermission())}
+                    onAdd={(rule) => setRules((prev) => [...prev, rule])}
+                    onToggle={(id) => setRules((prev) => prev.map((r) => (r.id === id ? { ...r, enabled: !r.enabled } : r)))}
+                    onRemove={(id) => setRules((prev) => prev.filter((r) => r.id !== id))}
+                    t={t}
+                  />
+                </motion.div>
+              ) : (
+                <motion.div key="empty" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                  <ErrorCard title={t("errors.emptyTitle")} message={t("errors.emptyMessage")} t={t} />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          )}
+
+          <Footer provider={forecast?.provider ?? provider} t={t} />
         </motion.div>
       </div>
     </div>
@@ -0,0 +1,45 @@
+import { AlertTriangle, X } from "lucide-react";
+import { formatTemp, formatSpeed, formatAlertTime } from "../lib/format.js";
+
+export function AlertBanner({ alerts, units, locale, onDismiss, t }) {
+  if (!alerts?.length) return null;
+
+  const detail = (a) => {
+    if (a.type === "wind") return t("alerts.windPeak", { value: formatSpeed(a.peak, units.wind) });
+    if (a.type === "heat") return t("alerts.heatPeak", { value: formatTemp(a.peak, units.temp) });
+    if (a.type === "cold") return t("alerts.coldPeak", { value: formatTemp(a.peak, units.temp) });
+    return null;
+  };
+
+  return (
+    <div className="grid gap-2">
+      {alerts.map((a) => (
+        <div
+          key={a.id}
+          role="alert"
+          className={`flex items-start gap-3 rounded-3xl border px-5 py-4 shadow-sm backdrop-blur ${a.severity === "danger"
+            ? "border-rose-200/60 bg-rose-50/80 text-rose-900 dark:border-rose-400/20 dark:bg-rose-950/40 dark:text-rose-100"
+            : "border-amber-200/60 bg-amber-50/80 text-amber-900 dark:border-amber-400/20 dark:bg-amber-950/40 dark:text-amber-100"
+            }`}
+        >
+          <AlertTriangle className="mt-0.5 h-5 w-5 shrink-0" />
+          <div className="min-w-0 flex-1">
+            <div className="text-sm font-semibold">{t(`alerts.${a.type}`)}</div>
+            <div className="mt-0.5 text-xs opacity-80">
+              {t("alerts.range", { start: formatAlertTime(a.start, locale), end: formatAlertTime(a.end, locale) })}
+              {detail(a) ? ` • ${detail(a)}` : ""}
+            </div>
+          </div>
+          <button
+            onClick={() => onDismiss(a)}
+            className="rounded-xl p-1 hover:bg-black/5 dark:hover:bg-white/10"
+            title={t("alerts.dismiss")}
+            aria-label={t("alerts.dismiss")}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
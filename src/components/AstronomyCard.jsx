@@ -0,0 +1,201 @@
+import { useMemo } from "react";
+import { sunEvents, weekDaylight, moonPhase, minutesOfDay, formatDuration } from "../lib/astronomy.js";
+import {
+  formatLocalDate,
+  formatLocalTime,
+  formatLocalWeekday,
+  localToUtcMs,
+  placeNowIso,
+  placeOffsetSeconds,
+  utcMsToLocal,
+} from "../lib/time.js";
+import { clamp } from "../lib/format.js";
+
+const MOON_EMOJI = {
+  new: "🌑",
+  waxingCrescent: "🌒",
+  firstQuarter: "🌓",
+  waxingGibbous: "🌔",
+  full: "🌕",
+  waningGibbous: "🌖",
+  lastQuarter: "🌗",
+  waningCrescent: "🌘",
+};
+
+//Faixas da linha do tempo do dia (cores das janelas de luz)
+const DAYLIGHT_COLORS = { night: "#1e1b4b", blue: "#3b82f6", golden: "#f59e0b", day: "#bae6fd" };
+
+//Nascer/pôr do sol, posição atual do sol, horas dourada/azul, duração do dia na semana e fase da lua
+export function AstronomyCard({ place, data, now, locale, t }) {
+  const nowIso = data ? placeNowIso(data, now) : null;
+  const offset = placeOffsetSeconds(data, now);
+  const today = data?.daily?.[0];
+
+  const info = useMemo(() => {
+    if (!place || !today) return null;
+    const events = sunEvents(today.date, place.latitude, place.longitude, offset);
+    return {
+      events,
+      sunrise: today.sunrise || events.sunrise,
+      sunset: today.sunset || events.sunset,
+      week: weekDaylight(data.daily.slice(0, 7), place.latitude, place.longitude, offset),
+      moon: nowIso ? moonPhase(localToUtcMs(nowIso, offset)) : null,
+    };
+  }, [place, data, today, nowIso, offset]);
+
+  if (!info) return null;
+  const { events, sunrise, sunset, week, moon } = info;
+
+  // Arco do dia: x vai do nascer (0) ao pôr (1); fora desse intervalo o sol fica abaixo do horizonte
+  const riseMin = minutesOfDay(sunrise);
+  const setMin = minutesOfDay(sunset);
+  const nowMin = minutesOfDay(nowIso);
+  const progress = riseMin != null && setMin != null && nowMin != null ? (nowMin - riseMin) / (setMin - riseMin) : null;
+  const sunUp = progress != null && progress >= 0 && progress <= 1;
+  const sunX = 10 + clamp(progress ?? 0, 0, 1) * 180;
+  const sunY = sunUp ? 80 - Math.sin(progress * Math.PI) * 60 : 92;
+
+  // Linha do tempo de 24 h com noite, hora azul, hora dourada e dia
+  const segments = [];
+  const addSegment = (w, kind) => {
+    if (w) segments.push({ from: minutesOfDay(w.start), to: minutesOfDay(w.end), kind });
+  };
+  if (riseMin != null && setMin != null) segments.push({ from: riseMin, to: setMin, kind: "day" });
+  addSegment(events.blueMorning, "blue");
+  addSegment(events.goldenMorning, "golden");
+  addSegment(events.goldenEvening, "golden");
+  addSegment(events.blueEvening, "blue");
+
+  const windowLabel = (w) => (w ? `${formatLocalTime(w.start, locale)}–${formatLocalTime(w.end, locale)}` : "–");
+  const maxLength = Math.max(1, ...week.map((d) => d.length ?? 0));
+  const todayLength = week[0]?.length;
+  const weekChange = week.length > 1 && todayLength != null && week[week.length - 1].length != null
+    ? week[week.length - 1].length - todayLength
+    : null;
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("astronomy.title")}</div>
+      <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("astronomy.subtitle")}</div>
+
+      <div className="mt-4 grid gap-6 lg:grid-cols-3">
+        <div>
+          <svg viewBox="0 0 200 100" className="w-full" role="img" aria-label={t("astronomy.sunPosition")}>
+            <path d="M 10 80 Q 100 -40 190 80" fill="none" strokeDasharray="4 4" className="stroke-amber-400/70" strokeWidth="2" />
+            <line x1="0" y1="80" x2="200" y2="80" className="stroke-zinc-300 dark:stroke-white/20" strokeWidth="1.5" />
+            {progress != null ? (
+              <circle cx={sunX} cy={sunY} r="7" className={sunUp ? "fill-amber-400" : "fill-zinc-400 dark:fill-zinc-600"} />
+            ) : null}
+          </svg>
+          <div className="mt-1 flex justify-between text-xs text-zinc-600 dark:text-zinc-300">
+            <span>🌅 {sunrise ? formatLocalTime(sunrise, locale) : "–"}</span>
+            <span>{formatDuration(todayLength)}</span>
+            <span>🌇 {sunset ? formatLocalTime(sunset, locale) : "–"}</span>
+          </div>
+
+          <div className="relative mt-4 h-3 overflow-hidden rounded-full" style={{ background: DAYLIGHT_COLORS.night }}>
+            {segments
+              .filter((s) => s.from != null && s.to != null && s.to > s.from)
+              .map((s, i) => (
+                <div
+                  key={i}
+                  className="absolute inset-y-0"
+                  style={{
+                    left: `${(s.from / 1440) * 100}%`,
+                    width: `${((s.to - s.from) / 1440) * 100}%`,
+                    background: DAYLIGHT_COLORS[s.kind],
+                  }}
+                />
+              ))}
+            {nowMin != null ? (
+              <div className="absolute inset-y-0 w-0.5 bg-rose-500" style={{ left: `${(nowMin / 1440) * 100}%` }} />
+            ) : null}
+          </div>
+          <div className="mt-1 flex justify-between text-[10px] text-zinc-500 dark:text-zinc-400">
+            <span>0 h</span>
+            <span>6 h</span>
+            <span>12 h</span>
+            <span>18 h</span>
+            <span>24 h</span>
+          </div>
+        </div>
+
+        <div className="grid content-start gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+          <div className="flex items-center justify-between gap-2">
+            <span className="inline-flex items-center gap-2">
+              <span className="h-2 w-2 rounded-full" style={{ background: DAYLIGHT_COLORS.blue }} />
+              {t("astronomy.blueMorning")}
+            </span>
+            <span className="font-semibold">{windowLabel(events.blueMorning)}</span>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span className="inline-flex items-center gap-2">
+              <span className="h-2 w-2 rounded-full" style={{ background: DAYLIGHT_COLORS.golden }} />
+              {t("astronomy.goldenMorning")}
+            </span>
+            <span className="font-semibold">{windowLabel(events.goldenMorning)}</span>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span className="inline-flex items-center gap-2">
+              <span className="h-2 w-2 rounded-full" style={{ background: DAYLIGHT_COLORS.golden }} />
+              {t("astronomy.goldenEvening")}
+            </span>
+            <span className="font-semibold">{windowLabel(events.goldenEvening)}</span>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span className="inline-flex items-center gap-2">
+              <span className="h-2 w-2 rounded-full" style={{ background: DAYLIGHT_COLORS.blue }} />
+              {t("astronomy.blueEvening")}
+            </span>
+            <span className="font-semibold">{windowLabel(events.blueEvening)}</span>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <span>{t("astronomy.solarNoon")}</span>
+            <span className="font-semibold">{formatLocalTime(events.noon, locale)}</span>
+          </div>
+
+          {moon ? (
+            <div className="mt-2 flex items-center gap-3 rounded-2xl border border-zinc-200/60 px-3 py-2 dark:border-white/10">
+              <div className="text-3xl" aria-hidden>
+                {MOON_EMOJI[moon.phase]}
+              </div>
+              <div>
+                <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t(`astronomy.moon.${moon.phase}`)}</div>
+                <div>{t("astronomy.illumination", { value: Math.round(moon.illumination * 100) })}</div>
+                <div>
+                  {t("astronomy.nextFull", {
+                    date: formatLocalDate(utcMsToLocal(moon.nextFull, offset), locale),
+                  })}
+                </div>
+              </div>
+            </div>
+          ) : null}
+        </div>
+
+        <div>
+          <div className="flex items-baseline justify-between text-xs text-zinc-600 dark:text-zinc-300">
+            <span>{t("astronomy.dayLength")}</span>
+            {weekChange != null ? (
+              <span>
+                {t(weekChange >= 0 ? "astronomy.weekLonger" : "astronomy.weekShorter", {
+                  value: `${Math.abs(Math.round(weekChange))} min`,
+                })}
+              </span>
+            ) : null}
+          </div>
+          <div className="mt-2 grid gap-1.5">
+            {week.map((d) => (
+              <div key={d.date} className="flex items-center gap-2 text-xs">
+                <span className="w-14 truncate text-zinc-600 dark:text-zinc-300">{formatLocalWeekday(d.date, locale)}</span>
+                <div className="h-2 flex-1 overflow-hidden rounded-full bg-zinc-200/70 dark:bg-white/10">
+                  <div className="h-full rounded-full bg-amber-400" style={{ width: `${((d.length ?? 0) / maxLength) * 100}%` }} />
+                </div>
+                <span className="w-20 text-right text-zinc-700 dark:text-zinc-200">{formatDuration(d.length)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
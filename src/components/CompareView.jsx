@@ -0,0 +1,114 @@
+import { useMemo } from "react";
+import { LineChart, Line, Legend, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { convertTemp } from "../lib/units.js";
+import { favoriteName } from "../lib/favorites.js";
+import { ErrorCard } from "./common.jsx";
+import { wxLabel } from "../i18n/phrases.js";
+import { formatTemp, wxEmoji } from "../lib/format.js";
+import { placeKey, placeLabel } from "../lib/places.js";
+import { buildHourlySeries } from "../lib/series.js";
+
+//Cores das curvas na comparação de cidades
+const COMPARE_COLORS = ["#0ea5e9", "#f59e0b", "#10b981", "#f43f5e", "#8b5cf6", "#14b8a6", "#ec4899", "#84cc16"];
+
+function CompareMiniCard({ place, data, units, locale, onPick, t }) {
+  if (!data) {
+    return <div className="h-32 animate-pulse rounded-3xl border border-zinc-200/60 bg-white/50 dark:border-white/10 dark:bg-zinc-900/30" />;
+  }
+  const c = data.current || {};
+  const today = data.daily?.[0] || {};
+  const pop = buildHourlySeries(data, undefined, 1, locale)[0]?.pop;
+
+  return (
+    <button
+      onClick={() => onPick(place)}
+      className="rounded-3xl border border-zinc-200/60 bg-white/70 p-4 text-left shadow-sm backdrop-blur transition hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:hover:bg-zinc-900/70"
+      title={placeLabel(place)}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="truncate text-sm font-semibold text-zinc-900 dark:text-zinc-50">{favoriteName(place)}</div>
+        <div className="text-xl" aria-hidden>
+          {wxEmoji(c.code, c.isDay)}
+        </div>
+      </div>
+      <div className="mt-2 text-3xl font-semibold tracking-tight text-zinc-900 dark:text-zinc-50">{formatTemp(c.temp, units.temp)}</div>
+      <div className="mt-1 truncate text-xs text-zinc-600 dark:text-zinc-300">{wxLabel(c.code, t)}</div>
+      <div className="mt-2 flex justify-between gap-2 text-xs text-zinc-500 dark:text-zinc-400">
+        <span>{t("compare.maxMin", { max: formatTemp(today.max, units.temp), min: formatTemp(today.min, units.temp) })}</span>
+        <span>{t("compare.rain", { pop: pop ?? 0 })}</span>
+      </div>
+    </button>
+  );
+}
+
+export function CompareView({ favorites, forecasts, units, locale, onPick, t }) {
+  // Alinha as curvas pela hora relativa (agora, +1h, ...), já que as cidades podem estar em fusos diferentes
+  const chartData = useMemo(() => {
+    const rows = Array.from({ length: 24 }, (_, i) => ({ offset: i }));
+    favorites.forEach((f) => {
+      const data = forecasts[placeKey(f)];
+      if (!data) return;
+      buildHourlySeries(data, undefined, 24, locale).forEach((h, i) => {
+        rows[i][placeKey(f)] = convertTemp(h.temp, units.temp);
+      });
+    });
+    return rows;
+  }, [favorites, forecasts, units.temp, locale]);
+
+  if (!favorites.length) {
+    return <ErrorCard title={t("views.compare")} message={t("compare.empty")} t={t} />;
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-3 lg:grid-cols-4">
+        {favorites.map((f) => (
+          <CompareMiniCard
+            key={placeKey(f)}
+            place={f}
+            data={forecasts[placeKey(f)]}
+            units={units}
+            locale={locale}
+            onPick={onPick}
+            t={t}
+          />
+        ))}
+      </div>
+
+      <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+        <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("compare.title")}</div>
+        <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("compare.subtitle")}</div>
+        <div className="mt-4 h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+              <XAxis
+                dataKey="offset"
+                tick={{ fontSize: 12 }}
+                interval={2}
+                tickFormatter={(i) => (i === 0 ? t("compare.now") : t("compare.hoursAhead", { h: i }))}
+              />
+              <YAxis tick={{ fontSize: 12 }} domain={["dataMin - 2", "dataMax + 2"]} />
+              <Tooltip
+                labelFormatter={(i) => (i === 0 ? t("compare.now") : t("compare.hoursAhead", { h: i }))}
+                formatter={(v) => `${Math.round(v)}°`}
+              />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {favorites.map((f, i) => (
+                <Line
+                  key={placeKey(f)}
+                  type="monotone"
+                  dataKey={placeKey(f)}
+                  name={favoriteName(f)}
+                  stroke={COMPARE_COLORS[i % COMPARE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import { useState } from "react";
+import { Loader2, Droplets, Wind, Eye, Star, RefreshCcw, Clock, Share2, Check, CloudRain } from "lucide-react";
+import { UNIT_LABELS } from "../lib/units.js";
+import { REFRESH_INTERVALS } from "../lib/refresh.js";
+import {
+  formatInstantTime,
+  formatInstantDate,
+  isSameLocalDay,
+  formatLocalTime,
+  formatUtcOffset,
+  placeNowIso,
+  placeOffsetSeconds,
+  userOffsetSeconds,
+} from "../lib/time.js";
+import { compassPoint } from "../lib/indices.js";
+import { referenceDelta } from "../lib/history.js";
+import { DeltaBadge } from "./common.jsx";
+import { wxLabel } from "../i18n/phrases.js";
+import { formatTemp, formatPrecip, formatSpeed, formatDistance, wxEmoji } from "../lib/format.js";
+import { placeLabel } from "../lib/places.js";
+
+function Pill({ icon: Icon, label, value }) {
+  return (
+    <div className="flex items-center gap-3 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-3 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="rounded-xl border border-zinc-200/60 bg-white p-2 dark:border-white/10 dark:bg-zinc-950/40">
+        <Icon className="h-5 w-5" />
+      </div>
+      <div className="min-w-0">
+        <div className="text-xs text-zinc-500 dark:text-zinc-400">{label}</div>
+        <div className="truncate text-sm font-semibold text-zinc-900 dark:text-zinc-50">{value}</div>
+      </div>
+    </div>
+  );
+}
+
+//Idade da previsão salva; de outro dia, a data entra junto com a hora
+function StaleBadge({ savedAt, now, refreshing, locale = "pt-BR", t }) {
+  const time = formatInstantTime(savedAt, locale);
+  return (
+    <div
+      className="inline-flex items-center gap-1.5 rounded-xl border border-amber-300/60 bg-amber-50/80 px-2 py-1 text-xs font-medium text-amber-800 dark:border-amber-400/20 dark:bg-amber-950/40 dark:text-amber-200"
+      title={t("current.staleTitle")}
+    >
+      {refreshing ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Clock className="h-3.5 w-3.5" />}
+      {isSameLocalDay(savedAt, now)
+        ? t("current.staleBadge", { time })
+        : t("current.staleBadgeDate", { date: formatInstantDate(savedAt, locale), time })}
+    </div>
+  );
+}
+
+//Compartilha o link atual (a URL já carrega lugar, unidade, tema e visão)
+function ShareButton({ t }) {
+  const [copied, setCopied] = useState(false);
+
+  async function share() {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: document.title, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // compartilhamento cancelado ou clipboard indisponível
+    }
+  }
+
+  return (
+    <button
+      onClick={share}
+      className="inline-flex items-center justify-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm transition hover:bg-white dark:border-white/10 dark:bg-zinc-950/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+      title={t("share.title")}
+    >
+      {copied ? <Check className="h-4 w-4" /> : <Share2 className="h-4 w-4" />}
+      {copied ? t("share.copied") : t("share.label")}
+    </button>
+  );
+}
+
+export function CurrentCard({
+  place,
+  data,
+  units,
+  cachedAt,
+  updatedAt,
+  now,
+  refreshing,
+  onRefresh,
+  refreshInterval,
+  onChangeRefreshInterval,
+  onToggleFavorite,
+  isFavorite,
+  favoritesFull,
+  favoritesLimit,
+  reference,
+  nowcastText,
+  locale,
+  t,
+}) {
+  const current = data?.current || {};
+  const isDay = Boolean(current?.isDay);
+
+  const wxCode = current?.code;
+  const temp = current?.temp;
+  const feels = current?.feels;
+  const humidity = current?.humidity;
+  const wind = current?.wind;
+  const visibility = current?.visibility;
+  // Comparação da máxima de hoje com o mesmo dia no ano passado e com a média dos últimos anos
+  const todayMax = data?.daily?.[0]?.max;
+  const todayRef = reference?.[data?.daily?.[0]?.date];
+  // Relógio da cidade e o de quem usa o app (só o primeiro quando o fuso é o mesmo)
+  const placeOffset = placeOffsetSeconds(data, now);
+  const sameZone = placeOffset === userOffsetSeconds(now);
+  const placeTime = formatLocalTime(placeNowIso(data, now), locale);
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-col gap-4 md:flex-row md:items-start md:justify-between">
+        <div className="min-w-0">
+          <div className="flex items-center gap-3">
+            <div className="text-3xl" aria-hidden>
+              {wxEmoji(wxCode, isDay)}
+            </div>
+            <div className="min-w-0">
+              <div className="truncate text-lg font-semibold text-zinc-900 dark:text-zinc-50">{placeLabel(place)}</div>
+              {/* Chuva iminente (nowcast) tem prioridade sobre a condição atual */}
+              {nowcastText ? (
+                <div className="mt-0.5 inline-flex items-center gap-1.5 text-sm font-semibold text-blue-700 dark:text-blue-300">
+                  <CloudRain className="h-4 w-4" /> {nowcastText}
+                </div>
+              ) : (
+                <div className="mt-0.5 text-sm text-zinc-600 dark:text-zinc-300">{wxLabel(wxCode, t)}</div>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-zinc-600 dark:text-zinc-300">
+            <span className="inline-flex items-center gap-1.5" title={data?.timezone || undefined}>
+              <Clock className="h-3.5 w-3.5" />
+              {sameZone
+                ? t("time.localSame", { time: placeTime })
+                : t("time.local", { time: placeTime, offset: formatUtcOffset(placeOffset) })}
+            </span>
+            {!sameZone ? <span>{t("time.yours", { time: formatInstantTime(now, locale) })}</span> : null}
+          </div>
+
+          {cachedAt ? (
+            <div className="mt-3">
+              <StaleBadge savedAt={cachedAt} now={now} refreshing={refreshing} locale={locale} t={t} />
+            </div>
+          ) : updatedAt ? (
+            <div className="mt-3 text-xs text-zinc-500 dark:text-zinc-400">
+              {t("refresh.updatedAt", { time: formatInstantTime(updatedAt, locale) })}
+            </div>
+          ) : null}
+
+          <div className="mt-4 flex items-end gap-3">
+            <div className="text-5xl font-semibold tracking-tight text-zinc-900 dark:text-zinc-50">{formatTemp(temp, units.temp)}</div>
+            <div className="pb-1 text-sm text-zinc-600 dark:text-zinc-300">
+              {t("current.feelsLike", { temp: formatTemp(feels, units.temp) })} • {UNIT_LABELS.temp[units.temp]}
+            </div>
+          </div>
+
+          {todayRef && todayMax != null ? (
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+              <span>{t("history.todayMax", { temp: formatTemp(todayMax, units.temp) })}</span>
+              <DeltaBadge
+                delta={referenceDelta(todayMax, todayRef.lastYear?.max)}
+                units={units}
+                label={t("history.vsLastYear")}
+                title={t("history.lastYearValue", { temp: formatTemp(todayRef.lastYear?.max, units.temp) })}
+              />
+              <DeltaBadge
+                delta={referenceDelta(todayMax, todayRef.normal?.max)}
+                units={units}
+                label={t("history.vsNormal")}
+                title={t("history.normalValue", { temp: formatTemp(todayRef.normal?.max, units.temp) })}
+              />
+            </div>
+          ) : null}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="inline-flex items-center overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/70 shadow-sm dark:border-white/10 dark:bg-zinc-950/40">
+            <button
+              onClick={onRefresh}
+              disabled={refreshing}
+              className="inline-flex items-center gap-2 px-3 py-2.5 text-sm font-semibold text-zinc-900 hover:bg-white disabled:opacity-60 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+              title={t("refresh.now")}
+              aria-label={t("refresh.now")}
+            >
+              <RefreshCcw className={`h-4 w-4 ${refreshing ? "animate-spin" : ""}`} />
+            </button>
+            <select
+              value={refreshInterval}
+              onChange={(e) => onChangeRefreshInterval(Number(e.target.value))}
+              className="border-l border-zinc-200/60 bg-transparent py-2.5 pl-2 pr-1 text-xs font-semibold text-zinc-700 outline-none dark:border-white/10 dark:text-zinc-200"
+              title={t("refresh.autoTitle")}
+              aria-label={t("refresh.autoTitle")}
+            >
+              {REFRESH_INTERVALS.map((min) => (
+                <option key={min} value={min}>
+                  {min === 0 ? t("refresh.off") : min < 60 ? t("refresh.everyMinutes", { min }) : t("refresh.everyHours", { h: min / 60 })}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ShareButton t={t} />
+          <button
+            onClick={onToggleFavorite}
+            disabled={!isFavorite && favoritesFull}
+            className={`inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2.5 text-sm font-semibold shadow-sm transition disabled:cursor-not-allowed disabled:opacity-50 ${isFavorite
+              ? "bg-amber-500 text-white hover:bg-amber-600"
+              : "border border-zinc-200/60 bg-white/70 text-zinc-900 hover:bg-white dark:border-white/10 dark:bg-zinc-950/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+              }`}
+            title={
+              isFavorite
+                ? t("favorites.remove")
+                : favoritesFull
+                  ? t("favorites.limitReached", { limit: favoritesLimit })
+                  : t("favorites.add")
+            }
+          >
+            <Star className="h-4 w-4" /> {isFavorite ? t("favorites.isFavorite") : t("favorites.favorite")}
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-6 grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4">
+        <Pill icon={Droplets} label={t("current.humidity")} value={`${humidity ?? "–"}%`} />
+        <Pill
+          icon={Wind}
+          label={t("current.wind")}
+          value={[formatSpeed(wind, units.wind), compassPoint(current?.windDir) && t(`compass.${compassPoint(current.windDir)}`)]
+            .filter(Boolean)
+            .join(" ")}
+        />
+        <Pill icon={Eye} label={t("current.visibility")} value={formatDistance(visibility, units.distance)} />
+        <Pill icon={CloudRain} label={t("current.precip")} value={formatPrecip(current?.precip, units.precip)} />
+      </div>
+    </div>
+  );
+}
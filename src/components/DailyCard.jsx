@@ -0,0 +1,114 @@
+import { useEffect, useRef, useState } from "react";
+import { Droplets, Volume2, VolumeX } from "lucide-react";
+import { isSpeechSupported, speak } from "../lib/speech.js";
+import { NORMAL_YEARS, referenceDelta } from "../lib/history.js";
+import { ExportMenu } from "./ExportMenu.jsx";
+import { DeltaBadge } from "./common.jsx";
+import { wxLabel } from "../i18n/phrases.js";
+import { formatTemp, formatPrecip, wxEmoji } from "../lib/format.js";
+
+export function DailyCard({ days, units, reference, summaries, selectedDay, onSelectDay, onExport, locale, t }) {
+  const [speaking, setSpeaking] = useState(false);
+  const stopRef = useRef(null);
+  const canSpeak = isSpeechSupported();
+
+  // Para a leitura ao sair da tela
+  useEffect(() => () => stopRef.current?.(), []);
+
+  if (!days?.length) return null;
+
+  // Lê o dia selecionado (ou hoje)
+  const readDay = days.find((d) => d.day === selectedDay) || days[0];
+  const readText = summaries?.[readDay.day];
+
+  function toggleSpeech() {
+    if (speaking) {
+      stopRef.current?.();
+      return;
+    }
+    setSpeaking(true);
+    stopRef.current = speak(`${readDay.label}. ${readText}`, locale, {
+      onEnd: () => {
+        stopRef.current = null;
+        setSpeaking(false);
+      },
+    });
+  }
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("daily.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">
+            {t("daily.subtitle")}
+            {reference ? ` • ${t("history.dailyHint", { years: NORMAL_YEARS })}` : ""}
+          </div>
+        </div>
+        <div className="flex shrink-0 items-center gap-2">
+          {onExport ? <ExportMenu formats={["csv", "json", "ics"]} onExport={onExport} t={t} /> : null}
+          {canSpeak && readText ? (
+            <button
+              onClick={toggleSpeech}
+              aria-pressed={speaking}
+              title={speaking ? t("summary.stop") : t("summary.readDay", { day: readDay.label })}
+              className="inline-flex shrink-0 items-center gap-1 rounded-xl border border-zinc-200/60 px-2 py-1 text-xs font-semibold text-zinc-700 hover:bg-white dark:border-white/10 dark:text-zinc-200 dark:hover:bg-white/5"
+            >
+              {speaking ? <VolumeX className="h-3.5 w-3.5" /> : <Volume2 className="h-3.5 w-3.5" />}
+              {speaking ? t("summary.stop") : t("summary.readAloud")}
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="mt-4 grid gap-2">
+        {days.slice(0, 7).map((d) => (
+          <button
+            key={d.day}
+            onClick={() => onSelectDay?.(d.day)}
+            aria-pressed={selectedDay === d.day}
+            title={t("daily.showHours")}
+            className={`flex w-full items-center justify-between rounded-2xl border px-4 py-3 text-left shadow-sm backdrop-blur transition ${selectedDay === d.day
+              ? "border-zinc-900 bg-white dark:border-white dark:bg-zinc-900/70"
+              : "border-zinc-200/60 bg-white/60 hover:bg-white dark:border-white/10 dark:bg-zinc-950/30 dark:hover:bg-zinc-900/60"
+              }`}
+          >
+            <div className="flex items-center gap-3">
+              <div className="text-xl" aria-hidden>
+                {wxEmoji(d.code, true)}
+              </div>
+              <div>
+                <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{d.label}</div>
+                <div className="text-xs text-zinc-600 dark:text-zinc-300">{wxLabel(d.code, t)}</div>
+                {summaries?.[d.day] ? (
+                  <div className="mt-0.5 text-xs text-zinc-500 dark:text-zinc-400">{summaries[d.day]}</div>
+                ) : null}
+                {d.precip > 0 || d.popMax > 0 ? (
+                  <div className="mt-0.5 inline-flex items-center gap-1 text-xs text-sky-700 dark:text-sky-300">
+                    <Droplets className="h-3 w-3" />
+                    {d.precip != null ? formatPrecip(d.precip, units.precip) : null}
+                    {d.precip != null && d.popMax != null ? " • " : null}
+                    {d.popMax != null ? `${d.popMax}%` : null}
+                  </div>
+                ) : null}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3">
+              <DeltaBadge
+                delta={referenceDelta(d.max, reference?.[d.day]?.normal?.max)}
+                units={units}
+                title={[
+                  t("history.normalValue", { temp: formatTemp(reference?.[d.day]?.normal?.max, units.temp) }),
+                  t("history.lastYearValue", { temp: formatTemp(reference?.[d.day]?.lastYear?.max, units.temp) }),
+                ].join(" • ")}
+              />
+              <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{formatTemp(d.max, units.temp)}</div>
+              <div className="text-sm text-zinc-500 dark:text-zinc-400">{formatTemp(d.min, units.temp)}</div>
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from "react";
+import { Download } from "lucide-react";
+
+//Menu "Exportar" dos cartões de série (formatos: "csv" | "json" | "ics")
+export function ExportMenu({ formats, onExport, t }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Fecha com clique/toque fora ou Esc (blur não serve: no Safari/macOS botões não recebem foco no clique)
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => !rootRef.current?.contains(e.target) && setOpen(false);
+    const onKeyDown = (e) => e.key === "Escape" && setOpen(false);
+    document.addEventListener("pointerdown", onPointerDown);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("pointerdown", onPointerDown);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [open]);
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="inline-flex items-center gap-1 rounded-xl border border-zinc-200/60 px-2 py-1 text-xs font-semibold text-zinc-700 hover:bg-white dark:border-white/10 dark:text-zinc-200 dark:hover:bg-white/5"
+      >
+        <Download className="h-3.5 w-3.5" /> {t("export.menu")}
+      </button>
+      {open ? (
+        <div
+          role="menu"
+          className="absolute right-0 z-10 mt-1 grid min-w-40 overflow-hidden rounded-2xl border border-zinc-200/60 bg-white py-1 text-sm shadow-lg dark:border-white/10 dark:bg-zinc-900"
+        >
+          {formats.map((f) => (
+            <button
+              key={f}
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(f);
+              }}
+              className="px-3 py-1.5 text-left text-zinc-700 hover:bg-zinc-100 dark:text-zinc-200 dark:hover:bg-white/10"
+            >
+              {t(`export.formats.${f}`)}
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { StarOff, AlertTriangle } from "lucide-react";
+import { maxSeverity } from "../lib/alerts.js";
+import { favoriteGroups, favoriteName } from "../lib/favorites.js";
+import { placeKey, isSamePlace, placeLabel } from "../lib/places.js";
+
+export function FavoriteChips({ favorites, current, alertsByPlace, onPick, onToggle, locale, t }) {
+  if (!favorites.length) return null;
+
+  //Com grupos definidos, os chips aparecem separados por grupo (os sem grupo por último)
+  const groups = favoriteGroups(favorites, locale);
+  const sections = groups.length
+    ? [
+      ...groups.map((g) => ({ label: g, items: favorites.filter((f) => f.group?.trim() === g) })),
+      { label: t("favoritesManager.ungrouped"), items: favorites.filter((f) => !f.group?.trim()) },
+    ].filter((s) => s.items.length)
+    : [{ label: null, items: favorites }];
+
+  const chip = (p) => {
+    const active = current && isSamePlace(current, p);
+    const alerts = alertsByPlace?.[placeKey(p)] || [];
+    const severity = maxSeverity(alerts);
+    return (
+      <div
+        key={placeKey(p)}
+        className={`group inline-flex items-center rounded-2xl border text-sm shadow-sm backdrop-blur transition ${active
+          ? "border-zinc-900 bg-zinc-900 text-white dark:border-white dark:bg-white dark:text-zinc-900"
+          : "border-zinc-200/60 bg-white/70 text-zinc-900 hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+          }`}
+      >
+        <button
+          onClick={() => onPick(p)}
+          aria-current={active ? "true" : undefined}
+          className="inline-flex items-center gap-2 rounded-l-2xl py-2 pl-3 pr-1"
+          title={placeLabel(p)}
+        >
+          <span className="max-w-[16rem] truncate font-semibold">{favoriteName(p)}</span>
+          <span className={`text-xs ${active ? "text-white/80 dark:text-zinc-700" : "text-zinc-500 dark:text-zinc-400"}`}>
+            {p.country}
+          </span>
+          {severity ? (
+            <span title={t("alerts.favoriteTitle", { count: alerts.length })} className="inline-flex">
+              <AlertTriangle
+                className={`h-4 w-4 ${severity === "danger" ? "text-rose-500" : "text-amber-500"}`}
+                aria-label={t("alerts.favoriteTitle", { count: alerts.length })}
+              />
+            </span>
+          ) : null}
+        </button>
+        <button
+          onClick={() => onToggle(p)}
+          className={`mr-2 inline-flex rounded-xl p-1 ${active ? "hover:bg-white/15 dark:hover:bg-zinc-900/10" : "hover:bg-zinc-50 dark:hover:bg-white/5"}`}
+          title={t("favorites.remove")}
+          aria-label={t("favorites.removeNamed", { name: placeLabel(p) })}
+        >
+          <StarOff className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-4 grid gap-2">
+      {sections.map((s) => (
+        <div
+          key={s.label ?? ""}
+          role={s.label ? "group" : undefined}
+          aria-label={s.label ?? undefined}
+          className="flex flex-wrap items-center gap-2"
+        >
+          {s.label ? <span className="text-xs font-semibold text-zinc-500 dark:text-zinc-400">{s.label}</span> : null}
+          {s.items.map(chip)}
+        </div>
+      ))}
+    </div>
+  );
+}
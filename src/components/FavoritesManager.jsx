@@ -0,0 +1,262 @@
+import { useEffect, useRef, useState } from "react";
+import { Trash2, Download, GripVertical, ArrowUp, ArrowDown, Upload } from "lucide-react";
+import { placeNowIso } from "../lib/time.js";
+import {
+  FAVORITES_LIMIT_OPTIONS,
+  FavoritesImportError,
+  favoriteGroups,
+  favoriteName,
+  mergeFavorites,
+  moveItem,
+  parseFavoritesFile,
+  serializeFavorites,
+} from "../lib/favorites.js";
+import { fieldClass } from "./styles.js";
+import { downloadFile } from "../lib/download.js";
+import { placeKey, isSamePlace, placeLabel } from "../lib/places.js";
+
+//Campo de texto que só confirma (onCommit) ao sair do campo ou com Enter; Esc descarta a edição.
+//Evita gravar os favoritos (e disparar o que depende deles) a cada tecla
+function DraftInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null); // null: sem edição em andamento, mostra o valor salvo
+
+  function commit() {
+    if (draft !== null && draft !== value) onCommit(draft);
+    setDraft(null);
+  }
+
+  return (
+    <input
+      {...props}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+        if (e.key === "Escape") setDraft(null);
+      }}
+    />
+  );
+}
+
+export function FavoritesManager({ favorites, limit, onChange, onChangeLimit, onPick, locale, t }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [handleIndex, setHandleIndex] = useState(null); // linha cuja alça foi pressionada (só ela fica arrastável)
+  const [status, setStatus] = useState(null); // { tone: "ok" | "error", text }
+  const fileRef = useRef(null);
+  const listRef = useRef(null);
+  const focusAfterMove = useRef(null); // { key, dir }: devolve o foco ao botão após reordenar pelo teclado
+  const groups = favoriteGroups(favorites, locale);
+
+  useEffect(() => {
+    const pending = focusAfterMove.current;
+    if (!pending) return;
+    focusAfterMove.current = null;
+    const row = [...(listRef.current?.children || [])].find((el) => el.dataset.key === pending.key);
+    const button = row?.querySelector(`[data-move="${pending.dir}"]`);
+    (button && !button.disabled ? button : row?.querySelector("[data-move]:not(:disabled)"))?.focus();
+  }, [favorites]);
+
+  const update = (p, patch) => onChange(favorites.map((f) => (isSamePlace(f, p) ? { ...f, ...patch } : f)));
+
+  function move(from, to, dir) {
+    if (to < 0 || to >= favorites.length) return;
+    if (dir) focusAfterMove.current = { key: placeKey(favorites[from]), dir };
+    onChange(moveItem(favorites, from, to));
+    setStatus({
+      tone: "ok",
+      text: t("favoritesManager.moved", { name: favoriteName(favorites[from]), position: to + 1, total: favorites.length }),
+    });
+  }
+
+  function endDrag() {
+    setDragIndex(null);
+    setOverIndex(null);
+    setHandleIndex(null);
+  }
+
+  function exportFile() {
+    const name = `${t("favoritesManager.fileName")}-${placeNowIso(null).slice(0, 10)}.json`;
+    downloadFile(name, serializeFavorites(favorites), "application/json");
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // permite importar o mesmo arquivo de novo
+    if (!file) return;
+    try {
+      const incoming = parseFavoritesFile(await file.text());
+      const { list, added, duplicates, overLimit } = mergeFavorites(favorites, incoming, { keyOf: placeKey, limit });
+      onChange(list);
+      setStatus({
+        tone: overLimit ? "error" : "ok",
+        text: [
+          t("favoritesManager.imported", { count: added }),
+          duplicates ? t("favoritesManager.importDuplicates", { count: duplicates }) : null,
+          overLimit ? t("favoritesManager.importOverLimit", { count: overLimit, limit }) : null,
+        ]
+          .filter(Boolean)
+          .join(" "),
+      });
+    } catch (err) {
+      const code = err instanceof FavoritesImportError ? err.code : "invalidJson";
+      setStatus({ tone: "error", text: t(`favoritesManager.importErrors.${code}`) });
+    }
+  }
+
+  const iconButton = "rounded-xl p-1.5 hover:bg-zinc-100 disabled:opacity-30 disabled:hover:bg-transparent dark:hover:bg-white/10";
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("favoritesManager.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">
+            {t("favoritesManager.subtitle", { count: favorites.length, limit })}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="inline-flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+            {t("favoritesManager.limit")}
+            <select value={limit} onChange={(e) => onChangeLimit(Number(e.target.value))} className={fieldClass}>
+              {FAVORITES_LIMIT_OPTIONS.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={exportFile}
+            disabled={!favorites.length}
+            className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-3 py-2 text-xs font-semibold text-zinc-900 shadow-sm hover:bg-white disabled:opacity-50 dark:border-white/10 dark:bg-zinc-950/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+          >
+            <Download className="h-4 w-4" /> {t("favoritesManager.export")}
+          </button>
+          <button
+            onClick={() => fileRef.current?.click()}
+            className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-3 py-2 text-xs font-semibold text-white shadow-sm hover:bg-zinc-700 dark:bg-white dark:text-zinc-900 dark:hover:bg-zinc-200"
+          >
+            <Upload className="h-4 w-4" /> {t("favoritesManager.import")}
+          </button>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+        </div>
+      </div>
+
+      {favorites.length > limit ? (
+        <div className="mt-3 rounded-2xl bg-amber-50/80 px-3 py-2 text-xs text-amber-900 dark:bg-amber-950/40 dark:text-amber-100">
+          {t("favoritesManager.overLimit", { count: favorites.length, limit })}
+        </div>
+      ) : null}
+
+      <div
+        role="status"
+        className={`mt-3 text-xs ${status?.tone === "error" ? "text-rose-600 dark:text-rose-300" : "text-zinc-600 dark:text-zinc-300"}`}
+      >
+        {status?.text}
+      </div>
+
+      {favorites.length ? (
+        <ul ref={listRef} className="mt-3 grid gap-2">
+          {favorites.map((p, i) => (
+            <li
+              key={placeKey(p)}
+              data-key={placeKey(p)}
+              draggable={handleIndex === i}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = "move";
+                setDragIndex(i);
+              }}
+              onDragOver={(e) => {
+                if (dragIndex == null) return;
+                e.preventDefault();
+                setOverIndex(i);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                if (dragIndex != null) move(dragIndex, i);
+                endDrag();
+              }}
+              onDragEnd={endDrag}
+              className={`flex flex-wrap items-center gap-2 rounded-2xl border bg-white/60 px-3 py-2 text-sm shadow-sm transition dark:bg-zinc-950/30 ${overIndex === i && dragIndex !== i
+                ? "border-zinc-900 dark:border-white"
+                : "border-zinc-200/60 dark:border-white/10"
+                } ${dragIndex === i ? "opacity-50" : ""}`}
+            >
+              <span
+                onPointerDown={() => setHandleIndex(i)}
+                onPointerUp={() => setHandleIndex(null)}
+                className="cursor-grab text-zinc-400 active:cursor-grabbing"
+                title={t("favoritesManager.drag")}
+              >
+                <GripVertical className="h-4 w-4" />
+              </span>
+              <button
+                onClick={() => onPick(p)}
+                className="min-w-0 flex-1 basis-40 text-left"
+                title={t("favoritesManager.open")}
+              >
+                <div className="truncate font-semibold text-zinc-900 dark:text-zinc-50">{favoriteName(p)}</div>
+                <div className="truncate text-xs text-zinc-600 dark:text-zinc-300">{placeLabel(p)}</div>
+              </button>
+              <DraftInput
+                value={p.nickname || ""}
+                onCommit={(nickname) => update(p, { nickname })}
+                placeholder={p.name}
+                className={`${fieldClass} w-36`}
+                aria-label={t("favoritesManager.nicknameFor", { name: placeLabel(p) })}
+              />
+              <DraftInput
+                value={p.group || ""}
+                onCommit={(group) => update(p, { group })}
+                placeholder={t("favoritesManager.groupPlaceholder")}
+                list="favorite-groups"
+                className={`${fieldClass} w-32`}
+                aria-label={t("favoritesManager.groupFor", { name: placeLabel(p) })}
+              />
+              <div className="flex shrink-0 items-center gap-1">
+                <button
+                  data-move="up"
+                  onClick={() => move(i, i - 1, "up")}
+                  disabled={i === 0}
+                  className={iconButton}
+                  aria-label={t("favoritesManager.moveUp", { name: favoriteName(p) })}
+                  title={t("favoritesManager.moveUp", { name: favoriteName(p) })}
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </button>
+                <button
+                  data-move="down"
+                  onClick={() => move(i, i + 1, "down")}
+                  disabled={i === favorites.length - 1}
+                  className={iconButton}
+                  aria-label={t("favoritesManager.moveDown", { name: favoriteName(p) })}
+                  title={t("favoritesManager.moveDown", { name: favoriteName(p) })}
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => onChange(favorites.filter((f) => !isSamePlace(f, p)))}
+                  className={iconButton}
+                  aria-label={t("favorites.removeNamed", { name: placeLabel(p) })}
+                  title={t("favorites.remove")}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-3 text-xs text-zinc-500 dark:text-zinc-400">{t("favoritesManager.empty")}</div>
+      )}
+
+      <datalist id="favorite-groups">
+        {groups.map((g) => (
+          <option key={g} value={g} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+export function Footer({ provider, t }) {
+  return (
+    <div className="mt-10 text-center text-xs text-zinc-500 dark:text-zinc-400">
+      <div>
+        {t("app.dataSource", { source: t(`providers.${provider}`) })}
+      </div>
+    </div>
+  );
+}
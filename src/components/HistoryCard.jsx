@@ -0,0 +1,122 @@
+import { useMemo } from "react";
+import { RefreshCcw } from "lucide-react";
+import { Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ComposedChart, Bar } from "recharts";
+import { UNIT_LABELS, convertTemp, convertPrecip } from "../lib/units.js";
+import { formatLocalDate } from "../lib/time.js";
+import { addDays } from "../lib/history.js";
+import { fieldClass } from "./styles.js";
+import { formatTemp, formatPrecip } from "../lib/format.js";
+
+//Atalhos de intervalo do histórico, em dias até a data mais recente disponível
+const HISTORY_PRESETS = [7, 30, 90, 365];
+
+//Histórico diário (máx./mín. e chuva) do lugar atual no intervalo escolhido
+export function HistoryCard({ range, latest, days, loading, error, units, locale, onChangeRange, onRetry, t }) {
+  const chartData = useMemo(
+    () =>
+      (days || []).map((d) => ({
+        label: formatLocalDate(d.date, locale),
+        max: convertTemp(d.max, units.temp),
+        min: convertTemp(d.min, units.temp),
+        precip: convertPrecip(d.precip, units.precip),
+      })),
+    [days, units, locale]
+  );
+
+  const summary = useMemo(() => {
+    const ok = (days || []).filter((d) => d.max != null && d.min != null);
+    if (!ok.length) return null;
+    return {
+      avgMax: ok.reduce((a, d) => a + d.max, 0) / ok.length,
+      avgMin: ok.reduce((a, d) => a + d.min, 0) / ok.length,
+      precip: (days || []).reduce((a, d) => a + (d.precip || 0), 0),
+    };
+  }, [days]);
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("history.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("history.subtitle")}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="date"
+            value={range.start}
+            max={latest}
+            min="1940-01-01"
+            onChange={(e) => e.target.value && onChangeRange({ ...range, start: e.target.value })}
+            aria-label={t("history.start")}
+            className={fieldClass}
+          />
+          <span className="text-xs text-zinc-500">–</span>
+          <input
+            type="date"
+            value={range.end}
+            max={latest}
+            min="1940-01-01"
+            onChange={(e) => e.target.value && onChangeRange({ ...range, end: e.target.value })}
+            aria-label={t("history.end")}
+            className={fieldClass}
+          />
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-1">
+        {HISTORY_PRESETS.map((n) => (
+          <button
+            key={n}
+            onClick={() => onChangeRange({ start: addDays(latest, -(n - 1)), end: latest })}
+            className="rounded-xl px-2.5 py-1 text-xs font-semibold text-zinc-600 hover:bg-zinc-100 dark:text-zinc-300 dark:hover:bg-white/5"
+          >
+            {t("history.lastDays", { n })}
+          </button>
+        ))}
+      </div>
+
+      {error ? (
+        <div className="mt-4 flex items-center justify-between gap-3 rounded-2xl border border-rose-200/60 bg-rose-50/70 px-4 py-3 text-sm text-rose-800 dark:border-rose-500/20 dark:bg-rose-500/10 dark:text-rose-200">
+          <span>{t("history.error")}</span>
+          <button onClick={onRetry} className="inline-flex items-center gap-1 text-xs font-semibold underline">
+            <RefreshCcw className="h-3.5 w-3.5" /> {t("errors.retry")}
+          </button>
+        </div>
+      ) : loading ? (
+        <div className="mt-4 h-64 animate-pulse rounded-2xl bg-zinc-200/60 dark:bg-white/5" />
+      ) : chartData.length ? (
+        <>
+          {summary ? (
+            <div className="mt-4 flex flex-wrap gap-4 text-xs text-zinc-600 dark:text-zinc-300">
+              <span>{t("history.avgMax", { temp: formatTemp(summary.avgMax, units.temp) })}</span>
+              <span>{t("history.avgMin", { temp: formatTemp(summary.avgMin, units.temp) })}</span>
+              <span>{t("history.totalPrecip", { value: formatPrecip(summary.precip, units.precip) })}</span>
+            </div>
+          ) : null}
+          <div className="mt-3 h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+                <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={24} />
+                <YAxis yAxisId="temp" tick={{ fontSize: 11 }} width={36} unit="°" />
+                <YAxis yAxisId="precip" orientation="right" tick={{ fontSize: 11 }} width={40} />
+                <Tooltip
+                  formatter={(value, name, item) =>
+                    item.dataKey === "precip"
+                      ? [`${Number(value).toFixed(units.precip === "in" ? 2 : 1)} ${UNIT_LABELS.precip[units.precip]}`, name]
+                      : [`${Math.round(value)}°`, name]
+                  }
+                />
+                <Bar yAxisId="precip" dataKey="precip" name={t("history.precip")} fill="#3b82f6" opacity={0.35} />
+                <Line yAxisId="temp" type="monotone" dataKey="max" name={t("history.max")} stroke="#f97316" strokeWidth={2} dot={false} />
+                <Line yAxisId="temp" type="monotone" dataKey="min" name={t("history.min")} stroke="#0ea5e9" strokeWidth={2} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      ) : (
+        <div className="mt-4 text-sm text-zinc-600 dark:text-zinc-300">{t("history.empty")}</div>
+      )}
+    </div>
+  );
+}
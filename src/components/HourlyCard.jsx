@@ -0,0 +1,149 @@
+import { Maximize2 } from "lucide-react";
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceArea } from "recharts";
+import { UNIT_LABELS, convertTemp } from "../lib/units.js";
+import { ExportMenu } from "./ExportMenu.jsx";
+import { formatTemp } from "../lib/format.js";
+
+//Resumo em texto da série horária, para quem não vê o gráfico (leitores de tela)
+function hourlySummary(series, units, t) {
+  const withTemp = series.filter((h) => h.temp != null);
+  if (!withTemp.length) return "";
+  const hottest = withTemp.reduce((a, h) => (h.temp > a.temp ? h : a));
+  const coldest = withTemp.reduce((a, h) => (h.temp < a.temp ? h : a));
+  const wettest = series.reduce((a, h) => ((h.pop ?? 0) > (a.pop ?? 0) ? h : a), series[0]);
+  const parts = [
+    t("hourly.summary", {
+      hours: series.length,
+      min: formatTemp(coldest.temp, units.temp),
+      minTime: coldest.time,
+      max: formatTemp(hottest.temp, units.temp),
+      maxTime: hottest.time,
+    }),
+  ];
+  parts.push(
+    wettest?.pop ? t("hourly.summaryRain", { pop: wettest.pop, time: wettest.time }) : t("hourly.summaryDry")
+  );
+  return parts.join(" ");
+}
+
+export function HourlyCard({ series, units, marks, markLabel, onExpand, onExport, t }) {
+  if (!series?.length) return null;
+  // O gráfico precisa dos valores já na unidade de exibição
+  const chartData = series.map((h) => ({ ...h, temp: convertTemp(h.temp, units.temp), feels: convertTemp(h.feels, units.temp) }));
+  const summary = hourlySummary(series, units, t);
+  // Janelas do planejador que caem nas horas do gráfico, em rótulos do eixo: do início até o ponto
+  // do fim da janela (ou a última hora do gráfico, quando ela passa dele)
+  const areas = (marks || [])
+    .map((w) => {
+      const hours = series.filter((h) => h.iso >= w.start && h.iso <= w.end);
+      return hours.length ? { x1: hours[0].time, x2: hours[hours.length - 1].time } : null;
+    })
+    .filter((a) => a && a.x1 !== a.x2);
+
+  return (
+    <div
+      role="region"
+      aria-labelledby="hourly-title"
+      aria-describedby="hourly-summary"
+      className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex items-center justify-between">
+        <div>
+          <div id="hourly-title" className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">
+            {t("hourly.title")}
+          </div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("hourly.subtitle")}</div>
+          {areas.length && markLabel ? (
+            <div className="mt-1 inline-flex items-center gap-1.5 text-xs text-emerald-700 dark:text-emerald-300">
+              <span className="h-2.5 w-2.5 rounded-sm bg-emerald-500/40" aria-hidden="true" /> {t("planner.chartMark", { activity: markLabel })}
+            </div>
+          ) : null}
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="text-xs text-zinc-500 dark:text-zinc-400">{UNIT_LABELS.temp[units.temp]}</div>
+          {onExport ? <ExportMenu formats={["csv", "json"]} onExport={onExport} t={t} /> : null}
+          {onExpand ? (
+            <button
+              onClick={onExpand}
+              className="inline-flex items-center gap-1 rounded-xl border border-zinc-200/60 px-2 py-1 text-xs font-semibold text-zinc-700 hover:bg-white dark:border-white/10 dark:text-zinc-200 dark:hover:bg-white/5"
+            >
+              <Maximize2 className="h-3.5 w-3.5" /> {t("detail.open")}
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      <p id="hourly-summary" className="sr-only">
+        {summary}
+      </p>
+      {/* Tabela só para leitores de tela: o gráfico em si é decorativo para eles */}
+      <table className="sr-only">
+        <caption>{t("hourly.tableCaption")}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{t("hourly.time")}</th>
+            <th scope="col">{t("hourly.temp")}</th>
+            <th scope="col">{t("hourly.feels")}</th>
+            <th scope="col">{t("hourly.rain")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {series.map((h) => (
+            <tr key={h.iso}>
+              <th scope="row">{h.time}</th>
+              <td>{formatTemp(h.temp, units.temp)}</td>
+              <td>{formatTemp(h.feels, units.temp)}</td>
+              <td>{h.pop ?? 0}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mt-4 h-56" aria-hidden="true">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={chartData} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+            <XAxis dataKey="time" tick={{ fontSize: 12 }} interval={2} />
+            <YAxis tick={{ fontSize: 12 }} domain={["dataMin - 2", "dataMax + 2"]} />
+            <Tooltip
+              content={({ active, payload, label }) => {
+                if (!active || !payload?.length) return null;
+                const p = payload[0].payload;
+                return (
+                  <div className="rounded-2xl border border-zinc-200/60 bg-white/90 px-3 py-2 text-xs shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/80">
+                    <div className="font-semibold text-zinc-900 dark:text-zinc-50">{label}</div>
+                    <div className="mt-1 text-zinc-700 dark:text-zinc-200">
+                      {t("hourly.temp")}: <span className="font-semibold">{Math.round(p.temp)}°</span>
+                    </div>
+                    <div className="text-zinc-700 dark:text-zinc-200">
+                      {t("hourly.feels")}: <span className="font-semibold">{Math.round(p.feels)}°</span>
+                    </div>
+                    <div className="text-zinc-700 dark:text-zinc-200">
+                      {t("hourly.rain")}: <span className="font-semibold">{p.pop ?? 0}%</span>
+                    </div>
+                  </div>
+                );
+              }}
+            />
+            {areas.map((a) => (
+              <ReferenceArea key={a.x1} x1={a.x1} x2={a.x2} fill="#10b981" fillOpacity={0.15} ifOverflow="extendDomain" />
+            ))}
+            <Area type="monotone" dataKey="temp" fillOpacity={0.25} strokeWidth={2} />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 grid grid-cols-4 gap-2">
+        {series.slice(0, 8).map((h) => (
+          <div
+            key={h.iso}
+            className="rounded-2xl border border-zinc-200/60 bg-white/60 px-3 py-2 text-center text-xs shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-950/30"
+          >
+            <div className="text-zinc-500 dark:text-zinc-400">{h.time}</div>
+            <div className="mt-1 font-semibold text-zinc-900 dark:text-zinc-50">{formatTemp(h.temp, units.temp)}</div>
+            <div className="mt-1 text-[11px] text-zinc-600 dark:text-zinc-300">{h.pop ?? 0}%</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
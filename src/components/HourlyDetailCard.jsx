@@ -0,0 +1,183 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ComposedChart, Bar, Brush } from "recharts";
+import { UNIT_LABELS, convertTemp, convertWind, convertDistance } from "../lib/units.js";
+import { formatLocalWeekday } from "../lib/time.js";
+
+//Métricas do gráfico detalhado: eixo Y em que cada uma é desenhada e cor da série
+const DETAIL_METRICS = {
+  temp: { axis: "temp", color: "#f97316" },
+  feels: { axis: "temp", color: "#ef4444", dashed: true },
+  pop: { axis: "percent", color: "#3b82f6", bar: true },
+  humidity: { axis: "percent", color: "#06b6d4" },
+  wind: { axis: "wind", color: "#10b981" },
+  visibility: { axis: "distance", color: "#a855f7" },
+};
+
+//Converte um valor canônico de métrica do detalhe para a unidade de exibição
+function detailValue(metric, v, units) {
+  if (v == null) return v;
+  const axis = DETAIL_METRICS[metric].axis;
+  if (axis === "temp") return convertTemp(v, units.temp);
+  if (axis === "wind") return convertWind(v, units.wind);
+  if (axis === "distance") return convertDistance(v, units.distance);
+  return v;
+}
+
+function detailAxisUnit(axis, units) {
+  if (axis === "temp") return UNIT_LABELS.temp[units.temp];
+  if (axis === "wind") return UNIT_LABELS.wind[units.wind];
+  if (axis === "distance") return UNIT_LABELS.distance[units.distance];
+  return "%";
+}
+
+//Índices [início, fim] das horas de um dia na série completa
+function dayRange(series, day) {
+  const start = series.findIndex((h) => h.iso.startsWith(day));
+  if (start < 0) return null;
+  let end = start;
+  while (end + 1 < series.length && series[end + 1].iso.startsWith(day)) end++;
+  return { start, end };
+}
+
+//Gráfico das 168 horas da previsão com métricas escolhidas pelo usuário (um eixo Y por grandeza)
+export function HourlyDetailCard({ series, days, units, focusDay, nowISO, locale, onClose, t }) {
+  const ref = useRef(null);
+  const [metrics, setMetrics] = useState(["temp", "pop"]);
+  // O componente é montado de novo (key) quando o dia em foco muda, então o intervalo inicial sai daqui
+  const [range, setRange] = useState(() => {
+    const fromDay = focusDay && dayRange(series, focusDay);
+    if (fromDay) return fromDay;
+    const now = Math.max(0, series.findIndex((h) => h.iso >= (nowISO || "")));
+    return { start: now, end: Math.min(series.length - 1, now + 23) };
+  });
+
+  useEffect(() => {
+    if (focusDay) ref.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [focusDay]);
+
+  const chartData = useMemo(
+    () =>
+      series.map((h) => {
+        const row = { iso: h.iso, label: `${formatLocalWeekday(h.iso, locale)} ${h.time}` };
+        for (const m of Object.keys(DETAIL_METRICS)) row[m] = detailValue(m, h[m], units);
+        return row;
+      }),
+    [series, units, locale]
+  );
+
+  const axes = [...new Set(metrics.map((m) => DETAIL_METRICS[m].axis))];
+  const toggleMetric = (m) =>
+    setMetrics((prev) => (prev.includes(m) ? (prev.length > 1 ? prev.filter((x) => x !== m) : prev) : [...prev, m]));
+
+  return (
+    <div
+      ref={ref}
+      className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("detail.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("detail.subtitle")}</div>
+        </div>
+        <button
+          onClick={onClose}
+          className="rounded-xl p-1.5 hover:bg-zinc-100 dark:hover:bg-white/10"
+          title={t("detail.close")}
+          aria-label={t("detail.close")}
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-2" role="group" aria-label={t("detail.metricsLabel")}>
+        {Object.entries(DETAIL_METRICS).map(([m, cfg]) => (
+          <button
+            key={m}
+            onClick={() => toggleMetric(m)}
+            aria-pressed={metrics.includes(m)}
+            className={`inline-flex items-center gap-2 rounded-2xl border px-3 py-1.5 text-xs font-semibold transition ${metrics.includes(m)
+              ? "border-zinc-900 bg-zinc-900 text-white dark:border-white dark:bg-white dark:text-zinc-900"
+              : "border-zinc-200/60 text-zinc-700 hover:bg-white dark:border-white/10 dark:text-zinc-200 dark:hover:bg-white/5"
+              }`}
+          >
+            <span className="h-2 w-2 rounded-full" style={{ background: cfg.color }} />
+            {t(`detail.metrics.${m}`)}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-1">
+        {days.map((d) => (
+          <button
+            key={d.day}
+            onClick={() => {
+              const r = dayRange(series, d.day);
+              if (r) setRange(r);
+            }}
+            className={`rounded-xl px-2.5 py-1 text-xs font-semibold ${series[range.start]?.iso.startsWith(d.day)
+              ? "bg-zinc-200/80 text-zinc-900 dark:bg-white/15 dark:text-zinc-50"
+              : "text-zinc-600 hover:bg-zinc-100 dark:text-zinc-300 dark:hover:bg-white/5"
+              }`}
+          >
+            {d.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-4 h-80">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={24} />
+            {axes.map((axis, i) => (
+              <YAxis
+                key={axis}
+                yAxisId={axis}
+                orientation={i % 2 ? "right" : "left"}
+                tick={{ fontSize: 11 }}
+                width={44}
+                domain={axis === "percent" ? [0, 100] : ["auto", "auto"]}
+                unit={axis === "percent" ? "%" : undefined}
+                label={{ value: detailAxisUnit(axis, units), angle: -90, position: "insideLeft", fontSize: 10 }}
+              />
+            ))}
+            <Tooltip
+              formatter={(value, name, item) => {
+                const axis = DETAIL_METRICS[item.dataKey]?.axis;
+                const digits = axis === "distance" ? 1 : 0;
+                return [`${Number(value).toFixed(digits)} ${detailAxisUnit(axis, units)}`, name];
+              }}
+            />
+            {metrics.map((m) => {
+              const cfg = DETAIL_METRICS[m];
+              return cfg.bar ? (
+                <Bar key={m} yAxisId={cfg.axis} dataKey={m} name={t(`detail.metrics.${m}`)} fill={cfg.color} opacity={0.35} />
+              ) : (
+                <Line
+                  key={m}
+                  yAxisId={cfg.axis}
+                  type="monotone"
+                  dataKey={m}
+                  name={t(`detail.metrics.${m}`)}
+                  stroke={cfg.color}
+                  strokeDasharray={cfg.dashed ? "4 3" : undefined}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              );
+            })}
+            <Brush
+              dataKey="label"
+              height={24}
+              travellerWidth={8}
+              startIndex={range.start}
+              endIndex={range.end}
+              onChange={({ startIndex, endIndex }) => setRange({ start: startIndex, end: endIndex })}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
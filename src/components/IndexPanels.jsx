@@ -0,0 +1,203 @@
+import { TrendingUp, TrendingDown, Minus } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { UV_LEVELS, AQI_LEVELS, uvLevel, aqiLevel, compassPoint } from "../lib/indices.js";
+import { panelClass } from "./styles.js";
+import { formatSpeed } from "../lib/format.js";
+
+//Ponto (x, y) de um arco de raio r centrado em (cx, cy); ângulo em graus, 0 = topo, sentido horário
+function polar(cx, cy, r, deg) {
+  const rad = ((deg - 90) * Math.PI) / 180;
+  return [cx + r * Math.cos(rad), cy + r * Math.sin(rad)];
+}
+
+function arcPath(cx, cy, r, from, to) {
+  const [x1, y1] = polar(cx, cy, r, from);
+  const [x2, y2] = polar(cx, cy, r, to);
+  return `M ${x1} ${y1} A ${r} ${r} 0 ${to - from > 180 ? 1 : 0} 1 ${x2} ${y2}`;
+}
+
+//Índice UV em semicírculo (0 a 12+), com as faixas de risco coloridas
+const UV_GAUGE_MAX = 12;
+
+export function UvCard({ uv, uvMax, t }) {
+  const level = uvLevel(uv);
+  const angle = (v) => -90 + (Math.min(v, UV_GAUGE_MAX) / UV_GAUGE_MAX) * 180;
+
+  return (
+    <div className={panelClass}>
+      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("panels.uv.title")}</div>
+      <svg viewBox="0 0 120 70" className="mx-auto mt-2 h-24 w-full max-w-[180px]" role="img" aria-label={t("panels.uv.title")}>
+        {UV_LEVELS.map((l, i) => {
+          const from = i ? UV_LEVELS[i - 1].max : 0;
+          if (from >= UV_GAUGE_MAX) return null;
+          const d = arcPath(60, 60, 48, angle(from) + 1, angle(Math.min(l.max, UV_GAUGE_MAX)) - 1);
+          return <path key={l.id} d={d} stroke={l.color} strokeWidth="10" fill="none" strokeLinecap="round" opacity={0.85} />;
+        })}
+        {uv != null ? (
+          <line
+            x1="60"
+            y1="60"
+            x2={polar(60, 60, 36, angle(uv))[0]}
+            y2={polar(60, 60, 36, angle(uv))[1]}
+            className="stroke-zinc-900 dark:stroke-zinc-50"
+            strokeWidth="3"
+            strokeLinecap="round"
+          />
+        ) : null}
+        <circle cx="60" cy="60" r="4" className="fill-zinc-900 dark:fill-zinc-50" />
+      </svg>
+      <div className="text-center">
+        <div className="text-2xl font-semibold text-zinc-900 dark:text-zinc-50">{uv != null ? Math.round(uv) : "–"}</div>
+        {level ? (
+          <div className="text-xs font-semibold" style={{ color: level.color }}>
+            {t(`panels.uv.levels.${level.id}`)}
+          </div>
+        ) : null}
+        <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-300">
+          {level ? t(`panels.uv.advice.${level.id}`) : t("panels.unavailable")}
+        </div>
+        {uvMax != null ? (
+          <div className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">{t("panels.uv.todayMax", { value: Math.round(uvMax) })}</div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+//Rosa dos ventos: a seta aponta para onde o vento vai (direção meteorológica + 180°)
+export function WindCard({ wind, gusts, dir, gustsMax, units, t }) {
+  const point = compassPoint(dir);
+
+  return (
+    <div className={panelClass}>
+      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("panels.wind.title")}</div>
+      <svg viewBox="0 0 100 100" className="mx-auto mt-2 h-28 w-28" role="img" aria-label={t("panels.wind.title")}>
+        <circle cx="50" cy="50" r="40" fill="none" className="stroke-zinc-300 dark:stroke-white/20" strokeWidth="2" />
+        {["N", "E", "S", "W"].map((p, i) => {
+          const [x, y] = polar(50, 50, 31, i * 90);
+          return (
+            <text key={p} x={x} y={y + 3.5} textAnchor="middle" fontSize="10" className="fill-zinc-500 dark:fill-zinc-400">
+              {t(`compass.${p}`)}
+            </text>
+          );
+        })}
+        {dir != null ? (
+          <g transform={`rotate(${dir + 180} 50 50)`}>
+            <line x1="50" y1="68" x2="50" y2="26" strokeWidth="3" strokeLinecap="round" className="stroke-sky-600 dark:stroke-sky-400" />
+            <path d="M 50 20 L 44 31 L 56 31 Z" className="fill-sky-600 dark:fill-sky-400" />
+          </g>
+        ) : null}
+      </svg>
+      <div className="text-center">
+        <div className="text-2xl font-semibold text-zinc-900 dark:text-zinc-50">{formatSpeed(wind, units.wind)}</div>
+        <div className="text-xs text-zinc-600 dark:text-zinc-300">
+          {point ? t("panels.wind.from", { dir: t(`compass.${point}`) }) : t("panels.unavailable")}
+        </div>
+        <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-300">
+          {t("panels.wind.gusts", { value: formatSpeed(gusts, units.wind) })}
+        </div>
+        {gustsMax != null ? (
+          <div className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">
+            {t("panels.wind.gustsMax", { value: formatSpeed(gustsMax, units.wind) })}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const PRESSURE_TREND_ICONS = { rising: TrendingUp, falling: TrendingDown, steady: Minus };
+
+//Pressão ao nível do mar, tendência nas últimas 3 horas e curva das próximas 24 h
+export function PressureCard({ pressure, trend, series, t }) {
+  const TrendIcon = trend ? PRESSURE_TREND_ICONS[trend.trend] : null;
+  const data = (series || []).filter((h) => h.pressure != null);
+
+  return (
+    <div className={panelClass}>
+      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("panels.pressure.title")}</div>
+      <div className="mt-4 flex items-end justify-center gap-1">
+        <div className="text-2xl font-semibold text-zinc-900 dark:text-zinc-50">{pressure != null ? Math.round(pressure) : "–"}</div>
+        <div className="pb-1 text-xs text-zinc-500 dark:text-zinc-400">hPa</div>
+      </div>
+      <div className="mt-1 flex items-center justify-center gap-1 text-xs text-zinc-600 dark:text-zinc-300">
+        {TrendIcon ? (
+          <>
+            <TrendIcon className="h-3.5 w-3.5" />
+            {t(`panels.pressure.${trend.trend}`)} ({trend.delta > 0 ? "+" : ""}
+            {trend.delta.toFixed(1)} hPa / 3 h)
+          </>
+        ) : (
+          t("panels.unavailable")
+        )}
+      </div>
+      {data.length > 1 ? (
+        <div className="mt-3 h-20">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data} margin={{ left: 0, right: 0, top: 4, bottom: 0 }}>
+              <YAxis hide domain={["dataMin - 1", "dataMax + 1"]} />
+              <XAxis dataKey="time" hide />
+              <Tooltip formatter={(v) => [`${Number(v).toFixed(1)} hPa`, t("panels.pressure.title")]} />
+              <Line type="monotone" dataKey="pressure" stroke="#8b5cf6" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : null}
+      {trend?.trend === "falling" && trend.delta <= -3 ? (
+        <div className="mt-2 text-center text-xs text-amber-700 dark:text-amber-300">{t("panels.pressure.fallingFast")}</div>
+      ) : null}
+    </div>
+  );
+}
+
+//Qualidade do ar (US AQI) com escala colorida e principais poluentes
+const AQI_SCALE_MAX = 300;
+
+export function AirQualityCard({ air, loading, t }) {
+  const c = air?.current;
+  const level = aqiLevel(c?.usAqi);
+  const fmt = (v) => (v == null ? "–" : Math.round(v));
+
+  return (
+    <div className={panelClass}>
+      <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("panels.aqi.title")}</div>
+      {loading ? (
+        <div className="mt-4 h-28 animate-pulse rounded-2xl bg-zinc-200/60 dark:bg-white/5" />
+      ) : (
+        <>
+          <div className="mt-4 text-center">
+            <div className="text-2xl font-semibold text-zinc-900 dark:text-zinc-50">{fmt(c?.usAqi)}</div>
+            <div className="text-xs font-semibold" style={level ? { color: level.color } : undefined}>
+              {level ? t(`panels.aqi.levels.${level.id}`) : t("panels.unavailable")}
+            </div>
+          </div>
+          <div className="relative mt-3 flex h-2 overflow-hidden rounded-full">
+            {AQI_LEVELS.map((l, i) => {
+              const prev = i ? AQI_LEVELS[i - 1].max : 0;
+              const width = (Math.min(l.max, AQI_SCALE_MAX) - prev) / AQI_SCALE_MAX;
+              return width > 0 ? <div key={l.id} style={{ width: `${width * 100}%`, background: l.color }} /> : null;
+            })}
+          </div>
+          {c?.usAqi != null ? (
+            <div className="relative h-2">
+              <div
+                className="absolute -top-0.5 h-2.5 w-0.5 -translate-x-1/2 bg-zinc-900 dark:bg-zinc-50"
+                style={{ left: `${(Math.min(c.usAqi, AQI_SCALE_MAX) / AQI_SCALE_MAX) * 100}%` }}
+              />
+            </div>
+          ) : null}
+          <dl className="mt-2 grid grid-cols-2 gap-x-3 gap-y-1 text-xs text-zinc-600 dark:text-zinc-300">
+            <dt>PM2.5</dt>
+            <dd className="text-right font-semibold">{fmt(c?.pm2_5)} µg/m³</dd>
+            <dt>PM10</dt>
+            <dd className="text-right font-semibold">{fmt(c?.pm10)} µg/m³</dd>
+            <dt>O₃</dt>
+            <dd className="text-right font-semibold">{fmt(c?.ozone)} µg/m³</dd>
+            <dt>NO₂</dt>
+            <dd className="text-right font-semibold">{fmt(c?.no2)} µg/m³</dd>
+          </dl>
+        </>
+      )}
+    </div>
+  );
+}
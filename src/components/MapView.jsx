@@ -0,0 +1,220 @@
+import { useEffect, useRef, useState } from "react";
+import { Loader2, CloudSun } from "lucide-react";
+import { isAbortError } from "../lib/http.js";
+import { fetchCurrentAt } from "../providers/nearby.js";
+import {
+  TEMP_SCALE_RANGE,
+  boundsKey,
+  createTileLayer,
+  gridCells,
+  parseBoundsKey,
+  temperatureColor,
+  temperatureGradient,
+} from "../lib/map.js";
+import { favoriteName } from "../lib/favorites.js";
+import { wxLabel } from "../i18n/phrases.js";
+import { formatTemp } from "../lib/format.js";
+import { placeKey, isSamePlace, placeLabel } from "../lib/places.js";
+
+//Rótulo de um ponto no mapa (nome e/ou temperatura), montado com textContent porque nomes e
+//apelidos vêm do usuário; o ponto fica na coordenada e o rótulo logo acima
+function mapLabelIcon(L, { title, temp, units, active = false }) {
+  const root = document.createElement("div");
+  root.className = "relative";
+
+  const dot = document.createElement("span");
+  dot.className = `absolute -left-1.5 -top-1.5 h-3 w-3 rounded-full border-2 border-white shadow ${active ? "bg-zinc-900" : ""}`;
+  if (!active) dot.style.background = temperatureColor(temp);
+
+  const label = document.createElement("div");
+  label.className = `absolute bottom-2.5 left-0 -translate-x-1/2 whitespace-nowrap rounded-xl px-2 py-1 text-xs font-semibold shadow ${active ? "bg-zinc-900 text-white" : "bg-white/90 text-zinc-900"}`;
+  label.textContent = [title, temp != null ? formatTemp(temp, units.temp) : null].filter(Boolean).join(" · ");
+
+  root.append(dot, label);
+  return L.divIcon({ html: root, className: "", iconSize: [0, 0] });
+}
+
+//Mapa interativo (Leaflet, carregado só quando esta visão abre): clicar escolhe o ponto,
+//os favoritos aparecem com a temperatura atual e a grade opcional colore os arredores
+export function MapView({ place, data, favorites, forecasts, units, picking, onPickPoint, onPickPlace, onOpenForecast, t }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null); // { L, map, layers }
+  const handlersRef = useRef({ onPickPoint, onPickPlace });
+  const [initialCenter] = useState(() => (place ? [place.latitude, place.longitude] : [0, 0]));
+  const [ready, setReady] = useState(false);
+  const [loadError, setLoadError] = useState(false);
+  const [bounds, setBounds] = useState(null);
+  const [showGrid, setShowGrid] = useState(false);
+  const [grid, setGrid] = useState(null); // { key, cells } | { key, error: true }
+
+  useEffect(() => {
+    handlersRef.current = { onPickPoint, onPickPlace };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    let map = null;
+    Promise.all([import("leaflet"), import("leaflet/dist/leaflet.css")])
+      .then(([{ default: L }]) => {
+        if (cancelled || !containerRef.current) return;
+        map = L.map(containerRef.current, { center: initialCenter, zoom: 9, worldCopyJump: true });
+        createTileLayer(L).addTo(map);
+        const layers = {
+          grid: L.layerGroup().addTo(map),
+          favorites: L.layerGroup().addTo(map),
+          place: L.layerGroup().addTo(map),
+        };
+        const readBounds = () => {
+          const b = map.getBounds();
+          setBounds({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() });
+        };
+        map.on("click", (e) => {
+          const { lat, lng } = e.latlng.wrap();
+          handlersRef.current.onPickPoint(lat, lng);
+        });
+        map.on("moveend", readBounds);
+        mapRef.current = { L, map, layers };
+        readBounds();
+        setReady(true);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError(true);
+      });
+    return () => {
+      cancelled = true;
+      map?.remove();
+      mapRef.current = null;
+    };
+  }, [initialCenter]);
+
+  // Lugar atual: marcador destacado; se saiu da área visível, o mapa vai até ele
+  const placeTemp = data?.current?.temp;
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!ready || !m || !place) return;
+    const at = [place.latitude, place.longitude];
+    m.layers.place.clearLayers();
+    m.L.marker(at, {
+      icon: mapLabelIcon(m.L, { title: favoriteName(place), temp: placeTemp, units, active: true }),
+      keyboard: false,
+      zIndexOffset: 1000,
+    }).addTo(m.layers.place);
+    if (!m.map.getBounds().contains(at)) m.map.panTo(at);
+  }, [ready, place, placeTemp, units]);
+
+  // Favoritos com a temperatura atual da previsão já buscada para eles
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!ready || !m) return;
+    m.layers.favorites.clearLayers();
+    favorites.forEach((f) => {
+      if (isSamePlace(f, place)) return;
+      const temp = forecasts[placeKey(f)]?.current?.temp;
+      m.L.marker([f.latitude, f.longitude], {
+        icon: mapLabelIcon(m.L, { title: favoriteName(f), temp, units }),
+        title: placeLabel(f),
+      })
+        .on("click", () => handlersRef.current.onPickPlace(f))
+        .addTo(m.layers.favorites);
+    });
+  }, [ready, favorites, forecasts, place, units]);
+
+  // Grade de temperaturas: rebusca só quando a área arredondada muda
+  const gridKey = showGrid && bounds ? boundsKey(bounds) : null;
+  const currentGrid = grid?.key === gridKey ? grid : null;
+  useEffect(() => {
+    if (!gridKey) return;
+    const controller = new AbortController();
+    fetchCurrentAt(gridCells(parseBoundsKey(gridKey)), { signal: controller.signal })
+      .then((cells) => setGrid({ key: gridKey, cells }))
+      .catch((e) => {
+        if (!isAbortError(e)) setGrid({ key: gridKey, error: true });
+      });
+    return () => controller.abort();
+  }, [gridKey]);
+
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!ready || !m) return;
+    m.layers.grid.clearLayers();
+    currentGrid?.cells?.forEach((c) => {
+      const { south, west, north, east } = c.bounds;
+      m.L.rectangle(
+        [
+          [south, west],
+          [north, east],
+        ],
+        { stroke: false, fillColor: temperatureColor(c.temp), fillOpacity: 0.35, interactive: false }
+      ).addTo(m.layers.grid);
+      if (c.temp != null) {
+        m.L.marker([(south + north) / 2, (west + east) / 2], {
+          icon: m.L.divIcon({
+            html: `<span class="-translate-x-1/2 -translate-y-1/2 inline-block text-xs font-semibold text-zinc-900 [text-shadow:0_0_3px_white]">${formatTemp(c.temp, units.temp)}</span>`,
+            className: "",
+            iconSize: [0, 0],
+          }),
+          interactive: false,
+          keyboard: false,
+        }).addTo(m.layers.grid);
+      }
+    });
+  }, [ready, currentGrid, units]);
+
+  const [scaleMin, scaleMax] = TEMP_SCALE_RANGE;
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("map.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("map.subtitle")}</div>
+        </div>
+        <label className="inline-flex items-center gap-2 text-xs font-semibold text-zinc-700 dark:text-zinc-200">
+          <input type="checkbox" checked={showGrid} onChange={(e) => setShowGrid(e.target.checked)} />
+          {t("map.nearby")}
+          {showGrid && !currentGrid ? <Loader2 className="h-3.5 w-3.5 animate-spin" aria-label={t("map.loadingNearby")} /> : null}
+        </label>
+      </div>
+
+      <div className="relative isolate mt-4 h-[28rem] overflow-hidden rounded-2xl border border-zinc-200/60 dark:border-white/10">
+        <div ref={containerRef} className="h-full w-full" role="application" aria-label={t("map.ariaLabel")} />
+        {!ready ? (
+          <div className="absolute inset-0 grid place-items-center bg-zinc-100/80 text-sm text-zinc-600 dark:bg-zinc-900/80 dark:text-zinc-300">
+            {loadError ? t("map.loadError") : <Loader2 className="h-5 w-5 animate-spin" aria-label={t("map.loading")} />}
+          </div>
+        ) : null}
+      </div>
+
+      {showGrid ? (
+        <div className="mt-3 flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+          <span>{formatTemp(scaleMin, units.temp)}</span>
+          <span className="h-2 w-40 rounded-full" style={{ background: temperatureGradient() }} aria-hidden />
+          <span>{formatTemp(scaleMax, units.temp)}</span>
+          {currentGrid?.error ? <span className="text-rose-600 dark:text-rose-300">{t("map.nearbyError")}</span> : null}
+        </div>
+      ) : null}
+
+      {place ? (
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-zinc-200/60 bg-white/60 px-4 py-3 text-sm shadow-sm dark:border-white/10 dark:bg-zinc-950/30">
+          <div className="min-w-0">
+            <div className="truncate font-semibold text-zinc-900 dark:text-zinc-50">{placeLabel(place)}</div>
+            <div className="text-xs text-zinc-600 dark:text-zinc-300" aria-live="polite">
+              {picking
+                ? t("map.picking")
+                : data?.current
+                  ? `${formatTemp(data.current.temp, units.temp)} • ${wxLabel(data.current.code, t)}`
+                  : t("map.loadingForecast")}
+            </div>
+          </div>
+          <button
+            onClick={onOpenForecast}
+            disabled={picking}
+            className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-3 py-2 text-xs font-semibold text-white shadow-sm hover:bg-zinc-700 disabled:opacity-50 dark:bg-white dark:text-zinc-900 dark:hover:bg-zinc-200"
+          >
+            <CloudSun className="h-4 w-4" /> {t("map.openForecast")}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { AlertTriangle, Download } from "lucide-react";
+
+export function UpdatePrompt({ onUpdate, onDismiss, t }) {
+  return (
+    <div
+      role="status"
+      className="flex flex-wrap items-center justify-between gap-3 rounded-3xl border border-sky-200/60 bg-sky-50/80 px-5 py-3 text-sm text-sky-900 shadow-sm backdrop-blur dark:border-sky-400/20 dark:bg-sky-950/40 dark:text-sky-100"
+    >
+      <div className="flex items-center gap-2 font-semibold">
+        <Download className="h-4 w-4" /> {t("pwa.updateAvailable")}
+      </div>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onDismiss}
+          className="rounded-2xl px-3 py-1.5 text-xs font-semibold hover:bg-black/5 dark:hover:bg-white/10"
+        >
+          {t("pwa.later")}
+        </button>
+        <button
+          onClick={onUpdate}
+          className="rounded-2xl bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-sky-700"
+        >
+          {t("pwa.update")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function StorageFullNotice({ onDismiss, t }) {
+  return (
+    <div
+      role="alert"
+      className="flex flex-wrap items-center justify-between gap-3 rounded-3xl border border-amber-200/60 bg-amber-50/80 px-5 py-3 text-sm text-amber-900 shadow-sm backdrop-blur dark:border-amber-400/20 dark:bg-amber-950/40 dark:text-amber-100"
+    >
+      <div className="flex items-center gap-2 font-semibold">
+        <AlertTriangle className="h-4 w-4 shrink-0" /> {t("storage.full")}
+      </div>
+      <button
+        onClick={onDismiss}
+        className="rounded-2xl px-3 py-1.5 text-xs font-semibold hover:bg-black/5 dark:hover:bg-white/10"
+      >
+        {t("storage.dismiss")}
+      </button>
+    </div>
+  );
+}
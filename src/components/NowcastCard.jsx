@@ -0,0 +1,64 @@
+import { CloudRain } from "lucide-react";
+import { XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, BarChart, Bar } from "recharts";
+import { UNIT_LABELS, convertPrecip } from "../lib/units.js";
+import { nowcastWindow } from "../lib/nowcast.js";
+import { formatLocalTime } from "../lib/time.js";
+import { panelClass } from "./styles.js";
+import { nowcastText } from "../i18n/phrases.js";
+import { formatPrecip } from "../lib/format.js";
+
+export function NowcastCard({ nowcast, nowIso, summary, loading, units, locale, t }) {
+  const chartData = nowcast?.data
+    ? nowcastWindow(nowcast.data.slots, nowIso).map((s) => ({
+        time: formatLocalTime(s.startIso, locale),
+        precip: s.precip == null ? null : convertPrecip(s.precip, units.precip),
+        mm: s.precip,
+      }))
+    : [];
+
+  return (
+    <div className={panelClass} role="region" aria-labelledby="nowcast-title">
+      <div className="flex items-center justify-between gap-3">
+        <div id="nowcast-title" className="inline-flex items-center gap-2 text-sm font-semibold text-zinc-900 dark:text-zinc-50">
+          <CloudRain className="h-4 w-4" /> {t("nowcast.title")}
+        </div>
+        <div className="text-xs text-zinc-500 dark:text-zinc-400">{t("nowcast.subtitle", { unit: UNIT_LABELS.precip[units.precip] })}</div>
+      </div>
+      {loading ? (
+        <div className="mt-4 h-32 animate-pulse rounded-2xl bg-zinc-200/60 dark:bg-white/5" />
+      ) : !summary ? (
+        <div className="mt-3 text-sm text-zinc-600 dark:text-zinc-300">{t("nowcast.unavailable")}</div>
+      ) : (
+        <>
+          <div className="mt-2 text-sm text-zinc-700 dark:text-zinc-200">
+            {nowcastText(summary, t, locale)}
+          </div>
+          <div className="mt-3 h-32" aria-hidden="true">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} margin={{ left: 0, right: 10, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" opacity={0.2} vertical={false} />
+                <XAxis dataKey="time" tick={{ fontSize: 12 }} interval={1} />
+                <YAxis tick={{ fontSize: 12 }} width={36} domain={[0, (max) => Math.max(max, units.precip === "in" ? 0.04 : 1)]} />
+                <Tooltip
+                  content={({ active, payload, label }) => {
+                    if (!active || !payload?.length) return null;
+                    const p = payload[0].payload;
+                    return (
+                      <div className="rounded-2xl border border-zinc-200/60 bg-white/90 px-3 py-2 text-xs shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/80">
+                        <div className="font-semibold text-zinc-900 dark:text-zinc-50">{label}</div>
+                        <div className="mt-1 text-zinc-700 dark:text-zinc-200">
+                          {t("nowcast.amount")}: <span className="font-semibold">{formatPrecip(p.mm, units.precip)}</span>
+                        </div>
+                      </div>
+                    );
+                  }}
+                />
+                <Bar dataKey="precip" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
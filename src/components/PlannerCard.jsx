@@ -0,0 +1,234 @@
+import { useMemo, useState } from "react";
+import { Trash2, Plus, Check } from "lucide-react";
+import { UNIT_LABELS, convertTemp, convertWind, toCanonicalTemp, toCanonicalWind } from "../lib/units.js";
+import {
+  ACTIVITY_CRITERIA,
+  ACTIVITY_DAYLIGHT,
+  ACTIVITY_PRESETS,
+  createActivity,
+  isPresetActivity,
+  scoreColor,
+} from "../lib/activities.js";
+import { formatLocalTime } from "../lib/time.js";
+import { fieldClass } from "./styles.js";
+import { activityName } from "../i18n/phrases.js";
+
+//Unidade de exibição de cada critério e conversões de/para a unidade canônica
+function criterionUnit(key, units) {
+  const kind = ACTIVITY_CRITERIA[key].kind;
+  if (kind === "temp") return { label: UNIT_LABELS.temp[units.temp], show: (v) => convertTemp(v, units.temp), store: (v) => toCanonicalTemp(v, units.temp) };
+  if (kind === "speed") return { label: UNIT_LABELS.wind[units.wind], show: (v) => convertWind(v, units.wind), store: (v) => toCanonicalWind(v, units.wind) };
+  return { label: "%", show: (v) => v, store: (v) => v };
+}
+
+//"Temperatura 4–22 °C • Vento até 25 km/h • ... • Só de dia"
+function describeActivity(activity, units, t) {
+  const parts = Object.keys(ACTIVITY_CRITERIA)
+    .filter((k) => activity.ranges?.[k] && activity.ranges[k].some((v) => v != null))
+    .map((k) => {
+      const { label, show } = criterionUnit(k, units);
+      const [min, max] = activity.ranges[k].map((v) => (v == null ? null : `${Math.round(show(v))}${label === "%" ? "" : " "}${label}`));
+      const range = min && max ? `${min}–${max}` : max ? t("planner.upTo", { value: max }) : t("planner.from", { value: min });
+      return `${t(`planner.criteria.${k}`)} ${range}`;
+    });
+  return [...parts, t(`planner.daylight.${activity.daylight}`)].join(" • ");
+}
+
+function activityForm(activity, units) {
+  const ranges = Object.fromEntries(
+    Object.keys(ACTIVITY_CRITERIA).map((k) => {
+      const { show } = criterionUnit(k, units);
+      return [k, (activity.ranges?.[k] || [null, null]).map((v) => (v == null ? "" : String(Math.round(show(v)))))];
+    })
+  );
+  return { name: "", ranges, daylight: activity.daylight };
+}
+
+export function PlannerCard({ activity, activities, onSelect, onAdd, onRemove, scored, windows, days, units, locale, t }) {
+  const [form, setForm] = useState(null); // atividade nova sendo criada (valores como digitados)
+  const [error, setError] = useState(null);
+  const preset = isPresetActivity(activity);
+  const byDay = useMemo(() => {
+    const map = new Map();
+    for (const h of scored) {
+      if (!map.has(h.date)) map.set(h.date, []);
+      map.get(h.date).push(h);
+    }
+    return map;
+  }, [scored]);
+
+  const setRange = (key, i) => (e) =>
+    setForm((f) => ({ ...f, ranges: { ...f.ranges, [key]: f.ranges[key].map((v, j) => (j === i ? e.target.value : v)) } }));
+
+  function submit(e) {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) return setError(t("planner.errors.name"));
+    const ranges = {};
+    for (const [key, values] of Object.entries(form.ranges)) {
+      const { store } = criterionUnit(key, units);
+      const [min, max] = values.map((v) => (v === "" || Number.isNaN(Number(v)) ? null : store(Number(v))));
+      if (min != null && max != null && min > max) return setError(t("planner.errors.range", { criterion: t(`planner.criteria.${key}`) }));
+      if (min != null || max != null) ranges[key] = [min, max];
+    }
+    const created = createActivity({ name, ranges, daylight: form.daylight });
+    onAdd(created);
+    onSelect(created.id);
+    setForm(null);
+    setError(null);
+  }
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("planner.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("planner.subtitle")}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={activity.id} onChange={(e) => onSelect(e.target.value)} className={fieldClass} aria-label={t("planner.activity")}>
+            <optgroup label={t("planner.presetsGroup")}>
+              {ACTIVITY_PRESETS.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {activityName(a, t)}
+                </option>
+              ))}
+            </optgroup>
+            {activities.length ? (
+              <optgroup label={t("planner.customGroup")}>
+                {activities.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </optgroup>
+            ) : null}
+          </select>
+          {!preset ? (
+            <button
+              onClick={() => onRemove(activity.id)}
+              className="rounded-xl p-2 hover:bg-zinc-100 dark:hover:bg-white/10"
+              title={t("planner.remove")}
+              aria-label={t("planner.remove")}
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          ) : null}
+          <button
+            onClick={() => setForm((f) => (f ? null : activityForm(activity, units)))}
+            aria-expanded={Boolean(form)}
+            className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 px-3 py-2 text-sm font-semibold text-zinc-700 hover:bg-white dark:border-white/10 dark:text-zinc-200 dark:hover:bg-white/5"
+          >
+            <Plus className="h-4 w-4" /> {t("planner.new")}
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 text-xs text-zinc-600 dark:text-zinc-300">{describeActivity(activity, units, t)}</div>
+
+      {form ? (
+        <form onSubmit={submit} className="mt-4 grid gap-3 rounded-2xl border border-zinc-200/60 p-4 dark:border-white/10">
+          <input
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            placeholder={t("planner.namePlaceholder")}
+            className={fieldClass}
+            aria-label={t("planner.name")}
+          />
+          <div className="grid gap-2 sm:grid-cols-2">
+            {Object.keys(ACTIVITY_CRITERIA).map((key) => {
+              const label = t(`planner.criteria.${key}`);
+              return (
+                <div key={key} className="flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300">
+                  <span className="w-24 shrink-0 font-semibold">{label}</span>
+                  <input
+                    type="number"
+                    value={form.ranges[key][0]}
+                    onChange={setRange(key, 0)}
+                    placeholder={t("planner.min")}
+                    className={`${fieldClass} w-20`}
+                    aria-label={`${label}: ${t("planner.min")}`}
+                  />
+                  <span>–</span>
+                  <input
+                    type="number"
+                    value={form.ranges[key][1]}
+                    onChange={setRange(key, 1)}
+                    placeholder={t("planner.max")}
+                    className={`${fieldClass} w-20`}
+                    aria-label={`${label}: ${t("planner.max")}`}
+                  />
+                  <span>{criterionUnit(key, units).label}</span>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={form.daylight}
+              onChange={(e) => setForm((f) => ({ ...f, daylight: e.target.value }))}
+              className={fieldClass}
+              aria-label={t("planner.daylightLabel")}
+            >
+              {ACTIVITY_DAYLIGHT.map((d) => (
+                <option key={d} value={d}>
+                  {t(`planner.daylight.${d}`)}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-zinc-700 dark:bg-white dark:text-zinc-900 dark:hover:bg-zinc-200"
+            >
+              <Check className="h-4 w-4" /> {t("planner.save")}
+            </button>
+            {error ? <span className="text-xs font-semibold text-red-600 dark:text-red-400">{error}</span> : null}
+          </div>
+        </form>
+      ) : null}
+
+      <ul className="mt-4 grid gap-3">
+        {days
+          .filter((d) => byDay.has(d.day))
+          .map((d) => {
+            const hours = byDay.get(d.day);
+            const best = windows.filter((w) => w.date === d.day);
+            return (
+              <li key={d.day} className="grid gap-1.5 sm:grid-cols-[4rem_1fr_auto] sm:items-center sm:gap-3">
+                <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{d.label}</div>
+                {/* Nota de cada hora na posição da hora do dia */}
+                <div className="grid h-3 gap-px" style={{ gridTemplateColumns: "repeat(24, minmax(0, 1fr))" }} aria-hidden="true">
+                  {hours.map((h) => (
+                    <div
+                      key={h.time}
+                      className="rounded-sm"
+                      style={{ gridColumnStart: Number(h.time.slice(11, 13)) + 1, background: scoreColor(h.score) }}
+                      title={`${formatLocalTime(h.time, locale)} · ${h.score}`}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-1.5 text-xs">
+                  {best.length ? (
+                    best.map((w) => (
+                      <span
+                        key={w.start}
+                        className="rounded-full bg-emerald-100 px-2 py-0.5 font-semibold text-emerald-800 dark:bg-emerald-500/15 dark:text-emerald-300"
+                      >
+                        {t("planner.window", {
+                          start: formatLocalTime(w.start, locale),
+                          end: formatLocalTime(w.end, locale),
+                          score: w.score,
+                        })}
+                      </span>
+                    ))
+                  ) : (
+                    <span className="text-zinc-500 dark:text-zinc-400">{t("planner.noWindow")}</span>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { Bell, BellOff, Trash2, Plus } from "lucide-react";
+import { RULE_METRICS, RULE_DAYS, RULE_PERIODS, createRule } from "../lib/rules.js";
+import { UNIT_LABELS } from "../lib/units.js";
+import { favoriteName } from "../lib/favorites.js";
+import { fieldClass } from "./styles.js";
+import { describeRule } from "../i18n/phrases.js";
+import { placeKey } from "../lib/places.js";
+
+export function RulesCard({ rules, places, current, units, permission, onRequestPermission, onAdd, onToggle, onRemove, t }) {
+  const [form, setForm] = useState({ placeKey: "", metric: "pop", op: ">", value: "60", day: "any", period: "all" });
+  const selectedKey = form.placeKey || (current ? placeKey(current) : places[0] && placeKey(places[0])) || "";
+  const isDaily = RULE_METRICS[form.metric]?.source === "daily";
+  const kind = RULE_METRICS[form.metric]?.kind;
+  // O valor é digitado na unidade de exibição atual e guardado junto com ela
+  const valueUnit = kind === "temp" ? units.temp : kind === "speed" ? units.wind : null;
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  function submit(e) {
+    e.preventDefault();
+    const target = places.find((p) => placeKey(p) === selectedKey);
+    if (!target || form.value === "" || Number.isNaN(Number(form.value))) return;
+    onAdd(
+      createRule({
+        placeKey: selectedKey,
+        placeName: favoriteName(target),
+        metric: form.metric,
+        op: form.op,
+        value: Number(form.value),
+        day: form.day,
+        period: isDaily ? "all" : form.period,
+        valueUnit,
+      })
+    );
+  }
+
+  return (
+    <div className="rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">{t("rules.title")}</div>
+          <div className="mt-1 text-xs text-zinc-600 dark:text-zinc-300">{t("rules.subtitle")}</div>
+        </div>
+        {permission === "default" ? (
+          <button
+            onClick={onRequestPermission}
+            className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-3 py-2 text-xs font-semibold text-white shadow-sm hover:bg-zinc-700 dark:bg-white dark:text-zinc-900 dark:hover:bg-zinc-200"
+          >
+            <Bell className="h-4 w-4" /> {t("rules.enableNotifications")}
+          </button>
+        ) : (
+          <div className="inline-flex items-center gap-1.5 text-xs text-zinc-500 dark:text-zinc-400">
+            {permission === "granted" ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+            {t(`rules.permission.${permission}`)}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={submit} className="mt-4 flex flex-wrap items-center gap-2">
+        <select value={selectedKey} onChange={set("placeKey")} className={fieldClass} aria-label={t("rules.place")}>
+          {places.map((p) => (
+            <option key={placeKey(p)} value={placeKey(p)}>
+              {favoriteName(p)}
+            </option>
+          ))}
+        </select>
+        <select value={form.metric} onChange={set("metric")} className={fieldClass} aria-label={t("rules.metric")}>
+          {Object.keys(RULE_METRICS).map((m) => (
+            <option key={m} value={m}>
+              {t(`rules.metrics.${m}`)}
+            </option>
+          ))}
+        </select>
+        <select value={form.op} onChange={set("op")} className={fieldClass} aria-label={t("rules.operator")}>
+          <option value=">">{t("rules.ops.gt")}</option>
+          <option value="<">{t("rules.ops.lt")}</option>
+        </select>
+        <input
+          type="number"
+          value={form.value}
+          onChange={set("value")}
+          className={`${fieldClass} w-24`}
+          aria-label={t("rules.value")}
+        />
+        <span className="text-xs text-zinc-500 dark:text-zinc-400">
+          {kind === "temp" ? UNIT_LABELS.temp[valueUnit] : kind === "speed" ? UNIT_LABELS.wind[valueUnit] : "%"}
+        </span>
+        <select value={form.day} onChange={set("day")} className={fieldClass} aria-label={t("rules.day")}>
+          {RULE_DAYS.map((d) => (
+            <option key={d} value={d}>
+              {t(`rules.days.${d}`)}
+            </option>
+          ))}
+        </select>
+        {!isDaily && (
+          <select value={form.period} onChange={set("period")} className={fieldClass} aria-label={t("rules.period")}>
+            {Object.keys(RULE_PERIODS).map((p) => (
+              <option key={p} value={p}>
+                {p === "all" ? t("rules.periods.allDay") : t(`rules.periods.${p}`)}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="submit"
+          disabled={!places.length}
+          className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-zinc-700 disabled:opacity-50 dark:bg-white dark:text-zinc-900 dark:hover:bg-zinc-200"
+        >
+          <Plus className="h-4 w-4" /> {t("rules.add")}
+        </button>
+      </form>
+
+      {rules.length ? (
+        <ul className="mt-4 grid gap-2">
+          {rules.map((r) => (
+            <li
+              key={r.id}
+              className="flex items-center justify-between gap-3 rounded-2xl border border-zinc-200/60 bg-white/60 px-4 py-3 text-sm shadow-sm dark:border-white/10 dark:bg-zinc-950/30"
+            >
+              <div className={`min-w-0 ${r.enabled ? "" : "opacity-50"}`}>
+                <div className="truncate font-semibold text-zinc-900 dark:text-zinc-50">{r.placeName}</div>
+                <div className="truncate text-xs text-zinc-600 dark:text-zinc-300">{describeRule(r, t)}</div>
+              </div>
+              <div className="flex shrink-0 items-center gap-1">
+                <button
+                  onClick={() => onToggle(r.id)}
+                  className="rounded-xl p-1.5 hover:bg-zinc-100 dark:hover:bg-white/10"
+                  title={r.enabled ? t("rules.disable") : t("rules.enable")}
+                  aria-label={r.enabled ? t("rules.disable") : t("rules.enable")}
+                >
+                  {r.enabled ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+                </button>
+                <button
+                  onClick={() => onRemove(r.id)}
+                  className="rounded-xl p-1.5 hover:bg-zinc-100 dark:hover:bg-white/10"
+                  title={t("rules.remove")}
+                  aria-label={t("rules.remove")}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-4 text-xs text-zinc-500 dark:text-zinc-400">{t("rules.empty")}</div>
+      )}
+    </div>
+  );
+}
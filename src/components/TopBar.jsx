@@ -0,0 +1,343 @@
+import { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Search, MapPin, Loader2, Star, Sun, Moon, Clock, Ruler, ArrowUp, ArrowDown } from "lucide-react";
+import { PROVIDERS } from "../providers/index.js";
+import { LANGUAGES } from "../i18n/index.js";
+import { UNIT_OPTIONS } from "../lib/units.js";
+import { matchRanges } from "../lib/text.js";
+import { fieldClass } from "./styles.js";
+import { placeKey, placeLabel } from "../lib/places.js";
+
+//Preferências de unidade por grandeza (vento, chuva, distância); a temperatura tem o atalho °C/°F
+function UnitsMenu({ units, setUnits, t }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+        title={t("units.title")}
+      >
+        <Ruler className="h-4 w-4" /> {t("units.label")}
+      </button>
+
+      {open ? (
+        <div className="absolute right-0 z-30 mt-2 grid w-60 gap-3 rounded-2xl border border-zinc-200/60 bg-white/95 p-4 text-left shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/90">
+          {Object.entries(UNIT_OPTIONS).map(([dim, options]) => (
+            <label key={dim} className="grid gap-1 text-xs text-zinc-600 dark:text-zinc-300">
+              {t(`units.${dim}`)}
+              <select
+                value={units[dim]}
+                onChange={(e) => setUnits({ ...units, [dim]: e.target.value })}
+                className={fieldClass}
+              >
+                {options.map((u) => (
+                  <option key={u} value={u}>
+                    {t(`units.names.${dim}.${u}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+//Destaca em <mark> os trechos do texto que casam com a busca
+function HighlightMatch({ text, query }) {
+  const ranges = matchRanges(text, query);
+  if (!ranges.length) return text;
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={i} className="rounded bg-amber-200/70 px-0.5 text-inherit dark:bg-amber-400/30">
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+//Busca de cidades no padrão combobox do ARIA 1.2 (lista de sugestões com foco virtual via aria-activedescendant):
+//setas navegam, Enter escolhe, Escape fecha (e limpa, se já estiver fechada), Home/End vão ao início/fim.
+//Com o campo vazio, a lista mostra os lugares recentes (Delete remove o recente ativo)
+function PlaceSearch({ query, setQuery, suggestions, recents, isSearching, onPick, onRemoveRecent, onClearRecents, t }) {
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const [focused, setFocused] = useState(false);
+  // O índice ativo vale só para a lista em que foi escolhido; lista nova começa sem opção ativa
+  const [active, setActive] = useState({ list: null, index: -1 });
+  // Texto em que o usuário fechou a lista com Escape; digitar de novo reabre
+  const [closedAt, setClosedAt] = useState(null);
+
+  const typed = query.trim().length > 1;
+  const showingRecents = !query.trim() && recents.length > 0;
+  const items = typed ? suggestions : showingRecents ? recents : [];
+  const open = focused && items.length > 0 && closedAt !== query;
+  const activeIndex = open && active.list === items ? active.index : -1;
+  const optionId = (i) => `place-option-${i}`;
+
+  // Mantém visível a opção ativa ao navegar pelo teclado (só quando ela muda, não a cada render)
+  useEffect(() => {
+    if (activeIndex >= 0) listRef.current?.children[activeIndex]?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const pick = (s) => {
+    onPick(s);
+    setQuery("");
+    inputRef.current?.blur();
+  };
+
+  const onKeyDown = (e) => {
+    const last = items.length - 1;
+    const move = (index) => {
+      e.preventDefault();
+      setClosedAt(null);
+      setActive({ list: items, index });
+    };
+    if (e.key === "ArrowDown") {
+      if (items.length) move(activeIndex >= last ? 0 : activeIndex + 1);
+    } else if (e.key === "ArrowUp") {
+      if (items.length) move(activeIndex <= 0 ? last : activeIndex - 1);
+    } else if (e.key === "Home" && open) {
+      move(0);
+    } else if (e.key === "End" && open) {
+      move(last);
+    } else if (e.key === "Enter") {
+      if (activeIndex >= 0) {
+        e.preventDefault();
+        pick(items[activeIndex]);
+      } else if (open && typed && items.length === 1) {
+        e.preventDefault();
+        pick(items[0]);
+      }
+    } else if (e.key === "Delete" && showingRecents && activeIndex >= 0) {
+      e.preventDefault();
+      onRemoveRecent(items[activeIndex]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      if (open) setClosedAt(query);
+      else setQuery("");
+    }
+  };
+
+  // Texto lido pelos leitores de tela quando o resultado da busca muda
+  let announcement = "";
+  if (open && showingRecents) announcement = t("search.recentsAvailable", { count: items.length });
+  else if (typed && isSearching && !items.length) announcement = t("search.searching");
+  else if (open) announcement = t(items.length === 1 ? "search.resultsOne" : "search.resultsOther", { count: items.length });
+  else if (typed && !isSearching && !items.length) announcement = t("search.noResults");
+
+  return (
+    <div className="relative w-full md:max-w-xl">
+      <div className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 text-zinc-400">
+        <Search className="h-5 w-5" />
+      </div>
+      <input
+        ref={inputRef}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setClosedAt(null);
+        }}
+        onKeyDown={onKeyDown}
+        onBlur={() => setFocused(false)}
+        onFocus={() => {
+          setFocused(true);
+          setClosedAt(null);
+        }}
+        placeholder={t("search.placeholder")}
+        role="combobox"
+        aria-label={t("search.label")}
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls="place-search-listbox"
+        aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        className="w-full rounded-2xl border border-zinc-200/60 bg-white/70 py-3 pl-11 pr-12 text-sm shadow-sm backdrop-blur outline-none ring-0 placeholder:text-zinc-400 focus:border-zinc-300 dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:placeholder:text-zinc-500"
+      />
+      <div className="absolute right-3 top-1/2 -translate-y-1/2 text-zinc-500 dark:text-zinc-300">
+        {isSearching ? <Loader2 className="h-5 w-5 animate-spin" aria-hidden /> : null}
+      </div>
+
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: 6 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 6 }}
+            className="absolute z-20 mt-2 w-full overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/90 shadow-lg backdrop-blur dark:border-white/10 dark:bg-zinc-950/70"
+          >
+            {showingRecents ? (
+              <div className="flex items-center justify-between px-4 pt-3 text-xs font-semibold text-zinc-500 dark:text-zinc-400">
+                <span>{t("search.recents")}</span>
+                <button
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={onClearRecents}
+                  tabIndex={-1}
+                  className="rounded-lg px-1.5 py-0.5 hover:bg-zinc-100 dark:hover:bg-white/10"
+                >
+                  {t("search.clearRecents")}
+                </button>
+              </div>
+            ) : null}
+            <ul
+              ref={listRef}
+              id="place-search-listbox"
+              role="listbox"
+              aria-label={showingRecents ? t("search.recents") : t("search.suggestions")}
+              className="max-h-80 overflow-auto"
+            >
+              {items.map((s, i) => (
+                <li
+                  key={placeKey(s)}
+                  id={optionId(i)}
+                  role="option"
+                  aria-selected={i === activeIndex}
+                  // mousedown tiraria o foco do campo antes do clique
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseMove={() => i !== activeIndex && setActive({ list: items, index: i })}
+                  onClick={() => pick(s)}
+                  className={`flex w-full cursor-pointer items-center justify-between gap-3 px-4 py-3 text-left text-sm ${i === activeIndex ? "bg-zinc-100 dark:bg-white/10" : ""}`}
+                >
+                  <span className="flex min-w-0 items-center gap-2">
+                    {s.source === "favorite" ? (
+                      <Star className="h-3.5 w-3.5 shrink-0 text-amber-500" aria-label={t("search.sourceFavorite")} />
+                    ) : s.source === "recent" ? (
+                      <Clock className="h-3.5 w-3.5 shrink-0 text-zinc-400" aria-label={t("search.sourceRecent")} />
+                    ) : null}
+                    <span className="truncate font-medium text-zinc-900 dark:text-zinc-50">
+                      <HighlightMatch text={placeLabel(s)} query={query} />
+                    </span>
+                  </span>
+                  <span className="shrink-0 text-xs text-zinc-500 dark:text-zinc-400">
+                    {s.latitude.toFixed(2)}, {s.longitude.toFixed(2)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export function TopBar({
+  query,
+  setQuery,
+  suggestions,
+  recents,
+  isSearching,
+  onPick,
+  onRemoveRecent,
+  onClearRecents,
+  onLocate,
+  locating,
+  units,
+  setUnits,
+  theme,
+  setTheme,
+  provider,
+  setProvider,
+  language,
+  setLanguage,
+  t,
+}) {
+  return (
+    <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+      <PlaceSearch
+        query={query}
+        setQuery={setQuery}
+        suggestions={suggestions}
+        recents={recents}
+        isSearching={isSearching}
+        onPick={onPick}
+        onRemoveRecent={onRemoveRecent}
+        onClearRecents={onClearRecents}
+        t={t}
+      />
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onLocate}
+          aria-busy={locating}
+          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+          title={t("topbar.locateTitle")}
+        >
+          {locating ? <Loader2 className="h-4 w-4 animate-spin" /> : <MapPin className="h-4 w-4" />} {t("topbar.locate")}
+        </button>
+
+        <div className="inline-flex overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/70 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+          <button
+            onClick={() => setUnits({ ...units, temp: "c" })}
+            className={`px-4 py-2.5 text-sm font-semibold ${units.temp === "c"
+              ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
+              : "text-zinc-700 hover:bg-white dark:text-zinc-200 dark:hover:bg-white/5"
+              }`}
+          >
+            °C
+          </button>
+          <button
+            onClick={() => setUnits({ ...units, temp: "f" })}
+            className={`px-4 py-2.5 text-sm font-semibold ${units.temp === "f"
+              ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
+              : "text-zinc-700 hover:bg-white dark:text-zinc-200 dark:hover:bg-white/5"
+              }`}
+          >
+            °F
+          </button>
+        </div>
+
+        <UnitsMenu units={units} setUnits={setUnits} t={t} />
+
+        <select
+          value={provider}
+          onChange={(e) => setProvider(e.target.value)}
+          className="rounded-2xl border border-zinc-200/60 bg-white/70 px-3 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur outline-none dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50"
+          title={t("topbar.providerTitle")}
+        >
+          {Object.values(PROVIDERS).map((p) => (
+            <option key={p.id} value={p.id}>
+              {t(`providers.${p.id}`)}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className="rounded-2xl border border-zinc-200/60 bg-white/70 px-3 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur outline-none dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50"
+          title={t("topbar.languageTitle")}
+          aria-label={t("topbar.languageTitle")}
+        >
+          {Object.entries(LANGUAGES).map(([code, l]) => (
+            <option key={code} value={code}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+
+        <button
+          onClick={() => setTheme(theme === "dark" ? "light" : "dark")}
+          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200/60 bg-white/70 px-4 py-2.5 text-sm font-semibold text-zinc-900 shadow-sm backdrop-blur hover:bg-white dark:border-white/10 dark:bg-zinc-900/40 dark:text-zinc-50 dark:hover:bg-zinc-900/70"
+          title={t("topbar.themeTitle")}
+        >
+          {theme === "dark" ? <Sun className="h-4 w-4" /> : <Moon className="h-4 w-4" />}
+          {theme === "dark" ? t("topbar.themeLight") : t("topbar.themeDark")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { Star, LayoutGrid, CloudSun, Map as MapIcon } from "lucide-react";
+
+export function ViewTabs({ view, setView, canCompare, t }) {
+  const tab = (id, Icon, label) => (
+    <button
+      onClick={() => setView(id)}
+      aria-pressed={view === id}
+      className={`inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold ${view === id
+        ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
+        : "text-zinc-700 hover:bg-white dark:text-zinc-200 dark:hover:bg-white/5"
+        }`}
+    >
+      <Icon className="h-4 w-4" /> {label}
+    </button>
+  );
+
+  return (
+    <div className="inline-flex self-start overflow-hidden rounded-2xl border border-zinc-200/60 bg-white/70 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      {tab("forecast", CloudSun, t("views.forecast"))}
+      {canCompare && tab("compare", LayoutGrid, t("views.compare"))}
+      {tab("map", MapIcon, t("views.map"))}
+      {tab("favorites", Star, t("views.favorites"))}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { RefreshCcw } from "lucide-react";
+import { formatTempDelta } from "../lib/format.js";
+
+export function SkeletonCard() {
+  return (
+    <div className="animate-pulse rounded-3xl border border-zinc-200/60 bg-white/70 p-6 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40">
+      <div className="h-6 w-52 rounded bg-zinc-200/70 dark:bg-white/10" />
+      <div className="mt-4 h-10 w-36 rounded bg-zinc-200/70 dark:bg-white/10" />
+      <div className="mt-6 grid grid-cols-2 gap-3 md:grid-cols-4">
+        {Array.from({ length: 4 }).map((_, i) => (
+          <div key={i} className="h-16 rounded-2xl bg-zinc-200/70 dark:bg-white/10" />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function ErrorCard({ title, message, onRetry, t }) {
+  return (
+    <div className="rounded-3xl border border-rose-200/60 bg-rose-50/70 p-6 shadow-sm backdrop-blur dark:border-rose-400/20 dark:bg-rose-950/30">
+      <div className="text-sm font-semibold text-rose-900 dark:text-rose-100">{title}</div>
+      <div className="mt-2 text-sm text-rose-700 dark:text-rose-200">{message}</div>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          className="mt-4 inline-flex items-center gap-2 rounded-2xl bg-rose-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-rose-700"
+        >
+          <RefreshCcw className="h-4 w-4" /> {t("errors.retry")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+//Diferença de temperatura em relação a uma referência histórica (quente em vermelho, frio em azul)
+export function DeltaBadge({ delta, units, label, title }) {
+  if (delta == null) return null;
+  const tone =
+    Math.round(delta) > 0
+      ? "bg-rose-100 text-rose-700 dark:bg-rose-500/15 dark:text-rose-300"
+      : Math.round(delta) < 0
+        ? "bg-sky-100 text-sky-700 dark:bg-sky-500/15 dark:text-sky-300"
+        : "bg-zinc-100 text-zinc-600 dark:bg-white/10 dark:text-zinc-300";
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-xl px-2 py-0.5 text-xs font-semibold ${tone}`} title={title}>
+      {formatTempDelta(delta, units.temp)}
+      {label ? <span className="font-normal">{label}</span> : null}
+    </span>
+  );
+}
@@ -0,0 +1,7 @@
+//Classes Tailwind compartilhadas pelos componentes
+
+export const panelClass =
+  "rounded-3xl border border-zinc-200/60 bg-white/70 p-5 shadow-sm backdrop-blur dark:border-white/10 dark:bg-zinc-900/40";
+
+export const fieldClass =
+  "rounded-2xl border border-zinc-200/60 bg-white/70 px-3 py-2 text-sm text-zinc-900 shadow-sm outline-none dark:border-white/10 dark:bg-zinc-950/40 dark:text-zinc-50";
@@ -0,0 +1,43 @@
+import ptBR from "./messages/pt-BR.js";
+import en from "./messages/en.js";
+import es from "./messages/es.js";
+
+//Idiomas suportados: catálogo de mensagens + parâmetro de idioma de cada API externa
+export const LANGUAGES = {
+  "pt-BR": { label: "Português", messages: ptBR, geocode: "pt", nominatim: "pt-BR" },
+  en: { label: "English", messages: en, geocode: "en", nominatim: "en" },
+  es: { label: "Español", messages: es, geocode: "es", nominatim: "es" },
+};
+
+export const DEFAULT_LANGUAGE = "pt-BR";
+
+//Escolhe o idioma inicial a partir do navegador (pt-PT -> pt-BR, en-US -> en, ...)
+export function detectLanguage() {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const l of langs) {
+    if (!l) continue;
+    if (LANGUAGES[l]) return l;
+    const base = l.split("-")[0];
+    const match = Object.keys(LANGUAGES).find((k) => k.split("-")[0] === base);
+    if (match) return match;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export function resolveLanguage(lang) {
+  return LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((obj, k) => (obj == null ? obj : obj[k]), messages);
+}
+
+//Retorna a função t(key, params) do idioma; cai para pt-BR e, por fim, para a própria chave
+export function createTranslator(lang) {
+  const messages = LANGUAGES[resolveLanguage(lang)].messages;
+  return (key, params) => {
+    const msg = lookup(messages, key) ?? lookup(ptBR, key) ?? key;
+    if (!params) return msg;
+    return String(msg).replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
+  };
+}
@@ -0,0 +1,472 @@
+const en = {
+  app: {
+    title: "Weather Forecast",
+    subtitle: "Search cities, use your location and save favorites.",
+    dataSource: "Data: {source}",
+    detail: "Detail: {detail}",
+  },
+  search: {
+    placeholder: "Search city… (e.g. São Paulo, Recife, Porto Alegre)",
+    label: "Search city",
+    suggestions: "City suggestions",
+    searching: "Searching…",
+    resultsOne: "1 result. Use the arrow keys to navigate and Enter to pick.",
+    resultsOther: "{count} results. Use the arrow keys to navigate and Enter to pick.",
+    noResults: "No city found.",
+    recents: "Recent searches",
+    clearRecents: "Clear",
+    recentsAvailable: "{count} recent places. Use the arrow keys to navigate, Enter to pick and Delete to remove.",
+    sourceFavorite: "Favorite",
+    sourceRecent: "Recent",
+  },
+  topbar: {
+    locate: "Location",
+    locateTitle: "Use my location",
+    providerTitle: "Data source",
+    languageTitle: "Language",
+    themeTitle: "Toggle theme",
+    themeLight: "Light",
+    themeDark: "Dark",
+  },
+  favorites: {
+    add: "Add to favorites",
+    remove: "Remove from favorites",
+    isFavorite: "Favorite",
+    favorite: "Add favorite",
+    removeNamed: "Remove {name} from favorites",
+    limitReached: "Limit of {limit} favorites reached",
+  },
+  current: {
+    feelsLike: "Feels like {temp}",
+    humidity: "Humidity",
+    wind: "Wind",
+    visibility: "Visibility",
+    precip: "Rain now",
+    staleTitle: "Showing the last saved forecast",
+    staleBadge: "data from {time}",
+    staleBadgeDate: "data from {date} at {time}",
+  },
+  hourly: {
+    title: "Next hours",
+    subtitle: "Temperature and chance of rain",
+    temp: "Temp",
+    feels: "Feels like",
+    rain: "Rain",
+    time: "Time",
+    tableCaption: "Hour-by-hour forecast",
+    summary: "Next {hours} hours: low of {min} at {minTime} and high of {max} at {maxTime}.",
+    summaryRain: "Highest chance of rain: {pop}% at {time}.",
+    summaryDry: "No rain expected.",
+  },
+  daily: {
+    title: "Next days",
+    subtitle: "High, low and condition",
+    showHours: "Show hours for this day",
+  },
+  alerts: {
+    hail: "Thunderstorm with hail",
+    freezingRain: "Freezing rain",
+    wind: "High winds",
+    heat: "Extreme heat",
+    cold: "Extreme cold",
+    range: "{start} – {end}",
+    windPeak: "up to {value}",
+    heatPeak: "high of {value}",
+    coldPeak: "low of {value}",
+    dismiss: "Dismiss alert",
+    favoriteTitle: "{count} alert(s) in the forecast",
+  },
+  rules: {
+    title: "Notification rules",
+    subtitle: "Get a browser notification when the forecast meets a condition",
+    enableNotifications: "Enable notifications",
+    permission: {
+      granted: "Notifications enabled",
+      denied: "Notifications blocked in the browser",
+      unsupported: "This browser doesn't support notifications",
+    },
+    place: "City",
+    metric: "Metric",
+    operator: "Condition",
+    value: "Value",
+    day: "Day",
+    period: "Period",
+    add: "Add",
+    remove: "Delete rule",
+    enable: "Enable rule",
+    disable: "Pause rule",
+    empty: "No rules yet. E.g. chance of rain > 60% tomorrow morning.",
+    notifyTitle: "Forecast for {place}",
+    notifyBody: "{rule}: {value} ({when})",
+    metrics: {
+      pop: "Chance of rain",
+      temp: "Temperature",
+      feels: "Feels like",
+      wind: "Wind",
+      max: "Daily high",
+      min: "Daily low",
+    },
+    ops: { gt: "above", lt: "below" },
+    days: { today: "today", tomorrow: "tomorrow", any: "next days" },
+    periods: {
+      allDay: "all day",
+      night: "overnight",
+      morning: "in the morning",
+      afternoon: "in the afternoon",
+      evening: "in the evening",
+    },
+  },
+  views: {
+    forecast: "Forecast",
+    compare: "Compare favorites",
+    favorites: "Manage favorites",
+    map: "Map",
+  },
+  compare: {
+    title: "Temperature over the next 24 hours",
+    subtitle: "Favorite cities side by side",
+    empty: "Add cities to your favorites to compare them.",
+    now: "now",
+    hoursAhead: "+{h}h",
+    maxMin: "High {max} • Low {min}",
+    rain: "Rain {pop}%",
+  },
+  share: {
+    label: "Share",
+    title: "Copy a link to this forecast",
+    copied: "Link copied",
+  },
+  pwa: {
+    updateAvailable: "A new version of the app is available",
+    update: "Update",
+    later: "Later",
+  },
+  units: {
+    label: "Units",
+    title: "Units of measurement",
+    temp: "Temperature",
+    wind: "Wind",
+    precip: "Precipitation",
+    distance: "Distance",
+    names: {
+      temp: { c: "Celsius (°C)", f: "Fahrenheit (°F)" },
+      wind: { kmh: "km/h", mph: "mph", ms: "m/s", kn: "knots (kn)", bft: "Beaufort" },
+      precip: { mm: "millimeters (mm)", in: "inches (in)" },
+      distance: { km: "kilometers (km)", mi: "miles (mi)" },
+    },
+  },
+  detail: {
+    open: "Details",
+    title: "Hour-by-hour forecast",
+    subtitle: "Pick the metrics and drag the range below the chart to see up to 7 days",
+    close: "Close details",
+    metricsLabel: "Displayed metrics",
+    metrics: {
+      temp: "Temperature",
+      feels: "Feels like",
+      pop: "Rain (%)",
+      humidity: "Humidity",
+      wind: "Wind",
+      visibility: "Visibility",
+    },
+  },
+  history: {
+    title: "History",
+    subtitle: "Recorded temperatures and rain (Open-Meteo Archive, ERA5)",
+    start: "Start date",
+    end: "End date",
+    lastDays: "Last {n} days",
+    error: "Could not load the history.",
+    empty: "No data for the selected range.",
+    avgMax: "Avg. high {temp}",
+    avgMin: "Avg. low {temp}",
+    totalPrecip: "Total rain {value}",
+    precip: "Rain",
+    max: "High",
+    min: "Low",
+    todayMax: "Today's high {temp}",
+    vsLastYear: "vs last year",
+    vsNormal: "vs normal",
+    lastYearValue: "Last year: {temp}",
+    normalValue: "Normal: {temp}",
+    dailyHint: "high compared to the {years}-year average",
+  },
+  panels: {
+    unavailable: "No data",
+    uv: {
+      title: "UV index",
+      todayMax: "Today's max: {value}",
+      levels: { low: "Low", moderate: "Moderate", high: "High", veryHigh: "Very high", extreme: "Extreme" },
+      advice: {
+        low: "No protection needed",
+        moderate: "Wear sunscreen and sunglasses",
+        high: "Avoid the sun between 10 am and 4 pm",
+        veryHigh: "Extra protection; seek shade",
+        extreme: "Avoid being outside in the sun",
+      },
+    },
+    wind: {
+      title: "Wind",
+      from: "From {dir}",
+      gusts: "Gusts of {value}",
+      gustsMax: "Today's max gust: {value}",
+    },
+    pressure: {
+      title: "Pressure",
+      rising: "Rising",
+      falling: "Falling",
+      steady: "Steady",
+      fallingFast: "Falling fast: weather may change",
+    },
+    aqi: {
+      title: "Air quality",
+      levels: {
+        good: "Good",
+        moderate: "Moderate",
+        sensitive: "Unhealthy for sensitive groups",
+        unhealthy: "Unhealthy",
+        veryUnhealthy: "Very unhealthy",
+        hazardous: "Hazardous",
+      },
+    },
+  },
+  compass: {
+    N: "N",
+    NNE: "NNE",
+    NE: "NE",
+    ENE: "ENE",
+    E: "E",
+    ESE: "ESE",
+    SE: "SE",
+    SSE: "SSE",
+    S: "S",
+    SSW: "SSW",
+    SW: "SW",
+    WSW: "WSW",
+    W: "W",
+    WNW: "WNW",
+    NW: "NW",
+    NNW: "NNW",
+  },
+  astronomy: {
+    title: "Sun and moon",
+    subtitle: "Computed locally from the city's position",
+    sunPosition: "Current sun position",
+    blueMorning: "Blue hour (morning)",
+    goldenMorning: "Golden hour (morning)",
+    goldenEvening: "Golden hour (evening)",
+    blueEvening: "Blue hour (evening)",
+    solarNoon: "Solar noon",
+    dayLength: "Day length",
+    weekLonger: "+{value} over 7 days",
+    weekShorter: "−{value} over 7 days",
+    illumination: "{value}% illuminated",
+    nextFull: "Next full moon: {date}",
+    moon: {
+      new: "New moon",
+      waxingCrescent: "Waxing crescent",
+      firstQuarter: "First quarter",
+      waxingGibbous: "Waxing gibbous",
+      full: "Full moon",
+      waningGibbous: "Waning gibbous",
+      lastQuarter: "Last quarter",
+      waningCrescent: "Waning crescent",
+    },
+  },
+  favoritesManager: {
+    title: "Manage favorites",
+    subtitle: "{count} of {limit} favorites. Drag to reorder, give nicknames and organize into groups.",
+    limit: "Limit",
+    export: "Export",
+    import: "Import",
+    fileName: "favorites",
+    overLimit: "You have {count} favorites, above the limit of {limit}. None were removed, but new ones won't be added.",
+    moved: "{name} moved to position {position} of {total}.",
+    imported: "{count} favorite(s) imported.",
+    importDuplicates: "{count} already in the list.",
+    importOverLimit: "{count} didn't fit within the limit of {limit}.",
+    importErrors: {
+      invalidJson: "Couldn't read the file: it isn't valid JSON.",
+      invalidFormat: "The file doesn't look like a favorites export.",
+      empty: "The file has no place with valid coordinates.",
+    },
+    drag: "Drag to reorder",
+    open: "Show forecast",
+    nicknameFor: "Nickname for {name}",
+    groupFor: "Group for {name}",
+    groupPlaceholder: "Group",
+    moveUp: "Move {name} up",
+    moveDown: "Move {name} down",
+    empty: "No favorites yet. Use the star next to the city or import a file.",
+    ungrouped: "Ungrouped",
+  },
+  storage: {
+    full: "The browser's storage is full: some changes were not saved.",
+    dismiss: "Dismiss",
+  },
+  refresh: {
+    now: "Refresh now",
+    autoTitle: "Automatic refresh",
+    off: "Auto: off",
+    everyMinutes: "Auto: {min} min",
+    everyHours: "Auto: {h} h",
+    updatedAt: "Updated at {time}",
+  },
+  nowcast: {
+    title: "Rain in the next 2 hours",
+    subtitle: "{unit} every 15 min",
+    amount: "Rain",
+    unavailable: "Minute-level forecast unavailable for this place.",
+    dry: "No rain in the next {h} h",
+    starts: "Rain starts in {in}, lasts {lasts}",
+    startsOpen: "Rain starts in {in} and lasts over {lasts}",
+    startingNow: "Rain starting now, lasts {lasts}",
+    startingNowOpen: "Rain starting now, lasts over {lasts}",
+    rainingEnds: "Raining now, stops in {in}",
+    rainingOn: "Raining now, no break in the next {h} h",
+  },
+  planner: {
+    title: "Activity planner",
+    subtitle: "Score for every hour of the next 7 days and the best windows of each day.",
+    activity: "Activity",
+    presetsGroup: "Presets",
+    customGroup: "My activities",
+    presets: { run: "Running", bike: "Cycling", beach: "Beach", bbq: "Barbecue" },
+    new: "New activity",
+    remove: "Delete activity",
+    name: "Activity name",
+    namePlaceholder: "e.g. Dog walk",
+    min: "min",
+    max: "max",
+    save: "Save",
+    daylightLabel: "Time of day",
+    daylight: { day: "Daylight only", any: "Day or night" },
+    criteria: { temp: "Temperature", feels: "Feels like", wind: "Wind", pop: "Rain" },
+    upTo: "up to {value}",
+    from: "from {value}",
+    window: "{start}–{end} · {score}",
+    noWindow: "No good hours",
+    chartMark: "Best hours: {activity}",
+    errors: {
+      name: "Give the activity a name.",
+      range: "{criterion}: the minimum is above the maximum.",
+    },
+  },
+  summary: {
+    readAloud: "Read aloud",
+    readDay: "Read {day}'s summary aloud",
+    stop: "Stop reading",
+    periods: { morning: "morning", afternoon: "afternoon", night: "night" },
+    at: { morning: "in the morning", afternoon: "in the afternoon", night: "at night" },
+    feel: { cold: "cold", cool: "cool", mild: "mild", warm: "warm", hot: "hot" },
+    sky: { clear: "clear", partly: "partly cloudy", cloudy: "cloudy", fog: "foggy" },
+    wet: { drizzle: "drizzle", rain: "rain", showers: "showers", snow: "snow", storm: "thunderstorms" },
+    dryClause: "{feel}, {sky} {period}",
+    dryClauseOne: "{value} {period}",
+    wetClause: "{kind} {at} with a {pop}% chance",
+    wetClauseNoPop: "{kind} {at}",
+    cooling: "cooling down {at}",
+    warming: "warming up {at}",
+    steady: "little change through the rest of the day",
+  },
+  export: {
+    menu: "Export",
+    formats: { csv: "Spreadsheet (CSV)", json: "Data (JSON)", ics: "Calendar (.ics)" },
+    fileNames: { hourly: "hourly-forecast", daily: "daily-forecast" },
+    calendarName: "Forecast – {place}",
+    icsRain: "rain {pop}%",
+    icsDetails: "High {max} • low {min} • chance of rain {pop}%",
+    columns: {
+      time: "Time",
+      date: "Date",
+      temp: "Temperature",
+      feels: "Feels like",
+      humidity: "Humidity",
+      pop: "Chance of rain",
+      popMax: "Chance of rain",
+      precip: "Precipitation",
+      wind: "Wind",
+      gusts: "Gusts",
+      gustsMax: "Max gusts",
+      windDir: "Wind direction",
+      pressure: "Pressure",
+      uv: "UV",
+      uvMax: "Max UV",
+      visibility: "Visibility",
+      max: "High",
+      min: "Low",
+      sunrise: "Sunrise",
+      sunset: "Sunset",
+      code: "WMO code",
+      condition: "Condition",
+    },
+  },
+  map: {
+    title: "Map",
+    subtitle: "Click any point to see its forecast. Favorites show their current temperature.",
+    nearby: "Nearby temperatures",
+    loadingNearby: "Loading nearby temperatures",
+    nearbyError: "Couldn't load nearby temperatures.",
+    ariaLabel: "Interactive map: click to choose a place",
+    loading: "Loading map",
+    loadError: "Couldn't load the map.",
+    picking: "Finding the place…",
+    loadingForecast: "Loading forecast…",
+    openForecast: "Open full forecast",
+  },
+  time: {
+    local: "Local time: {time} ({offset})",
+    localSame: "{time} · same time zone as yours",
+    yours: "Your time: {time}",
+  },
+  place: {
+    myLocation: "My location",
+  },
+  errors: {
+    retry: "Try again",
+    forecastTitle: "Couldn't load the forecast",
+    forecastMessage: "Check your connection and try again. If it persists, the data provider may be unstable.",
+    locationTitle: "Couldn't access your location",
+    locationMessage: "Allow location access in your browser or search for your city manually.",
+    emptyTitle: "Select a city",
+    emptyMessage: "Search for a city above to see the forecast.",
+  },
+  providers: {
+    "open-meteo": "Open‑Meteo",
+    "met-norway": "MET Norway",
+    mock: "Demo (offline)",
+  },
+  wx: {
+    0: "Clear sky",
+    1: "Mainly clear",
+    2: "Partly cloudy",
+    3: "Overcast",
+    45: "Fog",
+    48: "Depositing rime fog",
+    51: "Light drizzle",
+    53: "Moderate drizzle",
+    55: "Dense drizzle",
+    56: "Light freezing drizzle",
+    57: "Dense freezing drizzle",
+    61: "Light rain",
+    63: "Moderate rain",
+    65: "Heavy rain",
+    66: "Light freezing rain",
+    67: "Heavy freezing rain",
+    71: "Light snow",
+    73: "Moderate snow",
+    75: "Heavy snow",
+    77: "Snow grains",
+    80: "Light showers",
+    81: "Moderate showers",
+    82: "Violent showers",
+    85: "Light snow showers",
+    86: "Heavy snow showers",
+    95: "Thunderstorm",
+    96: "Thunderstorm with light hail",
+    99: "Thunderstorm with heavy hail",
+    unknown: "Variable conditions",
+  },
+};
+
+export default en;
@@ -0,0 +1,472 @@
+const es = {
+  app: {
+    title: "Pronóstico del Tiempo",
+    subtitle: "Busca ciudades, usa tu ubicación y guarda favoritos.",
+    dataSource: "Datos: {source}",
+    detail: "Detalle: {detail}",
+  },
+  search: {
+    placeholder: "Buscar ciudad… (ej.: São Paulo, Recife, Porto Alegre)",
+    label: "Buscar ciudad",
+    suggestions: "Sugerencias de ciudades",
+    searching: "Buscando…",
+    resultsOne: "1 resultado. Usa las flechas para navegar y Enter para elegir.",
+    resultsOther: "{count} resultados. Usa las flechas para navegar y Enter para elegir.",
+    noResults: "No se encontró ninguna ciudad.",
+    recents: "Búsquedas recientes",
+    clearRecents: "Borrar",
+    recentsAvailable: "{count} lugares recientes. Usa las flechas para navegar, Enter para elegir y Suprimir para quitar.",
+    sourceFavorite: "Favorito",
+    sourceRecent: "Reciente",
+  },
+  topbar: {
+    locate: "Ubicación",
+    locateTitle: "Usar mi ubicación",
+    providerTitle: "Fuente de datos",
+    languageTitle: "Idioma",
+    themeTitle: "Cambiar tema",
+    themeLight: "Claro",
+    themeDark: "Oscuro",
+  },
+  favorites: {
+    add: "Agregar a favoritos",
+    remove: "Quitar de favoritos",
+    isFavorite: "Favorito",
+    favorite: "Marcar favorito",
+    removeNamed: "Quitar {name} de favoritos",
+    limitReached: "Límite de {limit} favoritos alcanzado",
+  },
+  current: {
+    feelsLike: "Sensación {temp}",
+    humidity: "Humedad",
+    wind: "Viento",
+    visibility: "Visibilidad",
+    precip: "Lluvia ahora",
+    staleTitle: "Mostrando el último pronóstico guardado",
+    staleBadge: "datos de las {time}",
+    staleBadgeDate: "datos del {date} a las {time}",
+  },
+  hourly: {
+    title: "Próximas horas",
+    subtitle: "Temperatura y probabilidad de lluvia",
+    temp: "Temp",
+    feels: "Sensación",
+    rain: "Lluvia",
+    time: "Hora",
+    tableCaption: "Pronóstico hora a hora",
+    summary: "Próximas {hours} horas: mínima de {min} a las {minTime} y máxima de {max} a las {maxTime}.",
+    summaryRain: "Mayor probabilidad de lluvia: {pop}% a las {time}.",
+    summaryDry: "Sin lluvia prevista.",
+  },
+  daily: {
+    title: "Próximos días",
+    subtitle: "Máxima, mínima y condición",
+    showHours: "Mostrar las horas de este día",
+  },
+  alerts: {
+    hail: "Tormenta con granizo",
+    freezingRain: "Lluvia helada",
+    wind: "Vientos fuertes",
+    heat: "Calor extremo",
+    cold: "Frío extremo",
+    range: "{start} – {end}",
+    windPeak: "hasta {value}",
+    heatPeak: "máxima de {value}",
+    coldPeak: "mínima de {value}",
+    dismiss: "Descartar alerta",
+    favoriteTitle: "{count} alerta(s) en el pronóstico",
+  },
+  rules: {
+    title: "Reglas de notificación",
+    subtitle: "Recibe un aviso del navegador cuando el pronóstico cumpla una condición",
+    enableNotifications: "Activar notificaciones",
+    permission: {
+      granted: "Notificaciones activas",
+      denied: "Notificaciones bloqueadas en el navegador",
+      unsupported: "El navegador no admite notificaciones",
+    },
+    place: "Ciudad",
+    metric: "Métrica",
+    operator: "Condición",
+    value: "Valor",
+    day: "Día",
+    period: "Período",
+    add: "Agregar",
+    remove: "Eliminar regla",
+    enable: "Activar regla",
+    disable: "Pausar regla",
+    empty: "Aún no hay reglas. Ej.: probabilidad de lluvia > 60% mañana por la mañana.",
+    notifyTitle: "Pronóstico para {place}",
+    notifyBody: "{rule}: {value} ({when})",
+    metrics: {
+      pop: "Probabilidad de lluvia",
+      temp: "Temperatura",
+      feels: "Sensación térmica",
+      wind: "Viento",
+      max: "Máxima del día",
+      min: "Mínima del día",
+    },
+    ops: { gt: "mayor que", lt: "menor que" },
+    days: { today: "hoy", tomorrow: "mañana", any: "próximos días" },
+    periods: {
+      allDay: "todo el día",
+      night: "de madrugada",
+      morning: "por la mañana",
+      afternoon: "por la tarde",
+      evening: "por la noche",
+    },
+  },
+  views: {
+    forecast: "Pronóstico",
+    compare: "Comparar favoritos",
+    favorites: "Gestionar favoritos",
+    map: "Mapa",
+  },
+  compare: {
+    title: "Temperatura en las próximas 24 horas",
+    subtitle: "Curvas de los favoritos lado a lado",
+    empty: "Agrega ciudades a favoritos para compararlas.",
+    now: "ahora",
+    hoursAhead: "+{h}h",
+    maxMin: "Máx {max} • Mín {min}",
+    rain: "Lluvia {pop}%",
+  },
+  share: {
+    label: "Compartir",
+    title: "Copiar enlace de este pronóstico",
+    copied: "Enlace copiado",
+  },
+  pwa: {
+    updateAvailable: "Hay una nueva versión de la app disponible",
+    update: "Actualizar",
+    later: "Más tarde",
+  },
+  units: {
+    label: "Unidades",
+    title: "Unidades de medida",
+    temp: "Temperatura",
+    wind: "Viento",
+    precip: "Lluvia",
+    distance: "Distancia",
+    names: {
+      temp: { c: "Celsius (°C)", f: "Fahrenheit (°F)" },
+      wind: { kmh: "km/h", mph: "mph", ms: "m/s", kn: "nudos (kn)", bft: "Beaufort" },
+      precip: { mm: "milímetros (mm)", in: "pulgadas (in)" },
+      distance: { km: "kilómetros (km)", mi: "millas (mi)" },
+    },
+  },
+  detail: {
+    open: "Detalles",
+    title: "Pronóstico hora a hora",
+    subtitle: "Elige las métricas y arrastra el rango bajo el gráfico para ver hasta 7 días",
+    close: "Cerrar detalles",
+    metricsLabel: "Métricas mostradas",
+    metrics: {
+      temp: "Temperatura",
+      feels: "Sensación",
+      pop: "Lluvia (%)",
+      humidity: "Humedad",
+      wind: "Viento",
+      visibility: "Visibilidad",
+    },
+  },
+  history: {
+    title: "Historial",
+    subtitle: "Temperaturas y lluvia registradas (Open-Meteo Archive, ERA5)",
+    start: "Fecha inicial",
+    end: "Fecha final",
+    lastDays: "Últimos {n} días",
+    error: "No se pudo cargar el historial.",
+    empty: "Sin datos para el rango elegido.",
+    avgMax: "Máx. media {temp}",
+    avgMin: "Mín. media {temp}",
+    totalPrecip: "Lluvia acumulada {value}",
+    precip: "Lluvia",
+    max: "Máxima",
+    min: "Mínima",
+    todayMax: "Máx. hoy {temp}",
+    vsLastYear: "vs año pasado",
+    vsNormal: "vs normal",
+    lastYearValue: "Año pasado: {temp}",
+    normalValue: "Normal: {temp}",
+    dailyHint: "diferencia de la máxima con la media de {years} años",
+  },
+  panels: {
+    unavailable: "Sin datos",
+    uv: {
+      title: "Índice UV",
+      todayMax: "Máximo hoy: {value}",
+      levels: { low: "Bajo", moderate: "Moderado", high: "Alto", veryHigh: "Muy alto", extreme: "Extremo" },
+      advice: {
+        low: "No se necesita protección",
+        moderate: "Usa protector solar y gafas",
+        high: "Evita el sol entre las 10 y las 16 h",
+        veryHigh: "Protección extra; busca sombra",
+        extreme: "Evita estar al sol",
+      },
+    },
+    wind: {
+      title: "Viento",
+      from: "Del {dir}",
+      gusts: "Ráfagas de {value}",
+      gustsMax: "Ráfaga máx. hoy: {value}",
+    },
+    pressure: {
+      title: "Presión",
+      rising: "Subiendo",
+      falling: "Bajando",
+      steady: "Estable",
+      fallingFast: "Caída rápida: posible cambio de tiempo",
+    },
+    aqi: {
+      title: "Calidad del aire",
+      levels: {
+        good: "Buena",
+        moderate: "Moderada",
+        sensitive: "Dañina para grupos sensibles",
+        unhealthy: "Dañina",
+        veryUnhealthy: "Muy dañina",
+        hazardous: "Peligrosa",
+      },
+    },
+  },
+  compass: {
+    N: "N",
+    NNE: "NNE",
+    NE: "NE",
+    ENE: "ENE",
+    E: "E",
+    ESE: "ESE",
+    SE: "SE",
+    SSE: "SSE",
+    S: "S",
+    SSW: "SSO",
+    SW: "SO",
+    WSW: "OSO",
+    W: "O",
+    WNW: "ONO",
+    NW: "NO",
+    NNW: "NNO",
+  },
+  astronomy: {
+    title: "Sol y luna",
+    subtitle: "Calculado localmente a partir de la posición de la ciudad",
+    sunPosition: "Posición actual del sol",
+    blueMorning: "Hora azul (mañana)",
+    goldenMorning: "Hora dorada (mañana)",
+    goldenEvening: "Hora dorada (tarde)",
+    blueEvening: "Hora azul (tarde)",
+    solarNoon: "Mediodía solar",
+    dayLength: "Duración del día",
+    weekLonger: "+{value} en 7 días",
+    weekShorter: "−{value} en 7 días",
+    illumination: "{value}% iluminada",
+    nextFull: "Próxima luna llena: {date}",
+    moon: {
+      new: "Luna nueva",
+      waxingCrescent: "Luna creciente",
+      firstQuarter: "Cuarto creciente",
+      waxingGibbous: "Gibosa creciente",
+      full: "Luna llena",
+      waningGibbous: "Gibosa menguante",
+      lastQuarter: "Cuarto menguante",
+      waningCrescent: "Luna menguante",
+    },
+  },
+  favoritesManager: {
+    title: "Gestionar favoritos",
+    subtitle: "{count} de {limit} favoritos. Arrastra para reordenar, pon apodos y organízalos en grupos.",
+    limit: "Límite",
+    export: "Exportar",
+    import: "Importar",
+    fileName: "favoritos",
+    overLimit: "Tienes {count} favoritos, por encima del límite de {limit}. No se eliminó ninguno, pero no se añadirán nuevos.",
+    moved: "{name} movido a la posición {position} de {total}.",
+    imported: "{count} favorito(s) importado(s).",
+    importDuplicates: "{count} ya estaba(n) en la lista.",
+    importOverLimit: "{count} no cupo(ieron) en el límite de {limit}.",
+    importErrors: {
+      invalidJson: "No se pudo leer el archivo: no es un JSON válido.",
+      invalidFormat: "El archivo no parece una exportación de favoritos.",
+      empty: "El archivo no tiene ningún lugar con coordenadas válidas.",
+    },
+    drag: "Arrastra para reordenar",
+    open: "Ver pronóstico",
+    nicknameFor: "Apodo para {name}",
+    groupFor: "Grupo de {name}",
+    groupPlaceholder: "Grupo",
+    moveUp: "Subir {name}",
+    moveDown: "Bajar {name}",
+    empty: "Aún no hay favoritos. Usa la estrella junto a la ciudad o importa un archivo.",
+    ungrouped: "Sin grupo",
+  },
+  storage: {
+    full: "Sin espacio en el almacenamiento del navegador: algunos cambios no se guardaron.",
+    dismiss: "Cerrar",
+  },
+  refresh: {
+    now: "Actualizar ahora",
+    autoTitle: "Actualización automática",
+    off: "Auto: desactivada",
+    everyMinutes: "Auto: {min} min",
+    everyHours: "Auto: {h} h",
+    updatedAt: "Actualizado a las {time}",
+  },
+  nowcast: {
+    title: "Lluvia en las próximas 2 horas",
+    subtitle: "{unit} cada 15 min",
+    amount: "Lluvia",
+    unavailable: "Pronóstico minuto a minuto no disponible para este lugar.",
+    dry: "Sin lluvia en las próximas {h} h",
+    starts: "La lluvia empieza en {in}, dura {lasts}",
+    startsOpen: "La lluvia empieza en {in} y dura más de {lasts}",
+    startingNow: "Empieza a llover ahora, dura {lasts}",
+    startingNowOpen: "Empieza a llover ahora, dura más de {lasts}",
+    rainingEnds: "Lloviendo ahora, para en {in}",
+    rainingOn: "Lloviendo ahora, sin pausa en las próximas {h} h",
+  },
+  planner: {
+    title: "Planificador de actividades",
+    subtitle: "Puntuación de cada hora de los próximos 7 días y las mejores franjas de cada día.",
+    activity: "Actividad",
+    presetsGroup: "Predefinidas",
+    customGroup: "Mis actividades",
+    presets: { run: "Correr", bike: "Ciclismo", beach: "Playa", bbq: "Asado" },
+    new: "Nueva actividad",
+    remove: "Eliminar actividad",
+    name: "Nombre de la actividad",
+    namePlaceholder: "Ej.: Paseo con el perro",
+    min: "mín.",
+    max: "máx.",
+    save: "Guardar",
+    daylightLabel: "Horario",
+    daylight: { day: "Solo de día", any: "Día o noche" },
+    criteria: { temp: "Temperatura", feels: "Sensación", wind: "Viento", pop: "Lluvia" },
+    upTo: "hasta {value}",
+    from: "desde {value}",
+    window: "{start}–{end} · {score}",
+    noWindow: "Ninguna hora buena",
+    chartMark: "Mejores horas: {activity}",
+    errors: {
+      name: "Ponle un nombre a la actividad.",
+      range: "{criterion}: el mínimo es mayor que el máximo.",
+    },
+  },
+  summary: {
+    readAloud: "Leer en voz alta",
+    readDay: "Leer el resumen de {day} en voz alta",
+    stop: "Detener lectura",
+    periods: { morning: "mañana", afternoon: "tarde", night: "noche" },
+    at: { morning: "por la mañana", afternoon: "por la tarde", night: "por la noche" },
+    feel: { cold: "fría", cool: "fresca", mild: "templada", warm: "cálida", hot: "muy calurosa" },
+    sky: { clear: "despejada", partly: "parcialmente nublada", cloudy: "nublada", fog: "con niebla" },
+    wet: { drizzle: "llovizna", rain: "lluvia", showers: "chubascos", snow: "nieve", storm: "tormentas" },
+    dryClause: "{period} {feel} y {sky}",
+    dryClauseOne: "{period} {value}",
+    wetClause: "{kind} {at} con {pop}% de probabilidad",
+    wetClauseNoPop: "{kind} {at}",
+    cooling: "refrescando {at}",
+    warming: "calentando {at}",
+    steady: "sin grandes cambios el resto del día",
+  },
+  export: {
+    menu: "Exportar",
+    formats: { csv: "Hoja de cálculo (CSV)", json: "Datos (JSON)", ics: "Calendario (.ics)" },
+    fileNames: { hourly: "pronostico-por-hora", daily: "pronostico-diario" },
+    calendarName: "Pronóstico – {place}",
+    icsRain: "lluvia {pop}%",
+    icsDetails: "Máx. {max} • mín. {min} • probabilidad de lluvia {pop}%",
+    columns: {
+      time: "Hora",
+      date: "Fecha",
+      temp: "Temperatura",
+      feels: "Sensación",
+      humidity: "Humedad",
+      pop: "Probabilidad de lluvia",
+      popMax: "Probabilidad de lluvia",
+      precip: "Precipitación",
+      wind: "Viento",
+      gusts: "Ráfagas",
+      gustsMax: "Ráfagas máx.",
+      windDir: "Dirección del viento",
+      pressure: "Presión",
+      uv: "UV",
+      uvMax: "UV máx.",
+      visibility: "Visibilidad",
+      max: "Máxima",
+      min: "Mínima",
+      sunrise: "Salida del sol",
+      sunset: "Puesta del sol",
+      code: "Código WMO",
+      condition: "Condición",
+    },
+  },
+  map: {
+    title: "Mapa",
+    subtitle: "Haz clic en cualquier punto para ver su pronóstico. Los favoritos muestran la temperatura actual.",
+    nearby: "Temperaturas alrededor",
+    loadingNearby: "Cargando temperaturas alrededor",
+    nearbyError: "No se pudieron cargar las temperaturas alrededor.",
+    ariaLabel: "Mapa interactivo: haz clic para elegir un lugar",
+    loading: "Cargando mapa",
+    loadError: "No se pudo cargar el mapa.",
+    picking: "Identificando el lugar…",
+    loadingForecast: "Cargando pronóstico…",
+    openForecast: "Ver pronóstico completo",
+  },
+  time: {
+    local: "Hora local: {time} ({offset})",
+    localSame: "{time} · mismo huso horario que el tuyo",
+    yours: "Tu hora: {time}",
+  },
+  place: {
+    myLocation: "Mi ubicación",
+  },
+  errors: {
+    retry: "Intentar de nuevo",
+    forecastTitle: "No pude cargar el pronóstico",
+    forecastMessage: "Verifica tu conexión e inténtalo de nuevo. Si persiste, puede ser inestabilidad del proveedor de datos.",
+    locationTitle: "No pude acceder a tu ubicación",
+    locationMessage: "Permite el acceso a la ubicación en el navegador o busca tu ciudad manualmente.",
+    emptyTitle: "Selecciona una ciudad",
+    emptyMessage: "Busca una ciudad arriba para ver el pronóstico.",
+  },
+  providers: {
+    "open-meteo": "Open‑Meteo",
+    "met-norway": "MET Norway",
+    mock: "Demostración (sin conexión)",
+  },
+  wx: {
+    0: "Cielo despejado",
+    1: "Mayormente despejado",
+    2: "Parcialmente nublado",
+    3: "Nublado",
+    45: "Niebla",
+    48: "Niebla con escarcha",
+    51: "Llovizna ligera",
+    53: "Llovizna moderada",
+    55: "Llovizna intensa",
+    56: "Llovizna helada ligera",
+    57: "Llovizna helada intensa",
+    61: "Lluvia ligera",
+    63: "Lluvia moderada",
+    65: "Lluvia fuerte",
+    66: "Lluvia helada ligera",
+    67: "Lluvia helada fuerte",
+    71: "Nieve ligera",
+    73: "Nieve moderada",
+    75: "Nieve fuerte",
+    77: "Granos de nieve",
+    80: "Chubascos ligeros",
+    81: "Chubascos moderados",
+    82: "Chubascos fuertes",
+    85: "Chubascos de nieve ligeros",
+    86: "Chubascos de nieve fuertes",
+    95: "Tormenta",
+    96: "Tormenta con granizo ligero",
+    99: "Tormenta con granizo fuerte",
+    unknown: "Condición variable",
+  },
+};
+
+export default es;
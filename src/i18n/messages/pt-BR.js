@@ -0,0 +1,472 @@
+const ptBR = {
+  app: {
+    title: "Previsão do Tempo",
+    subtitle: "Busque cidades, use sua localização e salve favoritos.",
+    dataSource: "Dados: {source}",
+    detail: "Detalhe: {detail}",
+  },
+  search: {
+    placeholder: "Buscar cidade… (ex.: São Paulo, Recife, Porto Alegre)",
+    label: "Buscar cidade",
+    suggestions: "Sugestões de cidades",
+    searching: "Buscando…",
+    resultsOne: "1 resultado. Use as setas para navegar e Enter para escolher.",
+    resultsOther: "{count} resultados. Use as setas para navegar e Enter para escolher.",
+    noResults: "Nenhuma cidade encontrada.",
+    recents: "Buscas recentes",
+    clearRecents: "Limpar",
+    recentsAvailable: "{count} lugares recentes. Use as setas para navegar, Enter para escolher e Delete para remover.",
+    sourceFavorite: "Favorito",
+    sourceRecent: "Recente",
+  },
+  topbar: {
+    locate: "Localização",
+    locateTitle: "Usar minha localização",
+    providerTitle: "Fonte dos dados",
+    languageTitle: "Idioma",
+    themeTitle: "Alternar tema",
+    themeLight: "Claro",
+    themeDark: "Escuro",
+  },
+  favorites: {
+    add: "Adicionar aos favoritos",
+    remove: "Remover dos favoritos",
+    isFavorite: "Favorito",
+    favorite: "Favoritar",
+    removeNamed: "Remover {name} dos favoritos",
+    limitReached: "Limite de {limit} favoritos atingido",
+  },
+  current: {
+    feelsLike: "Sensação {temp}",
+    humidity: "Umidade",
+    wind: "Vento",
+    visibility: "Visibilidade",
+    precip: "Chuva agora",
+    staleTitle: "Exibindo a última previsão salva",
+    staleBadge: "dados de {time}",
+    staleBadgeDate: "dados de {date} às {time}",
+  },
+  hourly: {
+    title: "Próximas horas",
+    subtitle: "Temperatura e chance de chuva",
+    temp: "Temp",
+    feels: "Sensação",
+    rain: "Chuva",
+    time: "Hora",
+    tableCaption: "Previsão hora a hora",
+    summary: "Próximas {hours} horas: mínima de {min} às {minTime} e máxima de {max} às {maxTime}.",
+    summaryRain: "Maior chance de chuva: {pop}% às {time}.",
+    summaryDry: "Sem chance de chuva prevista.",
+  },
+  daily: {
+    title: "Próximos dias",
+    subtitle: "Máxima, mínima e condição",
+    showHours: "Mostrar horas deste dia",
+  },
+  alerts: {
+    hail: "Trovoada com granizo",
+    freezingRain: "Chuva congelante",
+    wind: "Ventos fortes",
+    heat: "Calor intenso",
+    cold: "Frio intenso",
+    range: "{start} – {end}",
+    windPeak: "até {value}",
+    heatPeak: "máxima de {value}",
+    coldPeak: "mínima de {value}",
+    dismiss: "Dispensar alerta",
+    favoriteTitle: "{count} alerta(s) na previsão",
+  },
+  rules: {
+    title: "Regras de notificação",
+    subtitle: "Receba um aviso do navegador quando a previsão atender a uma condição",
+    enableNotifications: "Ativar notificações",
+    permission: {
+      granted: "Notificações ativas",
+      denied: "Notificações bloqueadas no navegador",
+      unsupported: "Navegador sem suporte a notificações",
+    },
+    place: "Cidade",
+    metric: "Métrica",
+    operator: "Condição",
+    value: "Valor",
+    day: "Dia",
+    period: "Período",
+    add: "Adicionar",
+    remove: "Excluir regra",
+    enable: "Ativar regra",
+    disable: "Pausar regra",
+    empty: "Nenhuma regra ainda. Ex.: chance de chuva > 60% amanhã de manhã.",
+    notifyTitle: "Previsão para {place}",
+    notifyBody: "{rule}: {value} ({when})",
+    metrics: {
+      pop: "Chance de chuva",
+      temp: "Temperatura",
+      feels: "Sensação térmica",
+      wind: "Vento",
+      max: "Máxima do dia",
+      min: "Mínima do dia",
+    },
+    ops: { gt: "acima de", lt: "abaixo de" },
+    days: { today: "hoje", tomorrow: "amanhã", any: "próximos dias" },
+    periods: {
+      allDay: "o dia todo",
+      night: "de madrugada",
+      morning: "de manhã",
+      afternoon: "à tarde",
+      evening: "à noite",
+    },
+  },
+  views: {
+    forecast: "Previsão",
+    compare: "Comparar favoritos",
+    favorites: "Gerenciar favoritos",
+    map: "Mapa",
+  },
+  compare: {
+    title: "Temperatura nas próximas 24 horas",
+    subtitle: "Curvas dos favoritos lado a lado",
+    empty: "Adicione cidades aos favoritos para compará-las.",
+    now: "agora",
+    hoursAhead: "+{h}h",
+    maxMin: "Máx {max} • Mín {min}",
+    rain: "Chuva {pop}%",
+  },
+  share: {
+    label: "Compartilhar",
+    title: "Copiar link desta previsão",
+    copied: "Link copiado",
+  },
+  pwa: {
+    updateAvailable: "Nova versão do app disponível",
+    update: "Atualizar",
+    later: "Depois",
+  },
+  units: {
+    label: "Unidades",
+    title: "Unidades de medida",
+    temp: "Temperatura",
+    wind: "Vento",
+    precip: "Chuva",
+    distance: "Distância",
+    names: {
+      temp: { c: "Celsius (°C)", f: "Fahrenheit (°F)" },
+      wind: { kmh: "km/h", mph: "mph", ms: "m/s", kn: "nós (kn)", bft: "Beaufort" },
+      precip: { mm: "milímetros (mm)", in: "polegadas (in)" },
+      distance: { km: "quilômetros (km)", mi: "milhas (mi)" },
+    },
+  },
+  detail: {
+    open: "Detalhes",
+    title: "Previsão hora a hora",
+    subtitle: "Escolha as métricas e arraste a faixa abaixo do gráfico para ver até 7 dias",
+    close: "Fechar detalhes",
+    metricsLabel: "Métricas exibidas",
+    metrics: {
+      temp: "Temperatura",
+      feels: "Sensação",
+      pop: "Chuva (%)",
+      humidity: "Umidade",
+      wind: "Vento",
+      visibility: "Visibilidade",
+    },
+  },
+  history: {
+    title: "Histórico",
+    subtitle: "Temperaturas e chuva registradas (Open-Meteo Archive, ERA5)",
+    start: "Data inicial",
+    end: "Data final",
+    lastDays: "Últimos {n} dias",
+    error: "Não foi possível carregar o histórico.",
+    empty: "Sem dados para o intervalo escolhido.",
+    avgMax: "Máx. média {temp}",
+    avgMin: "Mín. média {temp}",
+    totalPrecip: "Chuva acumulada {value}",
+    precip: "Chuva",
+    max: "Máxima",
+    min: "Mínima",
+    todayMax: "Máx. hoje {temp}",
+    vsLastYear: "vs ano passado",
+    vsNormal: "vs normal",
+    lastYearValue: "Ano passado: {temp}",
+    normalValue: "Normal: {temp}",
+    dailyHint: "diferença da máxima para a média de {years} anos",
+  },
+  panels: {
+    unavailable: "Sem dados",
+    uv: {
+      title: "Índice UV",
+      todayMax: "Máximo hoje: {value}",
+      levels: { low: "Baixo", moderate: "Moderado", high: "Alto", veryHigh: "Muito alto", extreme: "Extremo" },
+      advice: {
+        low: "Sem proteção necessária",
+        moderate: "Use protetor solar e óculos",
+        high: "Evite o sol entre 10 h e 16 h",
+        veryHigh: "Proteção extra; procure sombra",
+        extreme: "Evite ficar ao sol",
+      },
+    },
+    wind: {
+      title: "Vento",
+      from: "De {dir}",
+      gusts: "Rajadas de {value}",
+      gustsMax: "Rajada máx. hoje: {value}",
+    },
+    pressure: {
+      title: "Pressão",
+      rising: "Subindo",
+      falling: "Caindo",
+      steady: "Estável",
+      fallingFast: "Queda rápida: possível mudança de tempo",
+    },
+    aqi: {
+      title: "Qualidade do ar",
+      levels: {
+        good: "Boa",
+        moderate: "Moderada",
+        sensitive: "Ruim para grupos sensíveis",
+        unhealthy: "Ruim",
+        veryUnhealthy: "Muito ruim",
+        hazardous: "Perigosa",
+      },
+    },
+  },
+  compass: {
+    N: "N",
+    NNE: "NNE",
+    NE: "NE",
+    ENE: "ENE",
+    E: "L",
+    ESE: "ESE",
+    SE: "SE",
+    SSE: "SSE",
+    S: "S",
+    SSW: "SSO",
+    SW: "SO",
+    WSW: "OSO",
+    W: "O",
+    WNW: "ONO",
+    NW: "NO",
+    NNW: "NNO",
+  },
+  astronomy: {
+    title: "Sol e lua",
+    subtitle: "Calculado localmente a partir da posição da cidade",
+    sunPosition: "Posição atual do sol",
+    blueMorning: "Hora azul (manhã)",
+    goldenMorning: "Hora dourada (manhã)",
+    goldenEvening: "Hora dourada (tarde)",
+    blueEvening: "Hora azul (tarde)",
+    solarNoon: "Meio-dia solar",
+    dayLength: "Duração do dia",
+    weekLonger: "+{value} em 7 dias",
+    weekShorter: "−{value} em 7 dias",
+    illumination: "{value}% iluminada",
+    nextFull: "Próxima lua cheia: {date}",
+    moon: {
+      new: "Lua nova",
+      waxingCrescent: "Lua crescente",
+      firstQuarter: "Quarto crescente",
+      waxingGibbous: "Crescente gibosa",
+      full: "Lua cheia",
+      waningGibbous: "Minguante gibosa",
+      lastQuarter: "Quarto minguante",
+      waningCrescent: "Lua minguante",
+    },
+  },
+  favoritesManager: {
+    title: "Gerenciar favoritos",
+    subtitle: "{count} de {limit} favoritos. Arraste para reordenar, dê apelidos e organize em grupos.",
+    limit: "Limite",
+    export: "Exportar",
+    import: "Importar",
+    fileName: "favoritos",
+    overLimit: "Você tem {count} favoritos, acima do limite de {limit}. Nenhum foi removido, mas novos não serão adicionados.",
+    moved: "{name} movido para a posição {position} de {total}.",
+    imported: "{count} favorito(s) importado(s).",
+    importDuplicates: "{count} já estava(m) na lista.",
+    importOverLimit: "{count} não coube(ram) no limite de {limit}.",
+    importErrors: {
+      invalidJson: "Não foi possível ler o arquivo: não é um JSON válido.",
+      invalidFormat: "O arquivo não parece ser uma exportação de favoritos.",
+      empty: "O arquivo não tem nenhum lugar com coordenadas válidas.",
+    },
+    drag: "Arraste para reordenar",
+    open: "Ver previsão",
+    nicknameFor: "Apelido para {name}",
+    groupFor: "Grupo de {name}",
+    groupPlaceholder: "Grupo",
+    moveUp: "Mover {name} para cima",
+    moveDown: "Mover {name} para baixo",
+    empty: "Nenhum favorito ainda. Use a estrela ao lado da cidade ou importe um arquivo.",
+    ungrouped: "Sem grupo",
+  },
+  storage: {
+    full: "Sem espaço no armazenamento do navegador: algumas alterações não foram salvas.",
+    dismiss: "Fechar",
+  },
+  refresh: {
+    now: "Atualizar agora",
+    autoTitle: "Atualização automática",
+    off: "Auto: desligada",
+    everyMinutes: "Auto: {min} min",
+    everyHours: "Auto: {h} h",
+    updatedAt: "Atualizado às {time}",
+  },
+  nowcast: {
+    title: "Chuva nas próximas 2 horas",
+    subtitle: "{unit} a cada 15 min",
+    amount: "Chuva",
+    unavailable: "Previsão minuto a minuto indisponível para este lugar.",
+    dry: "Sem chuva nas próximas {h} h",
+    starts: "Chuva começa em {in}, dura {lasts}",
+    startsOpen: "Chuva começa em {in} e dura mais de {lasts}",
+    startingNow: "Chuva começando agora, dura {lasts}",
+    startingNowOpen: "Chuva começando agora, dura mais de {lasts}",
+    rainingEnds: "Chovendo agora, para em {in}",
+    rainingOn: "Chovendo agora, sem pausa nas próximas {h} h",
+  },
+  planner: {
+    title: "Planejador de atividades",
+    subtitle: "Nota de cada hora dos próximos 7 dias para a atividade e as melhores janelas de cada dia.",
+    activity: "Atividade",
+    presetsGroup: "Predefinidas",
+    customGroup: "Minhas atividades",
+    presets: { run: "Corrida", bike: "Ciclismo", beach: "Praia", bbq: "Churrasco" },
+    new: "Nova atividade",
+    remove: "Excluir atividade",
+    name: "Nome da atividade",
+    namePlaceholder: "Ex.: Caminhada com o cachorro",
+    min: "mín.",
+    max: "máx.",
+    save: "Salvar",
+    daylightLabel: "Horário",
+    daylight: { day: "Só de dia", any: "Dia ou noite" },
+    criteria: { temp: "Temperatura", feels: "Sensação", wind: "Vento", pop: "Chuva" },
+    upTo: "até {value}",
+    from: "a partir de {value}",
+    window: "{start}–{end} · {score}",
+    noWindow: "Nenhum horário bom",
+    chartMark: "Melhores horários: {activity}",
+    errors: {
+      name: "Dê um nome para a atividade.",
+      range: "{criterion}: o mínimo é maior que o máximo.",
+    },
+  },
+  summary: {
+    readAloud: "Ler em voz alta",
+    readDay: "Ler o resumo de {day} em voz alta",
+    stop: "Parar leitura",
+    periods: { morning: "manhã", afternoon: "tarde", night: "noite" },
+    at: { morning: "pela manhã", afternoon: "à tarde", night: "à noite" },
+    feel: { cold: "fria", cool: "fresca", mild: "amena", warm: "quente", hot: "muito quente" },
+    sky: { clear: "limpa", partly: "com sol entre nuvens", cloudy: "nublada", fog: "com neblina" },
+    wet: { drizzle: "garoa", rain: "chuva", showers: "pancadas", snow: "neve", storm: "tempestades" },
+    dryClause: "{period} {feel} e {sky}",
+    dryClauseOne: "{period} {value}",
+    wetClause: "{kind} {at} com {pop}% de chance",
+    wetClauseNoPop: "{kind} {at}",
+    cooling: "esfriando {at}",
+    warming: "esquentando {at}",
+    steady: "sem grandes mudanças no resto do dia",
+  },
+  export: {
+    menu: "Exportar",
+    formats: { csv: "Planilha (CSV)", json: "Dados (JSON)", ics: "Calendário (.ics)" },
+    fileNames: { hourly: "previsao-horaria", daily: "previsao-diaria" },
+    calendarName: "Previsão – {place}",
+    icsRain: "chuva {pop}%",
+    icsDetails: "Máx. {max} • mín. {min} • chance de chuva {pop}%",
+    columns: {
+      time: "Horário",
+      date: "Data",
+      temp: "Temperatura",
+      feels: "Sensação",
+      humidity: "Umidade",
+      pop: "Chance de chuva",
+      popMax: "Chance de chuva",
+      precip: "Chuva",
+      wind: "Vento",
+      gusts: "Rajadas",
+      gustsMax: "Rajadas máx.",
+      windDir: "Direção do vento",
+      pressure: "Pressão",
+      uv: "UV",
+      uvMax: "UV máx.",
+      visibility: "Visibilidade",
+      max: "Máxima",
+      min: "Mínima",
+      sunrise: "Nascer do sol",
+      sunset: "Pôr do sol",
+      code: "Código WMO",
+      condition: "Condição",
+    },
+  },
+  map: {
+    title: "Mapa",
+    subtitle: "Clique em qualquer ponto para ver a previsão dele. Os favoritos aparecem com a temperatura atual.",
+    nearby: "Temperaturas ao redor",
+    loadingNearby: "Carregando temperaturas ao redor",
+    nearbyError: "Não foi possível carregar as temperaturas ao redor.",
+    ariaLabel: "Mapa interativo: clique para escolher um lugar",
+    loading: "Carregando mapa",
+    loadError: "Não foi possível carregar o mapa.",
+    picking: "Identificando o lugar…",
+    loadingForecast: "Carregando previsão…",
+    openForecast: "Ver previsão completa",
+  },
+  time: {
+    local: "Agora lá: {time} ({offset})",
+    localSame: "{time} · mesmo fuso que o seu",
+    yours: "Seu horário: {time}",
+  },
+  place: {
+    myLocation: "Minha localização",
+  },
+  errors: {
+    retry: "Tentar de novo",
+    forecastTitle: "Não consegui carregar a previsão",
+    forecastMessage: "Verifique sua conexão e tente novamente. Se persistir, pode ser instabilidade do provedor de dados.",
+    locationTitle: "Não consegui acessar sua localização",
+    locationMessage: "Permita o acesso à localização no navegador ou busque sua cidade manualmente.",
+    emptyTitle: "Selecione uma cidade",
+    emptyMessage: "Busque uma cidade acima para ver a previsão.",
+  },
+  providers: {
+    "open-meteo": "Open‑Meteo",
+    "met-norway": "MET Norway",
+    mock: "Demonstração (offline)",
+  },
+  wx: {
+    0: "Céu limpo",
+    1: "Principalmente limpo",
+    2: "Parcialmente nublado",
+    3: "Nublado",
+    45: "Neblina",
+    48: "Neblina com gelo",
+    51: "Garoa fraca",
+    53: "Garoa moderada",
+    55: "Garoa forte",
+    56: "Garoa congelante fraca",
+    57: "Garoa congelante forte",
+    61: "Chuva fraca",
+    63: "Chuva moderada",
+    65: "Chuva forte",
+    66: "Chuva congelante fraca",
+    67: "Chuva congelante forte",
+    71: "Neve fraca",
+    73: "Neve moderada",
+    75: "Neve forte",
+    77: "Grãos de neve",
+    80: "Pancadas fracas",
+    81: "Pancadas moderadas",
+    82: "Pancadas fortes",
+    85: "Pancadas de neve fracas",
+    86: "Pancadas de neve fortes",
+    95: "Trovoada",
+    96: "Trovoada com granizo fraco",
+    99: "Trovoada com granizo forte",
+    unknown: "Condição variável",
+  },
+};
+
+export default ptBR;
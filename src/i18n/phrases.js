@@ -0,0 +1,67 @@
+//Frases montadas com o t() do idioma atual a partir de dados estruturados
+import { RULE_METRICS, ruleValueUnit } from "../lib/rules.js";
+import { UNIT_LABELS } from "../lib/units.js";
+import { NOWCAST_WINDOW_MIN, formatApproxMinutes } from "../lib/nowcast.js";
+import { formatTemp, formatSpeed } from "../lib/format.js";
+
+//Descrição da condição (código WMO) no idioma atual
+export function wxLabel(code, t) {
+  if (code == null) return "–";
+  const label = t(`wx.${code}`);
+  return label === `wx.${code}` ? t("wx.unknown") : label;
+}
+
+//Texto curto do nowcast ("Chuva começa em ~20 min, dura ~1 h")
+export function nowcastText(summary, t, locale) {
+  if (!summary) return null;
+  const approx = (m) => formatApproxMinutes(m, locale);
+  const hours = NOWCAST_WINDOW_MIN / 60;
+  if (summary.state === "dry") return t("nowcast.dry", { h: hours });
+  if (summary.state === "raining") {
+    return summary.open || summary.endsIn >= NOWCAST_WINDOW_MIN
+      ? t("nowcast.rainingOn", { h: hours })
+      : t("nowcast.rainingEnds", { in: approx(summary.endsIn) });
+  }
+  const lasts = approx(summary.lasts);
+  if (summary.startsIn < 5) return t(summary.open ? "nowcast.startingNowOpen" : "nowcast.startingNow", { lasts });
+  return t(summary.open ? "nowcast.startsOpen" : "nowcast.starts", { in: approx(summary.startsIn), lasts });
+}
+
+//Texto do resumo do dia (lib/summary.js) no idioma atual: "Manhã fria e limpa, pancadas à tarde com 70% de chance, esfriando à noite."
+export function summaryText(clauses, t, locale) {
+  if (!clauses?.length) return null;
+  const parts = clauses.map((c) => {
+    if (c.type === "steady") return t("summary.steady");
+    const at = t(`summary.at.${c.period}`);
+    if (c.type === "wet") {
+      const kind = t(`summary.wet.${c.kind}`);
+      return c.pop != null ? t("summary.wetClause", { kind, at, pop: c.pop }) : t("summary.wetClauseNoPop", { kind, at });
+    }
+    if (c.type === "trend") return t(`summary.${c.dir}`, { at });
+    const period = t(`summary.periods.${c.period}`);
+    if (c.feel && c.sky) return t("summary.dryClause", { period, feel: t(`summary.feel.${c.feel}`), sky: t(`summary.sky.${c.sky}`) });
+    return t("summary.dryClauseOne", { period, value: c.feel ? t(`summary.feel.${c.feel}`) : t(`summary.sky.${c.sky}`) });
+  });
+  const text = parts.join(", ");
+  return `${text.charAt(0).toLocaleUpperCase(locale)}${text.slice(1)}.`;
+}
+
+//Valor (canônico) de uma métrica de regra formatado nas unidades de exibição
+export function formatRuleValue(metric, value, units) {
+  const kind = RULE_METRICS[metric]?.kind;
+  if (kind === "temp") return formatTemp(value, units.temp);
+  if (kind === "speed") return formatSpeed(value, units.wind);
+  return `${Math.round(value ?? 0)}%`;
+}
+
+//Texto curto da regra: "Chance de chuva > 60% • amanhã de manhã"
+export function describeRule(rule, t) {
+  const kind = RULE_METRICS[rule.metric]?.kind;
+  const suffix = kind === "percent" ? "%" : kind === "temp" ? "°" : ` ${UNIT_LABELS.wind[ruleValueUnit(rule)]}`;
+  const when = [t(`rules.days.${rule.day}`), rule.period !== "all" ? t(`rules.periods.${rule.period}`) : null]
+    .filter(Boolean)
+    .join(" ");
+  return `${t(`rules.metrics.${rule.metric}`)} ${rule.op} ${rule.value}${suffix} • ${when}`;
+}
+
+export const activityName = (activity, t) => activity.name || t(`planner.presets.${activity.id}`);
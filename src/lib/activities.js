@@ -0,0 +1,132 @@
+//Planejador de atividades: nota de 0 a 100 para cada hora da previsão conforme as faixas aceitáveis
+//da atividade, e as melhores janelas de cada dia
+import { wallMs, localToUtcMs } from "./time.js";
+import { SUN_ALTITUDES, solarElevation } from "./astronomy.js";
+
+const HOUR_MS = 3600 * 1000;
+
+//Critérios (campos da série horária, unidades canônicas) e quanto fora da faixa zera a nota
+export const ACTIVITY_CRITERIA = {
+  temp: { kind: "temp", tolerance: 6 },
+  feels: { kind: "temp", tolerance: 6 },
+  wind: { kind: "speed", tolerance: 15 },
+  pop: { kind: "percent", tolerance: 30 },
+};
+
+//"day" = só entre o nascer e o pôr do sol; "any" = qualquer hora
+export const ACTIVITY_DAYLIGHT = ["day", "any"];
+
+//Faixas [mín, máx] em °C, km/h e %; null = sem limite daquele lado. O nome vem do i18n (planner.presets.<id>)
+export const ACTIVITY_PRESETS = [
+  { id: "run", ranges: { temp: [4, 22], feels: [2, 24], wind: [null, 25], pop: [null, 30] }, daylight: "any" },
+  { id: "bike", ranges: { temp: [8, 28], feels: [6, 30], wind: [null, 20], pop: [null, 20] }, daylight: "day" },
+  { id: "beach", ranges: { temp: [25, 36], feels: [25, 38], wind: [null, 25], pop: [null, 20] }, daylight: "day" },
+  { id: "bbq", ranges: { temp: [18, 32], feels: [16, 34], wind: [null, 20], pop: [null, 20] }, daylight: "day" },
+];
+export const DEFAULT_ACTIVITY = ACTIVITY_PRESETS[0].id;
+
+//Nota a partir da qual a hora é boa (entra numa janela)
+export const GOOD_SCORE = 70;
+//Janelas mostradas por dia
+export const WINDOWS_PER_DAY = 2;
+
+export function createActivity(fields) {
+  return {
+    id: `act_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    daylight: "any",
+    ...fields,
+  };
+}
+
+export function findActivity(id, custom = []) {
+  return ACTIVITY_PRESETS.find((a) => a.id === id) || custom.find((a) => a.id === id) || ACTIVITY_PRESETS[0];
+}
+
+export const isPresetActivity = (activity) => ACTIVITY_PRESETS.includes(activity);
+
+//Quanto o valor atende a faixa: 1 dentro dela, caindo linearmente até 0 a `tolerance` de distância
+function fit(value, [min, max], tolerance) {
+  if (value == null) return 1;
+  const below = min != null ? min - value : 0;
+  const above = max != null ? value - max : 0;
+  const out = Math.max(below, above, 0);
+  return Math.max(0, 1 - out / tolerance);
+}
+
+//Hora (ISO local) com sol, pelo nascer/pôr do dia dela. Sem esses dados (provider que não os traz,
+//sol da meia-noite etc.) usa a altura do sol no meio da hora; sem coordenadas, a hora não conta como dia
+function isDaylight(time, day, place, utcOffsetSeconds) {
+  const mid = wallMs(time) + HOUR_MS / 2;
+  if (day?.sunrise && day?.sunset) return mid >= wallMs(day.sunrise) && mid <= wallMs(day.sunset);
+  if (!Number.isFinite(place?.latitude) || !Number.isFinite(place?.longitude)) return false;
+  const utc = localToUtcMs(time, utcOffsetSeconds) + HOUR_MS / 2;
+  return solarElevation(utc, place.latitude, place.longitude) >= SUN_ALTITUDES.horizon;
+}
+
+//Nota de cada hora a partir da hora em andamento: [{ time, date, score, misses }]
+//misses = critérios fora da faixa ("daylight" quando a hora é de noite e a atividade pede sol).
+//place (coordenadas) serve para saber se é dia quando a previsão não traz nascer/pôr do sol
+export function scoreHours(forecast, activity, nowIso, place) {
+  const now = wallMs(nowIso);
+  const days = new Map((forecast?.daily || []).map((d) => [d.date, d]));
+
+  return (forecast?.hourly || [])
+    .filter((h) => wallMs(h.time) + HOUR_MS > now)
+    .map((h) => {
+      const date = h.time.slice(0, 10);
+      const misses = [];
+      let score = 1;
+      for (const [key, { tolerance }] of Object.entries(ACTIVITY_CRITERIA)) {
+        const range = activity.ranges?.[key];
+        if (!range) continue;
+        const f = fit(h[key], range, tolerance);
+        if (f < 1) misses.push(key);
+        score *= f;
+      }
+      if (activity.daylight === "day" && !isDaylight(h.time, days.get(date), place, forecast.utcOffsetSeconds ?? 0)) {
+        misses.push("daylight");
+        score = 0;
+      }
+      return { time: h.time, date, score: Math.round(score * 100), misses };
+    });
+}
+
+//Melhores janelas por dia: sequências de horas seguidas com nota >= GOOD_SCORE, as de maior nota
+//média primeiro (desempate pela mais longa). { date, start, end, hours, score } com end = início da hora seguinte
+export function bestWindows(scored, perDay = WINDOWS_PER_DAY) {
+  const runs = [];
+  let run = null;
+  for (const h of scored) {
+    const good = h.score >= GOOD_SCORE;
+    if (good && run && run.date === h.date) {
+      run.items.push(h);
+      continue;
+    }
+    run = good ? { date: h.date, items: [h] } : null;
+    if (run) runs.push(run);
+  }
+
+  const byDay = new Map();
+  for (const r of runs) {
+    const score = Math.round(r.items.reduce((s, h) => s + h.score, 0) / r.items.length);
+    const last = r.items[r.items.length - 1];
+    const w = {
+      date: r.date,
+      start: r.items[0].time,
+      end: new Date(wallMs(last.time) + HOUR_MS).toISOString().slice(0, 16),
+      hours: r.items.length,
+      score,
+    };
+    if (!byDay.has(r.date)) byDay.set(r.date, []);
+    byDay.get(r.date).push(w);
+  }
+
+  return [...byDay.values()].flatMap((list) =>
+    list.sort((a, b) => b.score - a.score || b.hours - a.hours).slice(0, perDay).sort((a, b) => a.start.localeCompare(b.start))
+  );
+}
+
+//Cor da nota (vermelho -> âmbar -> verde)
+export function scoreColor(score) {
+  return `hsl(${Math.round((Math.max(0, Math.min(100, score)) / 100) * 130)}, 70%, 45%)`;
+}
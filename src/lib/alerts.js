@@ -0,0 +1,91 @@
+import { placeNowIso, utcMsToLocal, wallMs } from "./time.js";
+
+//Limiares dos alertas, nas unidades canônicas da previsão (°C e km/h)
+export const ALERT_THRESHOLDS = {
+  windWarning: 60,
+  windDanger: 90,
+  heatWarning: 35,
+  heatDanger: 40,
+  coldWarning: 3,
+  coldDanger: -2,
+};
+
+const HAIL_CODES = [96, 99];
+const FREEZING_CODES = [56, 57, 66, 67];
+const SEVERITY_RANK = { warning: 1, danger: 2 };
+
+//Avalia uma hora da previsão e devolve os alertas que ela dispara
+function hourHits(h, th) {
+  const hits = [];
+  if (HAIL_CODES.includes(h.code)) {
+    hits.push({ type: "hail", severity: h.code === 99 ? "danger" : "warning", value: h.code });
+  }
+  if (FREEZING_CODES.includes(h.code)) {
+    hits.push({ type: "freezingRain", severity: [57, 67].includes(h.code) ? "danger" : "warning", value: h.code });
+  }
+  if (h.wind != null && h.wind >= th.windWarning) {
+    hits.push({ type: "wind", severity: h.wind >= th.windDanger ? "danger" : "warning", value: h.wind });
+  }
+  if (h.temp != null && h.temp >= th.heatWarning) {
+    hits.push({ type: "heat", severity: h.temp >= th.heatDanger ? "danger" : "warning", value: h.temp });
+  }
+  if (h.temp != null && h.temp <= th.coldWarning) {
+    hits.push({ type: "cold", severity: h.temp <= th.coldDanger ? "danger" : "warning", value: h.temp });
+  }
+  return hits;
+}
+
+//Soma horas a um ISO local sem offset ("2026-01-01T13:00")
+function addHours(iso, hours) {
+  return utcMsToLocal(wallMs(iso) + hours * 3600000);
+}
+
+//Varre a série horária (do horário atual em diante) e agrupa horas consecutivas
+//do mesmo tipo em um único alerta com início, fim, severidade máxima e pico
+export function detectAlerts(forecast) {
+  const hourly = forecast?.hourly || [];
+  const th = ALERT_THRESHOLDS;
+  const nowTs = wallMs(forecast?.current?.time || placeNowIso(forecast)) - 3600000;
+
+  const open = {};
+  const alerts = [];
+  for (const h of hourly) {
+    if (wallMs(h.time) < nowTs) continue;
+    const hits = hourHits(h, th);
+    const seen = new Set();
+
+    for (const hit of hits) {
+      seen.add(hit.type);
+      const cur = open[hit.type];
+      if (cur && cur.end === h.time) {
+        cur.end = addHours(h.time, 1);
+        if (SEVERITY_RANK[hit.severity] > SEVERITY_RANK[cur.severity]) cur.severity = hit.severity;
+        cur.peak = hit.type === "cold" ? Math.min(cur.peak, hit.value) : Math.max(cur.peak, hit.value);
+      } else {
+        const a = {
+          id: `${hit.type}:${h.time}`,
+          type: hit.type,
+          severity: hit.severity,
+          start: h.time,
+          end: addHours(h.time, 1),
+          peak: hit.value,
+        };
+        open[hit.type] = a;
+        alerts.push(a);
+      }
+    }
+
+    for (const type of Object.keys(open)) {
+      if (!seen.has(type)) delete open[type];
+    }
+  }
+
+  return alerts.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || a.start.localeCompare(b.start));
+}
+
+export function maxSeverity(alerts) {
+  return (alerts || []).reduce(
+    (best, a) => (!best || SEVERITY_RANK[a.severity] > SEVERITY_RANK[best] ? a.severity : best),
+    null
+  );
+}
@@ -0,0 +1,132 @@
+//Cálculos astronômicos locais (sem API): posição do sol, crepúsculos e fase da lua.
+//Horários de entrada e saída seguem o modelo do app: ISO local da cidade sem offset ("2026-01-01T06:12")
+import { localToUtcMs, utcMsToLocal } from "./time.js";
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+
+//Altura do sol (graus) que delimita cada faixa: nascer/pôr (com refração), hora azul e hora dourada
+export const SUN_ALTITUDES = { horizon: -0.833, blue: -6, golden: -4, goldenEnd: 6 };
+
+//Passo da varredura do dia ao procurar os cruzamentos de altura
+const SCAN_STEP_MIN = 2;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+//Minutos desde a meia-noite de um ISO local
+export function minutesOfDay(iso) {
+  if (!iso) return null;
+  return Number(iso.slice(11, 13)) * 60 + Number(iso.slice(14, 16));
+}
+
+//Altura do sol em graus (algoritmo aproximado do USNO, erro de poucos minutos de arco)
+export function solarElevation(utcMs, lat, lon) {
+  const d = utcMs / DAY_MS + 2440587.5 - 2451545.0;
+  const g = (357.529 + 0.98560028 * d) * RAD;
+  const q = 280.459 + 0.98564736 * d;
+  const L = (q + 1.915 * Math.sin(g) + 0.02 * Math.sin(2 * g)) * RAD;
+  const e = (23.439 - 0.00000036 * d) * RAD;
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L)) / RAD;
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+  const gmst = (((18.697374558 + 24.06570982441908 * d) % 24) + 24) % 24;
+  const ha = (gmst * 15 + lon - ra) * RAD;
+  const phi = lat * RAD;
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(ha)) / RAD;
+}
+
+//Eventos solares de um dia local: nascer/pôr e janelas de hora azul/dourada (manhã e tarde).
+//Campos ficam null quando o sol não cruza a altura no dia (regiões polares)
+export function sunEvents(date, lat, lon, utcOffsetSeconds = 0) {
+  const start = localToUtcMs(date, utcOffsetSeconds);
+  const samples = [];
+  for (let m = 0; m <= 1440; m += SCAN_STEP_MIN) samples.push([m, solarElevation(start + m * 60000, lat, lon)]);
+
+  //Minuto (interpolado) do primeiro cruzamento para cima e do último para baixo
+  const crossing = (alt, rising) => {
+    let found = null;
+    for (let i = 1; i < samples.length; i++) {
+      const [m0, e0] = samples[i - 1];
+      const [m1, e1] = samples[i];
+      const up = e0 < alt && e1 >= alt;
+      const down = e0 >= alt && e1 < alt;
+      if (rising ? up : down) {
+        found = m0 + ((alt - e0) / (e1 - e0)) * (m1 - m0);
+        if (rising) break;
+      }
+    }
+    return found == null ? null : utcMsToLocal(start + Math.round(found) * 60000, utcOffsetSeconds);
+  };
+  const window = (from, to) => (from && to ? { start: from, end: to } : null);
+
+  const { horizon, blue, golden, goldenEnd } = SUN_ALTITUDES;
+  const peak = samples.reduce((best, s) => (s[1] > best[1] ? s : best));
+  return {
+    sunrise: crossing(horizon, true),
+    sunset: crossing(horizon, false),
+    noon: utcMsToLocal(start + peak[0] * 60000, utcOffsetSeconds),
+    maxElevation: peak[1],
+    blueMorning: window(crossing(blue, true), crossing(golden, true)),
+    goldenMorning: window(crossing(golden, true), crossing(goldenEnd, true)),
+    goldenEvening: window(crossing(goldenEnd, false), crossing(golden, false)),
+    blueEvening: window(crossing(golden, false), crossing(blue, false)),
+  };
+}
+
+//Fase do dia para o fundo da tela: noite, aurora, dia ou crepúsculo
+export function sunPhase(localIso, lat, lon, utcOffsetSeconds = 0) {
+  const elevation = solarElevation(localToUtcMs(localIso, utcOffsetSeconds), lat, lon);
+  if (elevation < SUN_ALTITUDES.blue) return "night";
+  if (elevation > SUN_ALTITUDES.goldenEnd) return "day";
+  return minutesOfDay(localIso) < 720 ? "dawn" : "dusk";
+}
+
+//Duração do dia (minutos) de cada dia da previsão; usa nascer/pôr do provider e calcula quando faltam
+export function weekDaylight(daily, lat, lon, utcOffsetSeconds = 0) {
+  return (daily || []).map((d) => {
+    const computed = d.sunrise && d.sunset ? null : sunEvents(d.date, lat, lon, utcOffsetSeconds);
+    const sunrise = d.sunrise || computed?.sunrise || null;
+    const sunset = d.sunset || computed?.sunset || null;
+    let length = sunrise && sunset ? (localToUtcMs(sunset) - localToUtcMs(sunrise)) / 60000 : null;
+    // Sol da meia-noite ou noite polar
+    if (length == null && computed) length = computed.maxElevation > 0 ? 1440 : 0;
+    return { date: d.date, sunrise, sunset, length };
+  });
+}
+
+//Lua: idade no ciclo sinódico a partir de uma lua nova conhecida (6/1/2000 18:14 UTC)
+const SYNODIC_MONTH = 29.530588853;
+const NEW_MOON_REF_MS = Date.UTC(2000, 0, 6, 18, 14);
+
+export const MOON_PHASES = [
+  "new",
+  "waxingCrescent",
+  "firstQuarter",
+  "waxingGibbous",
+  "full",
+  "waningGibbous",
+  "lastQuarter",
+  "waningCrescent",
+];
+
+//=> { phase, fraction (0 = nova, 0.5 = cheia), illumination (0..1), age (dias), nextFull, nextNew (ms UTC) }
+export function moonPhase(utcMs) {
+  const days = (utcMs - NEW_MOON_REF_MS) / DAY_MS;
+  const age = ((days % SYNODIC_MONTH) + SYNODIC_MONTH) % SYNODIC_MONTH;
+  const fraction = age / SYNODIC_MONTH;
+  const untilFull = (((0.5 - fraction) % 1) + 1) % 1;
+  return {
+    phase: MOON_PHASES[Math.round(fraction * 8) % 8],
+    fraction,
+    illumination: (1 - Math.cos(2 * Math.PI * fraction)) / 2,
+    age,
+    nextFull: utcMs + untilFull * SYNODIC_MONTH * DAY_MS,
+    nextNew: utcMs + (1 - fraction) * SYNODIC_MONTH * DAY_MS,
+  };
+}
+
+//Formata uma duração em minutos como "10 h 42 min"
+export function formatDuration(minutes) {
+  if (minutes == null) return "–";
+  const m = Math.round(minutes);
+  return `${Math.floor(m / 60)} h ${pad(m % 60)} min`;
+}
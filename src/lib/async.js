@@ -0,0 +1,17 @@
+//Executa fn sobre os itens com no máximo `limit` chamadas em andamento ao mesmo tempo.
+//fn deve tratar os próprios erros: uma rejeição interrompe o worker que a recebeu
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
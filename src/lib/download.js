@@ -0,0 +1,11 @@
+//Baixa um arquivo gerado no navegador
+export function downloadFile(name, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  // Revogar na hora pode cancelar o download em alguns navegadores (Safari, Firefox antigo)
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
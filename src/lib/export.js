@@ -0,0 +1,176 @@
+//Exportação da previsão: CSV e JSON das séries horária/diária (nas unidades escolhidas) e
+//iCalendar (.ics) com um evento de dia inteiro por dia
+import { UNIT_LABELS, convertTemp, convertWind, convertPrecip, convertDistance } from "./units.js";
+import { foldText } from "./text.js";
+import { wallMs } from "./time.js";
+
+export const EXPORT_FORMAT = "wx-forecast";
+export const EXPORT_VERSION = 1;
+
+//Colunas exportadas de cada série (campos do modelo, providers/index.js) e o tipo de unidade
+export const EXPORT_COLUMNS = {
+  hourly: [
+    ["time", "time"],
+    ["temp", "temp"],
+    ["feels", "temp"],
+    ["humidity", "percent"],
+    ["pop", "percent"],
+    ["precip", "precip"],
+    ["wind", "speed"],
+    ["gusts", "speed"],
+    ["windDir", "degrees"],
+    ["pressure", "pressure"],
+    ["uv", "plain"],
+    ["visibility", "distance"],
+    ["code", "plain"],
+  ],
+  daily: [
+    ["date", "time"],
+    ["max", "temp"],
+    ["min", "temp"],
+    ["popMax", "percent"],
+    ["precip", "precip"],
+    ["gustsMax", "speed"],
+    ["uvMax", "plain"],
+    ["sunrise", "time"],
+    ["sunset", "time"],
+    ["code", "plain"],
+  ],
+};
+
+//Unidade de cada tipo de coluna nas preferências do usuário (null = sem unidade)
+export function columnUnit(kind, units) {
+  if (kind === "temp") return UNIT_LABELS.temp[units.temp];
+  if (kind === "speed") return UNIT_LABELS.wind[units.wind];
+  if (kind === "precip") return UNIT_LABELS.precip[units.precip];
+  if (kind === "distance") return UNIT_LABELS.distance[units.distance];
+  if (kind === "percent") return "%";
+  if (kind === "degrees") return "°";
+  if (kind === "pressure") return "hPa";
+  return null;
+}
+
+const round = (v, digits) => (v == null || Number.isNaN(v) ? null : Number(v.toFixed(digits)));
+
+function convertValue(v, kind, units) {
+  if (v == null) return null;
+  if (kind === "temp") return round(convertTemp(v, units.temp), 1);
+  if (kind === "speed") return round(convertWind(v, units.wind), 1);
+  if (kind === "precip") return round(convertPrecip(v, units.precip), units.precip === "in" ? 2 : 1);
+  if (kind === "distance") return round(convertDistance(v, units.distance), 1);
+  return v;
+}
+
+//Linhas da série com os valores convertidos; `extra` acrescenta colunas calculadas (ex.: condição em texto)
+export function exportRows(series, kind, units, extra = () => ({})) {
+  return (series || []).map((row) => ({
+    ...Object.fromEntries(EXPORT_COLUMNS[kind].map(([key, k]) => [key, convertValue(row[key], k, units)])),
+    ...extra(row),
+  }));
+}
+
+//Dados do lugar que acompanham os arquivos
+export function placeMeta(place, forecast) {
+  return {
+    name: place?.name ?? null,
+    admin1: place?.admin1 ?? null,
+    country: place?.country ?? null,
+    latitude: place?.latitude ?? null,
+    longitude: place?.longitude ?? null,
+    timezone: forecast?.timezone ?? place?.timezone ?? null,
+    provider: forecast?.provider ?? null,
+  };
+}
+
+//"São Paulo" -> "sao-paulo", para nomes de arquivo
+export function fileSlug(text) {
+  return foldText(text).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "local";
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+//CSV com os dados do lugar em linhas de comentário ("# chave: valor") antes do cabeçalho.
+//Começa com BOM para planilhas abrirem os acentos como UTF-8. columns: [{ key, label }]
+export function toCsv(rows, columns, meta, now = new Date()) {
+  const lines = [
+    ...Object.entries({ ...meta, exportedAt: now.toISOString() })
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => `# ${k}: ${v}`),
+    columns.map((c) => csvCell(c.label)).join(","),
+    ...rows.map((row) => columns.map((c) => csvCell(row[c.key])).join(",")),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+export function toJson(rows, kind, meta, units, now = new Date()) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: now.toISOString(), series: kind, place: meta, units, rows },
+    null,
+    2
+  );
+}
+
+//Texto de propriedade do iCalendar (RFC 5545 3.3.11)
+function icsText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+//Linhas com no máximo 75 octetos; a continuação começa com espaço (RFC 5545 3.1)
+function icsFold(line) {
+  const bytes = new TextEncoder();
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = out.length ? 74 : 75;
+    if (bytes.encode(current + ch).length > limit) {
+      out.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+const icsDate = (date) => date.replace(/-/g, "");
+const nextDate = (date) => new Date(wallMs(date) + 86400000).toISOString().slice(0, 10);
+const icsStamp = (now) => now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+//Calendário com um evento de dia inteiro por dia. events: [{ date, summary, description }].
+//O UID é fixo por lugar e dia, então importar de novo atualiza os eventos em vez de duplicar
+export function toIcs(events, { name, meta, now = new Date() }) {
+  const coords = meta.latitude != null && meta.longitude != null ? `${meta.latitude.toFixed(4)},${meta.longitude.toFixed(4)}` : "";
+  const location = [meta.name, meta.admin1, meta.country].filter(Boolean).join(", ");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//wx//Previsao do tempo//PT",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+    ...events.flatMap((e) => [
+      "BEGIN:VEVENT",
+      `UID:${e.date}-${coords.replace(/,/g, "_")}@wx`,
+      `DTSTAMP:${icsStamp(now)}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDate(e.date))}`,
+      `SUMMARY:${icsText(e.summary)}`,
+      `DESCRIPTION:${icsText(e.description)}`,
+      ...(location ? [`LOCATION:${icsText(location)}`] : []),
+      ...(coords ? [`GEO:${coords.replace(",", ";")}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(icsFold).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,110 @@
+//Limite de favoritos (configurável nas preferências) e opções oferecidas
+export const FAVORITES_LIMIT_DEFAULT = 12;
+export const FAVORITES_LIMIT_OPTIONS = [6, 12, 24, 50];
+
+//Formato do arquivo de exportação: { format, version, exportedAt, favorites: [...] }
+const EXPORT_FORMAT = "wx-favorites";
+const EXPORT_VERSION = 1;
+
+//Campos de um favorito que vão para o arquivo (o resto é estado interno do app)
+const FAVORITE_FIELDS = ["id", "name", "admin1", "country", "latitude", "longitude", "timezone", "nickname", "group"];
+
+export class FavoritesImportError extends Error {
+  //code: "invalidJson" | "invalidFormat" | "empty"
+  constructor(code) {
+    super(`Arquivo de favoritos inválido (${code})`);
+    this.name = "FavoritesImportError";
+    this.code = code;
+  }
+}
+
+//Nome exibido: apelido dado pelo usuário ou o nome do lugar
+export function favoriteName(p) {
+  return p?.nickname?.trim() || p?.name || "";
+}
+
+//Move o item da posição `from` para `to`
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+//Grupos usados pelos favoritos, em ordem alfabética
+export function favoriteGroups(favorites, locale) {
+  const groups = new Set(favorites.map((f) => f.group?.trim()).filter(Boolean));
+  return [...groups].sort((a, b) => a.localeCompare(b, locale));
+}
+
+function pickFields(p) {
+  const out = {};
+  for (const k of FAVORITE_FIELDS) {
+    if (p[k] != null && p[k] !== "") out[k] = p[k];
+  }
+  return out;
+}
+
+export function serializeFavorites(favorites, now = new Date()) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: now.toISOString(), favorites: favorites.map(pickFields) },
+    null,
+    2
+  );
+}
+
+//Valida um favorito vindo de arquivo: coordenadas numéricas dentro do globo e nome em texto
+function normalizeImported(p) {
+  const latitude = Number(p?.latitude);
+  const longitude = Number(p?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  return pickFields({
+    id: str(p.id) || `import:${latitude},${longitude}`,
+    name: str(p.name) || `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
+    admin1: str(p.admin1),
+    country: str(p.country),
+    latitude,
+    longitude,
+    timezone: str(p.timezone) || "auto",
+    nickname: str(p.nickname),
+    group: str(p.group),
+  });
+}
+
+//Lê o conteúdo de um arquivo exportado (ou um array simples de lugares)
+export function parseFavoritesFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new FavoritesImportError("invalidJson");
+  }
+  const list = Array.isArray(data) ? data : data?.format === EXPORT_FORMAT ? data.favorites : null;
+  if (!Array.isArray(list)) throw new FavoritesImportError("invalidFormat");
+  const favorites = list.map(normalizeImported).filter(Boolean);
+  if (!favorites.length) throw new FavoritesImportError("empty");
+  return favorites;
+}
+
+//Acrescenta os importados ao fim da lista, sem repetir lugares e respeitando o limite
+//=> { list, added, duplicates, overLimit }
+export function mergeFavorites(existing, incoming, { keyOf, limit }) {
+  const keys = new Set(existing.map(keyOf));
+  const list = [...existing];
+  let duplicates = 0;
+  let overLimit = 0;
+  for (const f of incoming) {
+    const key = keyOf(f);
+    if (keys.has(key)) duplicates++;
+    else if (list.length >= limit) overLimit++;
+    else {
+      keys.add(key);
+      list.push(f);
+    }
+  }
+  return { list, added: list.length - existing.length, duplicates, overLimit };
+}
@@ -0,0 +1,57 @@
+//Previsões e referências históricas salvas no localStorage (stores forecastCache e historyReference)
+import { readStore, writeStore } from "./storage.js";
+import { STORES } from "./stores.js";
+import { placeKey } from "./places.js";
+
+//Tempo máximo que uma previsão salva ainda pode ser exibida, e quantas localidades guardar
+const FORECAST_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+const FORECAST_CACHE_MAX_ENTRIES = 20;
+//Quantas referências históricas (ano passado/normal) guardar; o passado não muda, então não expiram
+const HISTORY_REFERENCE_MAX_ENTRIES = 20;
+
+//Chave do cache de previsão: mesma localidade (como em isSamePlace) + provider.
+//A unidade não entra: a previsão é sempre guardada nas unidades canônicas
+function forecastCacheKey(place, provider) {
+  return `${placeKey(place)}:${provider}`;
+}
+
+//Remove entradas expiradas e mantém só as mais recentes
+function pruneForecastCache(cache, now = Date.now()) {
+  const entries = Object.entries(cache || {})
+    .filter(([, e]) => e?.data && now - e.savedAt < FORECAST_CACHE_MAX_AGE_MS)
+    .sort((a, b) => b[1].savedAt - a[1].savedAt)
+    .slice(0, FORECAST_CACHE_MAX_ENTRIES);
+  return Object.fromEntries(entries);
+}
+
+export function readCachedForecast(place, provider) {
+  const cache = pruneForecastCache(readStore(STORES.forecastCache));
+  return cache[forecastCacheKey(place, provider)] || null;
+}
+
+//Referência histórica da semana prevista, por localidade e intervalo de datas
+export function historyReferenceKey(place, dates) {
+  return `${placeKey(place)}:${dates[0]}:${dates[dates.length - 1]}`;
+}
+
+export function readHistoryReference(place, dates) {
+  return readStore(STORES.historyReference)[historyReferenceKey(place, dates)]?.data || null;
+}
+
+export function writeHistoryReference(place, dates, data) {
+  const cache = readStore(STORES.historyReference);
+  cache[historyReferenceKey(place, dates)] = { savedAt: Date.now(), data };
+  const entries = Object.entries(cache)
+    .sort((a, b) => b[1].savedAt - a[1].savedAt)
+    .slice(0, HISTORY_REFERENCE_MAX_ENTRIES);
+  // Sem espaço no localStorage: a referência é buscada de novo na próxima vez
+  writeStore(STORES.historyReference, Object.fromEntries(entries));
+}
+
+//savedAt: quando os dados vieram da rede (a cópia do service worker traz a hora dela em fetchedAt)
+export function writeCachedForecast(place, provider, data) {
+  const cache = readStore(STORES.forecastCache);
+  cache[forecastCacheKey(place, provider)] = { savedAt: data.fetchedAt ?? Date.now(), data };
+  // Sem espaço no localStorage: segue sem cache
+  writeStore(STORES.forecastCache, pruneForecastCache(cache));
+}
@@ -0,0 +1,62 @@
+//Formatação dos valores para exibição
+import { UNIT_LABELS, convertTemp, convertTempDelta, convertWind, convertPrecip } from "./units.js";
+import { formatLocalTime, formatLocalWeekday } from "./time.js";
+
+export const clamp = (n, a, b) => Math.max(a, Math.min(b, n)); //garente que um numero (n) fique dentro do intervalo [a, b]
+
+//Os formatadores recebem o valor canônico (°C, km/h, metros) e a unidade de exibição
+export function formatTemp(t, unit = "c") {
+  if (t == null || Number.isNaN(t)) return "–";
+  return `${Math.round(convertTemp(t, unit))}°`;
+}
+
+//Diferença de temperatura com sinal (ex.: "+3°"); recebe a diferença em °C
+export function formatTempDelta(delta, unit = "c") {
+  if (delta == null || Number.isNaN(delta)) return "–";
+  const v = Math.round(convertTempDelta(delta, unit));
+  return v === 0 ? "±0°" : `${v > 0 ? "+" : "−"}${Math.abs(v)}°`;
+}
+
+export function formatPrecip(mm, unit = "mm") {
+  if (mm == null || Number.isNaN(mm)) return "–";
+  const v = convertPrecip(mm, unit);
+  return `${v.toFixed(unit === "in" ? 2 : 1)} ${UNIT_LABELS.precip[unit]}`;
+}
+
+export function formatSpeed(v, unit = "kmh") {
+  if (v == null || Number.isNaN(v)) return "–";
+  return `${Math.round(convertWind(v, unit))} ${UNIT_LABELS.wind[unit] ?? "km/h"}`;
+}
+
+export function formatDistance(v, unit = "km") {
+  if (v == null || Number.isNaN(v)) return "–";
+  // visibilidade vem em metros
+  const km = v / 1000;
+  if (unit === "mi") {
+    const miles = km * 0.621371;
+    return miles >= 1 ? `${miles.toFixed(1)} mi` : `${Math.round(miles * 5280)} ft`;
+  }
+  return km >= 1 ? `${km.toFixed(1)} km` : `${Math.round(v)} m`;
+}
+
+export function formatAlertTime(iso, locale) {
+  return `${formatLocalWeekday(iso, locale)} ${formatLocalTime(iso, locale)}`;
+}
+
+export function wxEmoji(code, isDay) {
+  // https://open-meteo.com/en/docs
+  if (code == null) return "❔";
+  if (code === 0) return isDay ? "☀️" : "🌙";
+  if ([1, 2].includes(code)) return isDay ? "🌤️" : "☁️";
+  if (code === 3) return "☁️";
+  if ([45, 48].includes(code)) return "🌫️";
+  if ([51, 53, 55].includes(code)) return "🌦️";
+  if ([56, 57].includes(code)) return "🌧️";
+  if ([61, 63, 65].includes(code)) return "🌧️";
+  if ([66, 67].includes(code)) return "🌧️";
+  if ([71, 73, 75, 77].includes(code)) return "🌨️";
+  if ([80, 81, 82].includes(code)) return "🌧️";
+  if ([85, 86].includes(code)) return "🌨️";
+  if ([95, 96, 99].includes(code)) return "⛈️";
+  return "🌡️";
+}
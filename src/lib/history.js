@@ -0,0 +1,91 @@
+//O arquivo histórico só tem dados consolidados até alguns dias atrás
+export const HISTORY_LAG_DAYS = 5;
+//Maior intervalo que o usuário pode pedir de uma vez
+export const HISTORY_MAX_DAYS = 366;
+//Anos usados na média climatológica ("normal") de cada dia do calendário
+export const NORMAL_YEARS = 10;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+//Soma dias a uma data ISO ("YYYY-MM-DD"), sem depender do fuso do navegador
+export function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+//Mesma data n anos antes/depois; 29/02 vira 28/02 em anos não bissextos
+export function shiftYears(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const year = y + n;
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return `${year}-${pad(m)}-${pad(Math.min(d, lastDay))}`;
+}
+
+export function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / 86400000);
+}
+
+//Último dia disponível no arquivo, a partir da data local de hoje
+export function latestHistoryDate(todayISO) {
+  return addDays(todayISO, -HISTORY_LAG_DAYS);
+}
+
+//Intervalo padrão: os 30 dias mais recentes disponíveis
+export function defaultHistoryRange(todayISO) {
+  const end = latestHistoryDate(todayISO);
+  return { start: addDays(end, -29), end };
+}
+
+//Ajusta um intervalo escolhido pelo usuário aos limites do arquivo (ordem, data máxima e tamanho)
+export function clampHistoryRange({ start, end }, todayISO) {
+  const latest = latestHistoryDate(todayISO);
+  let s = start || latest;
+  let e = end || latest;
+  if (s > e) [s, e] = [e, s];
+  if (e > latest) e = latest;
+  if (s > e) s = e;
+  if (daysBetween(s, e) >= HISTORY_MAX_DAYS) s = addDays(e, -(HISTORY_MAX_DAYS - 1));
+  return { start: s, end: e };
+}
+
+//Intervalo do arquivo necessário para comparar as datas com o ano passado e com a normal
+export function referenceRange(dates) {
+  return { start: shiftYears(dates[0], -NORMAL_YEARS), end: shiftYears(dates[dates.length - 1], -1) };
+}
+
+function mean(values) {
+  const ok = values.filter((v) => v != null && !Number.isNaN(v));
+  return ok.length ? ok.reduce((a, b) => a + b, 0) / ok.length : null;
+}
+
+//Para cada data: valores do mesmo dia no ano passado e média dos últimos NORMAL_YEARS anos
+//=> { "2026-10-19": { lastYear: { max, min, precip } | null, normal: { max, min, precip } | null } }
+export function buildReference(dates, history) {
+  const byDate = new Map((history || []).map((d) => [d.date, d]));
+  const out = {};
+
+  for (const date of dates) {
+    const past = [];
+    for (let k = 1; k <= NORMAL_YEARS; k++) {
+      const d = byDate.get(shiftYears(date, -k));
+      if (d) past.push(d);
+    }
+    out[date] = {
+      lastYear: byDate.get(shiftYears(date, -1)) || null,
+      normal: past.length
+        ? {
+          max: mean(past.map((d) => d.max)),
+          min: mean(past.map((d) => d.min)),
+          precip: mean(past.map((d) => d.precip)),
+        }
+        : null,
+    };
+  }
+  return out;
+}
+
+//Diferença (°C) entre um valor e a referência, ou null quando falta algum dos dois
+export function referenceDelta(value, ref) {
+  return value == null || ref == null ? null : value - ref;
+}
@@ -0,0 +1,171 @@
+//Camada de requisições do app: timeout por tentativa, retry com backoff exponencial para 5xx/429,
+//cancelamento via AbortSignal e compartilhamento de GETs idênticos em andamento
+
+export const DEFAULT_TIMEOUT_MS = 12000;
+export const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+//O service worker grava neste cabeçalho, nas respostas que guarda, a hora em que elas vieram da rede.
+//Se ele aparece, a resposta saiu do cache do worker (offline ou atualização em segundo plano)
+const FETCHED_AT_HEADER = "X-Wx-Fetched-At";
+const fetchedAtByData = new WeakMap();
+
+export class HttpError extends Error {
+  constructor(status, url, retryAfterMs = null) {
+    super(`HTTP ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(url, timeoutMs) {
+    super(`Timeout após ${timeoutMs} ms`);
+    this.name = "TimeoutError";
+    this.url = url;
+  }
+}
+
+//Cancelamento pedido pelo chamador (não é falha: a tela não deve mostrar erro)
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+function abortError() {
+  return new DOMException("Requisição cancelada", "AbortError");
+}
+
+function isRetryable(e) {
+  return e instanceof HttpError && (e.status === 429 || e.status >= 500);
+}
+
+//Retry-After em segundos ou data HTTP
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffDelay(attempt, error) {
+  const exp = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(RETRY_MAX_DELAY_MS, Math.max(error?.retryAfterMs ?? 0, exp + jitter));
+}
+
+//Espera cancelável
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+//Hora (ms) em que os dados devolvidos por fetchJson vieram da rede, quando saíram do cache do
+//service worker; null quando a resposta é da rede agora
+export function cachedResponseTime(data) {
+  return (data && typeof data === "object" && fetchedAtByData.get(data)) || null;
+}
+
+//Uma tentativa com timeout próprio; o sinal compartilhado cancela tudo
+async function attempt(url, signal, { timeoutMs, cache }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  signal.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const res = await fetch(url, { signal: controller.signal, cache });
+    if (!res.ok) throw new HttpError(res.status, url, parseRetryAfter(res.headers.get("Retry-After")));
+    const data = await res.json();
+    const fetchedAt = Number(res.headers.get(FETCHED_AT_HEADER));
+    if (fetchedAt > 0 && data && typeof data === "object") fetchedAtByData.set(data, fetchedAt);
+    return data;
+  } catch (e) {
+    if (timedOut) throw new TimeoutError(url, timeoutMs);
+    if (signal.aborted) throw abortError();
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener("abort", onAbort);
+  }
+}
+
+async function request(url, signal, { timeoutMs, retries, cache }) {
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(url, signal, { timeoutMs, cache });
+    } catch (e) {
+      if (i >= retries || !isRetryable(e)) throw e;
+      await sleep(backoffDelay(i, e), signal);
+    }
+  }
+}
+
+//GETs em andamento por URL: { promise, controller, users }.
+//A requisição só é cancelada de fato quando todos os chamadores desistem
+const inFlight = new Map();
+
+//cache: modo de cache do fetch; com "force-cache" o service worker responde com a cópia que tiver guardada
+export function fetchJson(url, { signal, cache, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  let entry = inFlight.get(url);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, users: 0 };
+    entry.promise = request(url, controller.signal, { timeoutMs, retries, cache }).finally(() => {
+      if (inFlight.get(url) === entry) inFlight.delete(url);
+    });
+    inFlight.set(url, entry);
+  }
+  entry.users++;
+  const shared = entry;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const release = () => {
+      done = true;
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      if (done) return;
+      release();
+      reject(abortError());
+      if (--shared.users === 0) {
+        if (inFlight.get(url) === shared) inFlight.delete(url);
+        shared.controller.abort();
+      }
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    shared.promise.then(
+      (data) => {
+        if (done) return;
+        release();
+        resolve(data);
+      },
+      (e) => {
+        if (done) return;
+        release();
+        reject(e);
+      }
+    );
+  });
+}
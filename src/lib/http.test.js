@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { HttpError, TimeoutError, cachedResponseTime, fetchJson, isAbortError } from "./http.js";
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+//fetch que só termina quando o sinal é cancelado
+const hanging = (url, { signal }) =>
+  new Promise((_, reject) => signal.addEventListener("abort", () => reject(new DOMException("abortado", "AbortError"))));
+
+let fetchMock;
+beforeEach(() => {
+  vi.useFakeTimers();
+  fetchMock = vi.fn();
+  vi.stubGlobal("fetch", fetchMock);
+});
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("fetchJson: retry", () => {
+  it("tenta de novo em 5xx e devolve a resposta seguinte", async () => {
+    fetchMock.mockResolvedValueOnce(json({}, 503)).mockResolvedValueOnce(json({ ok: 1 }));
+    const p = fetchJson("https://x/retry-5xx");
+    await vi.advanceTimersByTimeAsync(10000);
+    await expect(p).resolves.toEqual({ ok: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("não repete erros 4xx", async () => {
+    fetchMock.mockResolvedValue(json({}, 404));
+    const p = fetchJson("https://x/not-found");
+    await expect(p).rejects.toMatchObject({ name: "HttpError", status: 404 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("desiste depois das tentativas configuradas", async () => {
+    fetchMock.mockImplementation(async () => json({}, 500));
+    const p = fetchJson("https://x/always-500", { retries: 2 });
+    const result = expect(p).rejects.toBeInstanceOf(HttpError);
+    await vi.advanceTimersByTimeAsync(30000);
+    await result;
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("em 429 espera o Retry-After", async () => {
+    fetchMock.mockResolvedValueOnce(json({}, 429, { "Retry-After": "5" })).mockResolvedValueOnce(json({ ok: 2 }));
+    const p = fetchJson("https://x/rate-limited");
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(p).resolves.toEqual({ ok: 2 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("estoura o timeout de cada tentativa", async () => {
+    fetchMock.mockImplementation(hanging);
+    const p = fetchJson("https://x/slow", { timeoutMs: 1000, retries: 0 });
+    const result = expect(p).rejects.toBeInstanceOf(TimeoutError);
+    await vi.advanceTimersByTimeAsync(1000);
+    await result;
+  });
+});
+
+describe("fetchJson: GETs compartilhados", () => {
+  it("chamadas simultâneas à mesma URL fazem uma requisição só", async () => {
+    fetchMock.mockResolvedValue(json({ v: 1 }));
+    const [a, b] = await Promise.all([fetchJson("https://x/shared"), fetchJson("https://x/shared")]);
+    expect(a).toEqual({ v: 1 });
+    expect(b).toEqual({ v: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("depois de terminar, a mesma URL é buscada de novo", async () => {
+    fetchMock.mockImplementation(async () => json({ v: 1 }));
+    await fetchJson("https://x/again");
+    await fetchJson("https://x/again");
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("cancelar um chamador não derruba os outros", async () => {
+    let resolve;
+    fetchMock.mockImplementation(() => new Promise((r) => (resolve = r)));
+    const c = new AbortController();
+    const a = fetchJson("https://x/partial-abort", { signal: c.signal });
+    const b = fetchJson("https://x/partial-abort");
+    c.abort();
+    resolve(json({ v: 2 }));
+    await expect(a).rejects.toSatisfy(isAbortError);
+    await expect(b).resolves.toEqual({ v: 2 });
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+  });
+
+  it("a requisição só é cancelada quando todos desistem", async () => {
+    fetchMock.mockImplementation(hanging);
+    const c1 = new AbortController();
+    const c2 = new AbortController();
+    const a = fetchJson("https://x/full-abort", { signal: c1.signal });
+    const b = fetchJson("https://x/full-abort", { signal: c2.signal });
+    c1.abort();
+    c2.abort();
+    await expect(a).rejects.toSatisfy(isAbortError);
+    await expect(b).rejects.toSatisfy(isAbortError);
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
+
+describe("fetchJson: cópia do service worker", () => {
+  it("expõe a hora gravada pelo worker e repassa o modo de cache", async () => {
+    fetchMock.mockResolvedValue(json({ v: 3 }, 200, { "X-Wx-Fetched-At": "1760000000000" }));
+    const data = await fetchJson("https://x/from-sw", { cache: "force-cache" });
+    expect(cachedResponseTime(data)).toBe(1760000000000);
+    expect(fetchMock.mock.calls[0][1].cache).toBe("force-cache");
+  });
+
+  it("resposta da rede não tem hora de cache", async () => {
+    fetchMock.mockResolvedValue(json({ v: 4 }));
+    expect(cachedResponseTime(await fetchJson("https://x/live"))).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+//Faixas de risco do índice UV (OMS): limite superior exclusivo de cada nível
+export const UV_LEVELS = [
+  { id: "low", max: 3, color: "#22c55e" },
+  { id: "moderate", max: 6, color: "#eab308" },
+  { id: "high", max: 8, color: "#f97316" },
+  { id: "veryHigh", max: 11, color: "#ef4444" },
+  { id: "extreme", max: Infinity, color: "#a855f7" },
+];
+
+//Faixas do US AQI (EPA): limite superior inclusivo de cada nível
+export const AQI_LEVELS = [
+  { id: "good", max: 50, color: "#22c55e" },
+  { id: "moderate", max: 100, color: "#eab308" },
+  { id: "sensitive", max: 150, color: "#f97316" },
+  { id: "unhealthy", max: 200, color: "#ef4444" },
+  { id: "veryUnhealthy", max: 300, color: "#a855f7" },
+  { id: "hazardous", max: Infinity, color: "#7f1d1d" },
+];
+
+//Variação (hPa) em 3 horas abaixo da qual a pressão é considerada estável
+export const PRESSURE_STEADY_HPA = 1;
+
+export const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+export function uvLevel(uv) {
+  if (uv == null || Number.isNaN(uv)) return null;
+  return UV_LEVELS.find((l) => uv < l.max);
+}
+
+export function aqiLevel(aqi) {
+  if (aqi == null || Number.isNaN(aqi)) return null;
+  return AQI_LEVELS.find((l) => aqi <= l.max);
+}
+
+//Ponto cardeal (16 direções) de onde o vento vem
+export function compassPoint(deg) {
+  if (deg == null || Number.isNaN(deg)) return null;
+  return COMPASS_POINTS[Math.round((((deg % 360) + 360) % 360) / 22.5) % 16];
+}
+
+//Tendência barométrica: variação nas 3 horas até agora (ou nas 3 seguintes, se a série começar agora)
+//=> { delta, trend: "rising" | "falling" | "steady" } ou null sem dados de pressão
+export function pressureTrend(hourly, nowISO) {
+  const list = hourly || [];
+  if (!list.length) return null;
+  let i = list.findIndex((h) => h.time >= (nowISO || ""));
+  if (i < 0) i = list.length - 1;
+  const [from, to] = i >= 3 ? [list[i - 3], list[i]] : [list[i], list[i + 3]];
+  if (from?.pressure == null || to?.pressure == null) return null;
+  const delta = to.pressure - from.pressure;
+  const trend = Math.abs(delta) < PRESSURE_STEADY_HPA ? "steady" : delta > 0 ? "rising" : "falling";
+  return { delta, trend };
+}
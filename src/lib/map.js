@@ -0,0 +1,108 @@
+//Mapa: fontes de tiles, grade de pontos ao redor e escala de cores de temperatura
+
+//Fontes de tiles. O service worker guarda os tiles vistos (cache primeiro), então as áreas
+//já visitadas continuam aparecendo offline; o resto cai no OFFLINE_TILE
+export const TILE_SOURCES = {
+  osm: {
+    id: "osm",
+    url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+    maxZoom: 19,
+  },
+};
+export const DEFAULT_TILE_SOURCE = "osm";
+
+//Tile neutro (quadriculado) para quando a imagem não carrega
+export const OFFLINE_TILE =
+  "data:image/svg+xml," +
+  encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256"><rect width="256" height="256" fill="#e4e4e7"/>' +
+    '<path d="M0 .5H256M0 128.5H256M.5 0V256M128.5 0V256" stroke="#a1a1aa" stroke-width="1"/></svg>'
+  );
+
+//Cria a camada de tiles do Leaflet para uma fonte
+export function createTileLayer(L, source = TILE_SOURCES[DEFAULT_TILE_SOURCE]) {
+  return L.tileLayer(source.url, {
+    attribution: source.attribution,
+    maxZoom: source.maxZoom,
+    errorTileUrl: OFFLINE_TILE,
+    crossOrigin: true, // resposta CORS (não opaca) para o service worker poder guardar
+  });
+}
+
+//Lados da grade de temperaturas ao redor (GRID_SIZE x GRID_SIZE pontos)
+export const GRID_SIZE = 5;
+
+//Divide a área visível em células iguais; cada ponto é o centro de uma célula
+//bounds: { south, west, north, east } em graus
+export function gridCells(bounds, size = GRID_SIZE) {
+  // Com o mapa bem afastado a área passa dos polos; a projeção do mapa vai até ~85°
+  const south0 = Math.max(bounds.south, -85);
+  const dLat = (Math.min(bounds.north, 85) - south0) / size;
+  const dLon = (bounds.east - bounds.west) / size;
+  const cells = [];
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const south = south0 + r * dLat;
+      const west = bounds.west + c * dLon;
+      cells.push({
+        latitude: south + dLat / 2,
+        longitude: wrapLongitude(west + dLon / 2),
+        bounds: { south, west, north: south + dLat, east: west + dLon },
+      });
+    }
+  }
+  return cells;
+}
+
+//Longitude em [-180, 180) (o mapa repete o mundo horizontalmente)
+export function wrapLongitude(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+//Chave da área visível arredondada (a uma potência de 2 perto de um décimo do tamanho da área,
+//estável dentro do mesmo zoom), para não rebuscar a grade a cada pequeno arrasto;
+//parseBoundsKey devolve a área arredondada
+export function boundsKey(bounds) {
+  const span = Math.max(bounds.north - bounds.south, bounds.east - bounds.west, 1e-3);
+  const step = 2 ** Math.round(Math.log2(span / 10));
+  const r = (v) => (Math.round(v / step) * step).toFixed(3);
+  return [bounds.south, bounds.west, bounds.north, bounds.east].map(r).join(",");
+}
+
+export function parseBoundsKey(key) {
+  const [south, west, north, east] = key.split(",").map(Number);
+  return { south, west, north, east };
+}
+
+//Escala de cores por temperatura (°C), interpolada entre as paradas
+const TEMP_STOPS = [
+  [-20, [49, 46, 129]],
+  [-5, [37, 99, 235]],
+  [5, [34, 211, 238]],
+  [15, [132, 204, 22]],
+  [22, [250, 204, 21]],
+  [28, [249, 115, 22]],
+  [35, [220, 38, 38]],
+  [42, [127, 29, 29]],
+];
+
+export const TEMP_SCALE_RANGE = [TEMP_STOPS[0][0], TEMP_STOPS[TEMP_STOPS.length - 1][0]];
+
+export function temperatureColor(c) {
+  if (c == null || Number.isNaN(c)) return "rgb(161, 161, 170)";
+  const i = TEMP_STOPS.findIndex(([t]) => c < t);
+  if (i === 0) return `rgb(${TEMP_STOPS[0][1].join(", ")})`;
+  if (i === -1) return `rgb(${TEMP_STOPS[TEMP_STOPS.length - 1][1].join(", ")})`;
+  const [t0, c0] = TEMP_STOPS[i - 1];
+  const [t1, c1] = TEMP_STOPS[i];
+  const k = (c - t0) / (t1 - t0);
+  return `rgb(${c0.map((v, j) => Math.round(v + (c1[j] - v) * k)).join(", ")})`;
+}
+
+//Gradiente CSS da escala, para a legenda
+export function temperatureGradient() {
+  const [min, max] = TEMP_SCALE_RANGE;
+  const stops = TEMP_STOPS.map(([t]) => `${temperatureColor(t)} ${(((t - min) / (max - min)) * 100).toFixed(0)}%`);
+  return `linear-gradient(to right, ${stops.join(", ")})`;
+}
@@ -0,0 +1,24 @@
+//Wrapper fino da Notifications API (nem todo navegador tem, e alguns só no contexto seguro)
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+//Mostra a notificação; `tag` faz o sistema substituir uma anterior igual em vez de empilhar
+export function sendNotification(title, { body, tag } = {}) {
+  if (notificationPermission() !== "granted") return false;
+  try {
+    new Notification(title, { body, tag, icon: `${import.meta.env.BASE_URL}icon.svg` });
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,72 @@
+//Nowcast de chuva: leitura das fatias de 15 minutos (ver providers/nowcast.js) para as próximas 2 horas
+import { wallMs, utcMsToLocal } from "./time.js";
+
+const MINUTE_MS = 60 * 1000;
+export const NOWCAST_SLOT_MIN = 15;
+//Horizonte do painel (minutos)
+export const NOWCAST_WINDOW_MIN = 120;
+//A partir de quanto (mm em 15 min) a fatia conta como chuva; abaixo disso é garoa que nem molha o chão
+export const NOWCAST_RAIN_MM = 0.1;
+//Chuva que começa dentro deste prazo (minutos) é "iminente" e vira o destaque do cartão atual
+export const NOWCAST_IMMINENT_MIN = 60;
+
+const isWet = (slot) => (slot?.precip ?? 0) >= NOWCAST_RAIN_MM;
+
+//Fatias que cobrem o horizonte a partir de agora (a primeira é a que está em andamento),
+//com início e fim em ms de horário de parede e o horário de início em ISO local, para o gráfico
+export function nowcastWindow(slots, nowIso, windowMin = NOWCAST_WINDOW_MIN) {
+  const now = wallMs(nowIso);
+  const limit = now + windowMin * MINUTE_MS;
+  return (slots || [])
+    .map((s) => {
+      const end = wallMs(s.time);
+      const start = end - NOWCAST_SLOT_MIN * MINUTE_MS;
+      return { ...s, start, end, startIso: utcMsToLocal(start) };
+    })
+    .filter((s) => s.end > now && s.start < limit);
+}
+
+//Resumo do nowcast:
+// { state: "dry" }                                   sem chuva no horizonte
+// { state: "starting", startsIn, lasts, open }       chuva começa em startsIn minutos e dura lasts
+// { state: "raining", endsIn, open }                 chovendo agora, para em endsIn minutos
+//open = a chuva segue até o fim dos dados (a duração é um mínimo). null sem dados para agora
+export function summarizeNowcast(slots, nowIso) {
+  const now = wallMs(nowIso);
+  const all = nowcastWindow(slots, nowIso, Infinity);
+  const win = all.filter((s) => s.start < now + NOWCAST_WINDOW_MIN * MINUTE_MS);
+  if (!win.length) return null;
+
+  // Fim da sequência de fatias com chuva que começa em all[i]
+  const runEnd = (i) => {
+    let j = i;
+    while (j < all.length && isWet(all[j])) j++;
+    return { end: all[j - 1].end, open: j === all.length };
+  };
+  const minutes = (ms) => Math.max(0, Math.round(ms / MINUTE_MS));
+
+  if (isWet(win[0])) {
+    const run = runEnd(0);
+    return { state: "raining", endsIn: minutes(run.end - now), open: run.open };
+  }
+  const i = win.findIndex(isWet);
+  if (i === -1) return { state: "dry" };
+  const run = runEnd(i);
+  return {
+    state: "starting",
+    startsIn: minutes(win[i].start - now),
+    lasts: minutes(run.end - win[i].start),
+    open: run.open,
+  };
+}
+
+export function isRainImminent(summary) {
+  return summary?.state === "starting" && summary.startsIn <= NOWCAST_IMMINENT_MIN;
+}
+
+//Duração aproximada: "~20 min" (de 5 em 5) até 1 hora, depois "~1 h", "~1,5 h" (de meia em meia hora)
+export function formatApproxMinutes(minutes, locale = "pt-BR") {
+  if (minutes < 55) return `~${Math.max(5, Math.round(minutes / 5) * 5)} min`;
+  const h = Math.round(minutes / 30) / 2;
+  return `~${h.toLocaleString(locale, { maximumFractionDigits: 1 })} h`;
+}
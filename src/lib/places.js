@@ -0,0 +1,17 @@
+//Identificação e rótulo das localidades
+
+//Identifica uma localidade pelas coordenadas (4 casas ~ 11 m)
+export function placeKey(p) {
+  return `${p.latitude.toFixed(4)}:${p.longitude.toFixed(4)}`;
+}
+
+export function isSamePlace(a, b) {
+  if (!a || !b) return false;
+  return placeKey(a) === placeKey(b);
+}
+
+export function placeLabel(p) {
+  if (!p) return "";
+  const parts = [p.name, p.admin1, p.country].filter(Boolean);
+  return parts.join(", ");
+}
@@ -0,0 +1,70 @@
+//Atualização automática da previsão.
+//O Open-Meteo publica rodadas novas dos modelos de hora em hora, alguns minutos depois da hora cheia;
+//as atualizações são alinhadas a esses horários, para não buscar de novo dados que ainda não mudaram.
+
+//Intervalos oferecidos (minutos); 0 = desligado
+export const REFRESH_INTERVALS = [0, 15, 30, 60, 120];
+export const REFRESH_INTERVAL_DEFAULT = 60;
+
+const MINUTE_MS = 60 * 1000;
+//Minutos após a hora cheia em que a rodada nova costuma estar disponível
+const MODEL_UPDATE_OFFSET_MS = 5 * MINUTE_MS;
+//Intervalo mínimo entre duas atualizações (inclusive ao voltar para a aba ou reconectar)
+export const MIN_REFRESH_GAP_MS = 5 * MINUTE_MS;
+
+//Próximo horário de atualização: o primeiro horário de publicação (a cada hora, ou a cada
+//`interval` quando ele é menor que uma hora) depois de `interval - passo` desde a última busca
+//(no mínimo MIN_REFRESH_GAP_MS).
+//Ex.: intervalo de 1 h e última busca às 10:30 -> 11:05 (e não 11:30, quando os dados seriam os mesmos)
+export function nextRefreshAt(lastAt, intervalMin) {
+  const interval = intervalMin * MINUTE_MS;
+  const step = Math.min(interval, 60 * MINUTE_MS);
+  const after = lastAt + Math.max(interval - step, MIN_REFRESH_GAP_MS);
+  return Math.floor((after - MODEL_UPDATE_OFFSET_MS) / step + 1) * step + MODEL_UPDATE_OFFSET_MS;
+}
+
+const isHidden = () => typeof document !== "undefined" && document.visibilityState === "hidden";
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+//Agenda onRefresh() para o próximo horário de atualização a partir de lastAt.
+//Com a aba escondida ou sem rede o timer fica parado; ao voltar (visibilitychange/online)
+//atualiza na hora se a última busca tiver mais de MIN_REFRESH_GAP_MS.
+//Depois de cada disparo reagenda a partir do momento do disparo. Retorna a função para cancelar
+export function scheduleRefresh({ lastAt, intervalMin, onRefresh }) {
+  if (!intervalMin || typeof window === "undefined") return () => {};
+
+  let last = lastAt;
+  let timer = null;
+
+  const fire = () => {
+    last = Date.now();
+    onRefresh();
+    arm();
+  };
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    if (isHidden() || isOffline()) return;
+    timer = setTimeout(fire, Math.max(0, nextRefreshAt(last, intervalMin) - Date.now()));
+  }
+
+  const resume = () => {
+    if (isHidden() || isOffline()) {
+      arm(); // só para o timer
+      return;
+    }
+    if (Date.now() - last >= MIN_REFRESH_GAP_MS) fire();
+    else arm();
+  };
+
+  document.addEventListener("visibilitychange", resume);
+  window.addEventListener("online", resume);
+  arm();
+
+  return () => {
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", resume);
+    window.removeEventListener("online", resume);
+  };
+}
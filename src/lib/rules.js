@@ -0,0 +1,106 @@
+import { toCanonicalTemp, toCanonicalWind } from "./units.js";
+import { utcMsToLocal, wallMs } from "./time.js";
+
+//Métricas disponíveis para regras: de onde vêm (série horária ou diária) e tipo de unidade
+export const RULE_METRICS = {
+  pop: { source: "hourly", kind: "percent" },
+  temp: { source: "hourly", kind: "temp" },
+  feels: { source: "hourly", kind: "temp" },
+  wind: { source: "hourly", kind: "speed" },
+  max: { source: "daily", kind: "temp" },
+  min: { source: "daily", kind: "temp" },
+};
+
+export const RULE_DAYS = ["today", "tomorrow", "any"];
+
+//Períodos do dia em horas locais [início, fim)
+export const RULE_PERIODS = {
+  all: [0, 24],
+  night: [0, 6],
+  morning: [6, 12],
+  afternoon: [12, 18],
+  evening: [18, 24],
+};
+
+export function createRule(fields) {
+  return {
+    id: `rule_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    enabled: true,
+    op: ">",
+    day: "any",
+    period: "all",
+    ...fields,
+  };
+}
+
+//Unidade em que o valor da regra foi digitado. Regras antigas guardam `unit` ("metric"/"imperial")
+export function ruleValueUnit(rule) {
+  const kind = RULE_METRICS[rule.metric]?.kind;
+  if (rule.valueUnit) return rule.valueUnit;
+  if (kind === "temp") return rule.unit === "imperial" ? "f" : "c";
+  if (kind === "speed") return rule.unit === "imperial" ? "mph" : "kmh";
+  return null;
+}
+
+//O valor fica salvo como digitado; para avaliar, converte para a unidade canônica da previsão
+export function ruleThreshold(rule) {
+  const kind = RULE_METRICS[rule.metric]?.kind;
+  const value = Number(rule.value);
+  if (kind === "temp") return toCanonicalTemp(value, ruleValueUnit(rule));
+  if (kind === "speed") return toCanonicalWind(value, ruleValueUnit(rule));
+  return value;
+}
+
+function addDays(date, days) {
+  return utcMsToLocal(wallMs(date) + days * 86400000).slice(0, 10);
+}
+
+function dayMatches(rule, date, today) {
+  if (rule.day === "today") return date === today;
+  if (rule.day === "tomorrow") return date === addDays(today, 1);
+  return date >= today;
+}
+
+//Previsões a avaliar, por placeKey: as dos favoritos mais a que está na tela.
+//A da tela só entra se for do lugar atual (`forecastKey`): logo após trocar de lugar ela
+//ainda é a do anterior e dispararia as regras do novo lugar com dados de outro
+export function ruleTargets(favoriteForecasts, { key, forecast, forecastKey }) {
+  const targets = { ...favoriteForecasts };
+  if (key && forecast && forecastKey === key) targets[key] = forecast;
+  return targets;
+}
+
+//Avalia a regra contra as séries do app (buildHourlySeries/buildDailySeries).
+//Retorna uma ocorrência por dia que atende a condição: { key, date, iso, value }.
+//A `key` (regra + dia) é o que evita notificar de novo a mesma ocorrência.
+export function evaluateRule(rule, { hourly, daily }, { today }) {
+  const metric = RULE_METRICS[rule.metric];
+  if (!rule.enabled || !metric) return [];
+
+  const threshold = ruleThreshold(rule);
+  const passes = (v) => v != null && (rule.op === "<" ? v < threshold : v > threshold);
+  const [from, to] = RULE_PERIODS[rule.period] || RULE_PERIODS.all;
+
+  const byDay = new Map();
+  if (metric.source === "daily") {
+    for (const d of daily || []) {
+      if (!dayMatches(rule, d.day, today) || !passes(d[rule.metric])) continue;
+      byDay.set(d.day, { iso: d.day, value: d[rule.metric] });
+    }
+  } else {
+    for (const h of hourly || []) {
+      const date = h.iso.slice(0, 10);
+      const hour = Number(h.iso.slice(11, 13));
+      if (byDay.has(date) || !dayMatches(rule, date, today) || hour < from || hour >= to) continue;
+      if (passes(h[rule.metric])) byDay.set(date, { iso: h.iso, value: h[rule.metric] });
+    }
+  }
+
+  return [...byDay.entries()].map(([date, m]) => ({ key: `${rule.id}|${date}`, date, ...m }));
+}
+
+//Descarta registros de disparo antigos (a chave é por dia, então uma semana basta)
+export function pruneFired(fired, now = Date.now()) {
+  const maxAge = 8 * 24 * 60 * 60 * 1000;
+  return Object.fromEntries(Object.entries(fired || {}).filter(([, at]) => now - at < maxAge));
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { evaluateRule, pruneFired, ruleTargets, ruleThreshold } from "./rules.js";
+
+const rule = (fields) => ({ id: "r1", enabled: true, op: ">", day: "any", period: "all", ...fields });
+
+const hourly = [
+  { iso: "2026-10-19T08:00", temp: 18, pop: 10 },
+  { iso: "2026-10-19T15:00", temp: 27, pop: 80 },
+  { iso: "2026-10-19T16:00", temp: 29, pop: 90 },
+  { iso: "2026-10-20T03:00", temp: 12, pop: 70 },
+  { iso: "2026-10-20T14:00", temp: 31, pop: 20 },
+];
+const daily = [
+  { day: "2026-10-18", max: 35, min: 20 },
+  { day: "2026-10-19", max: 29, min: 15 },
+  { day: "2026-10-20", max: 31, min: 9 },
+];
+const series = { hourly, daily };
+const ctx = { today: "2026-10-19" };
+
+describe("evaluateRule", () => {
+  it("retorna a primeira hora de cada dia que passa do limite", () => {
+    expect(evaluateRule(rule({ metric: "temp", value: 25, valueUnit: "c" }), series, ctx)).toEqual([
+      { key: "r1|2026-10-19", date: "2026-10-19", iso: "2026-10-19T15:00", value: 27 },
+      { key: "r1|2026-10-20", date: "2026-10-20", iso: "2026-10-20T14:00", value: 31 },
+    ]);
+  });
+
+  it("respeita o operador <", () => {
+    const hits = evaluateRule(rule({ metric: "temp", op: "<", value: 15, valueUnit: "c" }), series, ctx);
+    expect(hits.map((h) => h.iso)).toEqual(["2026-10-20T03:00"]);
+  });
+
+  it("filtra por dia e período", () => {
+    const tomorrow = evaluateRule(rule({ metric: "pop", value: 50, day: "tomorrow" }), series, ctx);
+    expect(tomorrow.map((h) => h.iso)).toEqual(["2026-10-20T03:00"]);
+
+    const afternoon = evaluateRule(rule({ metric: "pop", value: 50, period: "afternoon" }), series, ctx);
+    expect(afternoon.map((h) => h.iso)).toEqual(["2026-10-19T15:00"]);
+  });
+
+  it("avalia métricas diárias e ignora dias passados", () => {
+    const hits = evaluateRule(rule({ metric: "max", value: 30, valueUnit: "c" }), series, ctx);
+    expect(hits).toEqual([{ key: "r1|2026-10-20", date: "2026-10-20", iso: "2026-10-20", value: 31 }]);
+  });
+
+  it("converte o limite digitado em °F", () => {
+    const r = rule({ metric: "temp", value: 80, valueUnit: "f" });
+    expect(ruleThreshold(r)).toBeCloseTo(26.67, 2);
+    expect(evaluateRule(r, series, ctx).map((h) => h.iso)).toEqual(["2026-10-19T15:00", "2026-10-20T14:00"]);
+  });
+
+  it("aceita regras antigas com unit metric/imperial", () => {
+    expect(ruleThreshold(rule({ metric: "wind", value: 10, unit: "imperial" }))).toBeCloseTo(16.09, 2);
+  });
+
+  it("não dispara regra desativada ou com métrica desconhecida", () => {
+    expect(evaluateRule(rule({ metric: "temp", value: 0, enabled: false }), series, ctx)).toEqual([]);
+    expect(evaluateRule(rule({ metric: "snow", value: 0 }), series, ctx)).toEqual([]);
+  });
+});
+
+describe("pruneFired", () => {
+  it("descarta disparos com mais de 8 dias", () => {
+    const now = Date.UTC(2026, 9, 19);
+    const day = 86400000;
+    expect(pruneFired({ a: now - day, b: now - 9 * day }, now)).toEqual({ a: now - day });
+  });
+});
+
+describe("ruleTargets", () => {
+  const porto = { hourly: [], daily: [], tag: "porto" };
+  const lisboa = { hourly: [], daily: [], tag: "lisboa" };
+
+  it("inclui a previsão da tela quando ela é do lugar atual", () => {
+    expect(ruleTargets({ fav: lisboa }, { key: "porto", forecast: porto, forecastKey: "porto" })).toEqual({ fav: lisboa, porto });
+  });
+
+  it("logo após trocar de lugar, não usa a previsão do lugar anterior", () => {
+    expect(ruleTargets({}, { key: "lisboa", forecast: porto, forecastKey: "porto" })).toEqual({});
+  });
+
+  it("mantém a previsão do favorito do lugar novo enquanto a da tela não chega", () => {
+    expect(ruleTargets({ lisboa }, { key: "lisboa", forecast: porto, forecastKey: "porto" })).toEqual({ lisboa });
+  });
+
+  it("sem lugar ou sem previsão, só os favoritos", () => {
+    expect(ruleTargets({ lisboa }, { key: null, forecast: porto, forecastKey: null })).toEqual({ lisboa });
+    expect(ruleTargets({ lisboa }, { key: "porto", forecast: null, forecastKey: "porto" })).toEqual({ lisboa });
+  });
+});
@@ -0,0 +1,78 @@
+import { foldText } from "./text.js";
+
+//Distância de edição (Levenshtein) entre duas strings curtas
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+//Pontua o quanto `text` casa com `query` (maior = melhor), ignorando acentos e caixa; null se não casa.
+//Ordem: começo do texto > começo de palavra > trecho > letras na ordem (com poucos saltos) > erro de digitação
+export function fuzzyScore(text, query) {
+  const t = foldText(text);
+  const q = foldText(query).trim();
+  if (!q || !t) return null;
+
+  if (t.startsWith(q)) return 1000 - t.length;
+  const words = t.split(/[\s,\-']+/).filter(Boolean);
+  if (words.some((w) => w.startsWith(q))) return 800 - t.length;
+  if (t.includes(q)) return 600 - t.length;
+
+  // Subsequência: todas as letras na ordem, começando numa inicial de palavra
+  let gaps = 0;
+  let pos = -1;
+  for (const ch of q.replace(/\s+/g, "")) {
+    const next = t.indexOf(ch, pos + 1);
+    if (next < 0) {
+      gaps = Infinity;
+      break;
+    }
+    if (pos >= 0) gaps += next - pos - 1;
+    pos = next;
+  }
+  if (gaps <= q.length && words.some((w) => w[0] === q[0])) return 400 - gaps * 10;
+
+  // Erro de digitação no começo de alguma palavra (1 erro a partir de 4 letras, 2 a partir de 7)
+  const allowed = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  if (allowed) {
+    const best = Math.min(...words.map((w) => editDistance(q, w.slice(0, q.length))));
+    if (best <= allowed) return 300 - best * 50;
+  }
+  return null;
+}
+
+//Procura nos lugares já conhecidos (favoritos, recentes, último lugar) sem ir à rede.
+//places: [{ ...place, source }]; keyOf identifica o mesmo lugar vindo de listas diferentes
+export function searchLocalPlaces(places, query, { keyOf, textOf, limit = 4 }) {
+  const seen = new Set();
+  const scored = [];
+  for (const p of places) {
+    const key = keyOf(p);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const score = Math.max(fuzzyScore(p.name, query) ?? -Infinity, (fuzzyScore(textOf(p), query) ?? -Infinity) - 1);
+    if (score > -Infinity) scored.push({ p, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((s) => s.p);
+}
+
+//Junta os resultados locais (primeiro) com os da API, sem repetir lugares
+export function mergeSuggestions(local, remote, keyOf, limit = 8) {
+  const seen = new Set(local.map(keyOf));
+  return [...local, ...remote.filter((p) => !seen.has(keyOf(p)))].slice(0, limit);
+}
+
+//Remove a marcação de origem (recente/favorito) antes de guardar o lugar
+export function stripSource(p) {
+  return Object.fromEntries(Object.entries(p).filter(([k]) => k !== "source"));
+}
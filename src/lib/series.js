@@ -0,0 +1,47 @@
+//Séries horária e diária exibidas nos cards, montadas a partir do modelo de previsão
+import { formatLocalTime, formatLocalWeekday, placeNowIso, wallMs } from "./time.js";
+
+//Monta a série horária a partir da hora em andamento em nowISO (relógio local da cidade; por padrão, agora lá)
+export function buildHourlySeries(data, nowISO = placeNowIso(data), hours = 24, locale = "pt-BR") {
+  const hourly = data?.hourly || [];
+
+  const now = wallMs(nowISO);
+  let startIdx = 0;
+  for (let i = 0; i < hourly.length; i++) {
+    const t = wallMs(hourly[i].time);
+    if (t + 3600000 > now) {
+      startIdx = i;
+      break;
+    }
+  }
+
+  return hourly.slice(startIdx, startIdx + hours).map((h) => ({
+    time: formatLocalTime(h.time, locale),
+    temp: h.temp,
+    feels: h.feels,
+    pop: h.pop,
+    wind: h.wind,
+    humidity: h.humidity,
+    visibility: h.visibility,
+    precip: h.precip,
+    pressure: h.pressure,
+    iso: h.time,
+  }));
+}
+
+//Monta série diária com labels (Seg, Ter, ...).
+export function buildDailySeries(data, locale = "pt-BR") {
+  return (data?.daily || []).map((d) => ({
+    day: d.date,
+    label: formatLocalWeekday(d.date, locale).replace(/^./, (c) => c.toLocaleUpperCase(locale)),
+    max: d.max,
+    min: d.min,
+    code: d.code,
+    sunrise: d.sunrise,
+    sunset: d.sunset,
+    precip: d.precip,
+    popMax: d.popMax,
+    uvMax: d.uvMax,
+    gustsMax: d.gustsMax,
+  }));
+}
@@ -0,0 +1,58 @@
+const PERIODIC_SYNC_TAG = "wx-refresh-favorites";
+const PERIODIC_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+//Registra o service worker (só no build de produção) e chama onUpdate(registration)
+//quando uma nova versão estiver instalada esperando para assumir
+export async function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return null;
+
+  const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration);
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      // Com controller já ativo, "installed" significa atualização (e não a primeira instalação)
+      if (worker.state === "installed" && navigator.serviceWorker.controller) onUpdate(registration);
+    });
+  });
+
+  await registerPeriodicSync(registration);
+  return registration;
+}
+
+//Pede ao worker em espera para assumir e recarrega a página quando ele assumir
+export function applyServiceWorkerUpdate(registration) {
+  if (!registration?.waiting) return;
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: "SKIP_WAITING" });
+}
+
+//Informa ao service worker as URLs de previsão a atualizar em segundo plano (as dos favoritos)
+export async function setBackgroundSyncUrls(urls) {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: "SYNC_URLS", urls });
+}
+
+//Chama fn(at) quando o service worker termina uma atualização em segundo plano; retorna a função para parar
+export function onBackgroundRefresh(fn) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const onMessage = (e) => {
+    if (e.data?.type === "FORECASTS_REFRESHED") fn(e.data.at);
+  };
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+}
+
+//Periodic Background Sync só existe em alguns navegadores (Chromium, com o app instalado)
+async function registerPeriodicSync(registration) {
+  if (!("periodicSync" in registration)) return;
+  try {
+    const status = await navigator.permissions.query({ name: "periodic-background-sync" });
+    if (status.state !== "granted") return;
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+  } catch {
+    // sem suporte/permissão: o app segue atualizando só quando aberto
+  }
+}
@@ -0,0 +1,43 @@
+//Leitura em voz alta com a Web Speech API (speechSynthesis)
+
+export function isSpeechSupported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window && typeof SpeechSynthesisUtterance !== "undefined";
+}
+
+//Voz do idioma: a exata ("pt-BR") ou a primeira do mesmo idioma ("pt-PT"); sem nenhuma, o navegador escolhe
+function pickVoice(lang) {
+  const voices = window.speechSynthesis.getVoices();
+  const base = lang.split("-")[0].toLowerCase();
+  return (
+    voices.find((v) => v.lang.toLowerCase() === lang.toLowerCase()) ||
+    voices.find((v) => v.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+    null
+  );
+}
+
+//Lê o texto, interrompendo o que estiver sendo lido. onEnd é chamado ao terminar, ao ser interrompido
+//ou em erro. Retorna a função para parar
+export function speak(text, lang, { onEnd } = {}) {
+  if (!isSpeechSupported() || !text) return () => {};
+  const synth = window.speechSynthesis;
+  synth.cancel();
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  const voice = pickVoice(lang);
+  if (voice) utterance.voice = voice;
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    onEnd?.();
+  };
+  utterance.onend = finish;
+  utterance.onerror = finish;
+  synth.speak(utterance);
+
+  return () => {
+    finish();
+    synth.cancel();
+  };
+}
@@ -0,0 +1,163 @@
+//Persistência versionada no localStorage.
+//Cada dado salvo é um "store": a chave é `${name}_v${version}` e, ao ler, se só existir uma versão
+//anterior, ela passa pelas migrações em ordem (v1 -> v2 -> ...) e é regravada na chave atual.
+//Valores ilegíveis ou que não passam na validação são guardados à parte e trocados pelo fallback.
+
+const CORRUPT_SUFFIX = "_corrupt";
+
+const stores = [];
+const quotaListeners = new Set();
+
+//Define um store:
+// - migrations: { [versão]: (valor da versão anterior) => valor nesta versão }
+// - validate: (valor) => valor saneado, ou undefined se for inaproveitável
+// - evictable: dado descartável (cache), apagado para liberar espaço quando a cota estoura
+export function defineStore({ name, version = 1, fallback = null, migrations = {}, validate = (v) => v, evictable = false }) {
+  const store = { name, version, key: storeKey(name, version), fallback, migrations, validate, evictable };
+  stores.push(store);
+  return store;
+}
+
+function storeKey(name, version) {
+  return `${name}_v${version}`;
+}
+
+function storage() {
+  try {
+    return typeof window === "undefined" ? null : window.localStorage;
+  } catch {
+    return null; // acesso bloqueado (ex.: cookies desativados)
+  }
+}
+
+//Aplica as migrações de `from` até a versão atual; sem caminho, o valor é descartado
+function migrate(store, value, from) {
+  let out = value;
+  for (let v = from + 1; v <= store.version; v++) {
+    const step = store.migrations[v];
+    if (!step) return undefined;
+    out = step(out);
+  }
+  return out;
+}
+
+function parse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+}
+
+//Guarda o texto original para diagnóstico e remove a chave estragada
+function quarantine(ls, key, raw) {
+  try {
+    ls.setItem(`${key}${CORRUPT_SUFFIX}`, raw);
+  } catch {
+    // sem espaço nem para a cópia: fica só a remoção
+  }
+  ls.removeItem(key);
+}
+
+function sanitize(store, value) {
+  if (value === undefined) return undefined;
+  try {
+    return store.validate(value);
+  } catch {
+    return undefined;
+  }
+}
+
+export function readStore(store, fallback = store.fallback) {
+  const ls = storage();
+  if (!ls) return fallback;
+
+  for (let v = store.version; v >= 1; v--) {
+    const key = storeKey(store.name, v);
+    const raw = ls.getItem(key);
+    if (raw == null) continue;
+
+    const value = sanitize(store, migrate(store, parse(raw), v));
+    // Versões mais antigas que a encontrada já não servem para nada
+    for (let old = v - 1; old >= 1; old--) ls.removeItem(storeKey(store.name, old));
+
+    if (value === undefined) {
+      // Versão antiga sem migração é descarte esperado; na versão atual é corrupção
+      if (v === store.version) quarantine(ls, key, raw);
+      else ls.removeItem(key);
+      return fallback;
+    }
+    if (v !== store.version) {
+      ls.removeItem(key);
+      writeStore(store, value);
+    }
+    return value;
+  }
+  return fallback;
+}
+
+function isQuotaError(err) {
+  return (
+    err instanceof DOMException &&
+    (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22 || err.code === 1014)
+  );
+}
+
+//Grava o valor; se a cota estourar, apaga os caches descartáveis e tenta de novo.
+//Retorna false quando não foi possível salvar
+export function writeStore(store, value) {
+  const ls = storage();
+  if (!ls) return false;
+  const raw = JSON.stringify(value);
+
+  try {
+    ls.setItem(store.key, raw);
+    return true;
+  } catch (err) {
+    if (!isQuotaError(err)) throw err;
+  }
+
+  if (!store.evictable) {
+    for (const s of stores) if (s.evictable) ls.removeItem(s.key);
+    try {
+      ls.setItem(store.key, raw);
+      return true;
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+    }
+  }
+
+  quotaListeners.forEach((fn) => fn(store));
+  return false;
+}
+
+export function removeStore(store) {
+  storage()?.removeItem(store.key);
+}
+
+//Avisa quando um dado (não descartável) não coube no localStorage; retorna a função para cancelar
+export function onStorageFull(fn) {
+  quotaListeners.add(fn);
+  return () => quotaListeners.delete(fn);
+}
+
+//Mudanças feitas em outra aba: o evento "storage" só chega às outras abas, então não há eco.
+//fn recebe o valor já validado (ou o fallback se a chave foi apagada); retorna a função para cancelar
+export function subscribeStore(store, fn) {
+  if (typeof window === "undefined") return () => {};
+
+  const handler = (e) => {
+    if (e.storageArea !== storage()) return;
+    // key null: localStorage.clear() na outra aba
+    if (e.key !== null && e.key !== store.key) return;
+    if (e.newValue == null) {
+      fn(store.fallback);
+      return;
+    }
+    const value = sanitize(store, parse(e.newValue));
+    if (value !== undefined) fn(value);
+  };
+
+  window.addEventListener("storage", handler);
+  return () => window.removeEventListener("storage", handler);
+}
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { defineStore, onStorageFull, readStore, writeStore } from "./storage.js";
+import { STORES } from "./stores.js";
+
+//localStorage em memória; `quota` limita o total de caracteres gravados
+class MemoryStorage {
+  constructor(quota = Infinity) {
+    this.items = new Map();
+    this.quota = quota;
+  }
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    const size = [...this.items].reduce((n, [k, v]) => (k === key ? n : n + v.length), 0);
+    if (size + value.length > this.quota) throw new DOMException("cheio", "QuotaExceededError");
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+let ls;
+beforeEach(() => {
+  ls = new MemoryStorage();
+  vi.stubGlobal("window", { localStorage: ls });
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe("readStore", () => {
+  const store = defineStore({
+    name: "test_counter",
+    version: 3,
+    fallback: { n: 0 },
+    migrations: { 2: (n) => ({ n }), 3: ({ n }) => ({ n, label: `#${n}` }) },
+    validate: (v) => (Number.isFinite(v?.n) ? v : undefined),
+  });
+
+  it("migra em ordem a partir da versão encontrada e regrava na chave atual", () => {
+    ls.setItem("test_counter_v1", "7");
+    expect(readStore(store)).toEqual({ n: 7, label: "#7" });
+    expect(ls.getItem("test_counter_v1")).toBeNull();
+    expect(JSON.parse(ls.getItem("test_counter_v3"))).toEqual({ n: 7, label: "#7" });
+  });
+
+  it("prefere a versão mais nova e apaga as anteriores", () => {
+    ls.setItem("test_counter_v1", "1");
+    ls.setItem("test_counter_v2", JSON.stringify({ n: 2 }));
+    expect(readStore(store)).toEqual({ n: 2, label: "#2" });
+    expect(ls.getItem("test_counter_v1")).toBeNull();
+  });
+
+  it("põe de quarentena um valor corrompido na versão atual", () => {
+    ls.setItem("test_counter_v3", "{nada");
+    expect(readStore(store)).toEqual({ n: 0 });
+    expect(ls.getItem("test_counter_v3")).toBeNull();
+    expect(ls.getItem("test_counter_v3_corrupt")).toBe("{nada");
+  });
+
+  it("descarta versão antiga sem caminho de migração", () => {
+    const cache = defineStore({ name: "test_cache", version: 2, fallback: {} });
+    ls.setItem("test_cache_v1", JSON.stringify({ a: 1 }));
+    expect(readStore(cache)).toEqual({});
+    expect(ls.getItem("test_cache_v1")).toBeNull();
+    expect(ls.getItem("test_cache_v1_corrupt")).toBeNull();
+  });
+
+  it("sem localStorage, devolve o fallback", () => {
+    vi.stubGlobal("window", undefined);
+    expect(readStore(store)).toEqual({ n: 0 });
+  });
+});
+
+describe("migrações do app", () => {
+  it("settings v1: unit vira preferências por grandeza", () => {
+    ls.setItem("wx_settings_v1", JSON.stringify({ unit: "imperial", theme: "dark", units: { wind: "kn" } }));
+    expect(readStore(STORES.settings)).toEqual({ theme: "dark", units: { temp: "f", wind: "kn", precip: "in", distance: "mi" } });
+  });
+
+  it("alertRules v1: unit vira valueUnit conforme a métrica", () => {
+    const base = { placeKey: "-30.03,-51.22", enabled: true, op: ">" };
+    ls.setItem(
+      "wx_alert_rules_v1",
+      JSON.stringify([
+        { ...base, id: "a", metric: "temp", value: 86, unit: "imperial" },
+        { ...base, id: "b", metric: "pop", value: 60, unit: "metric" },
+      ])
+    );
+    expect(readStore(STORES.alertRules)).toEqual([
+      { ...base, id: "a", metric: "temp", value: 86, valueUnit: "f" },
+      { ...base, id: "b", metric: "pop", value: 60, valueUnit: null },
+    ]);
+  });
+
+  it("listas perdem só os itens inválidos", () => {
+    ls.setItem("wx_favorites_v1", JSON.stringify([{ name: "A", latitude: 1, longitude: 2 }, { name: "B", latitude: 200, longitude: 0 }]));
+    expect(readStore(STORES.favorites)).toEqual([{ name: "A", latitude: 1, longitude: 2 }]);
+  });
+});
+
+describe("writeStore", () => {
+  it("libera os caches descartáveis quando a cota estoura", () => {
+    const cache = defineStore({ name: "test_evictable", evictable: true });
+    const data = defineStore({ name: "test_data" });
+    ls.quota = 40;
+    expect(writeStore(cache, "x".repeat(20))).toBe(true);
+    expect(writeStore(data, "y".repeat(20))).toBe(true);
+    expect(ls.getItem("test_evictable_v1")).toBeNull();
+  });
+
+  it("avisa quando nem assim o valor cabe", () => {
+    const data = defineStore({ name: "test_big" });
+    const full = vi.fn();
+    const off = onStorageFull(full);
+    ls.quota = 10;
+    expect(writeStore(data, "z".repeat(20))).toBe(false);
+    expect(full).toHaveBeenCalledWith(data);
+    off();
+  });
+});
@@ -0,0 +1,82 @@
+//Dados do app guardados no localStorage, com validação e migrações de formato (ver storage.js)
+import { defineStore } from "./storage.js";
+import { resolveUnits } from "./units.js";
+import { RULE_METRICS, ruleValueUnit } from "./rules.js";
+import { ACTIVITY_CRITERIA, ACTIVITY_DAYLIGHT } from "./activities.js";
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+
+//Lugar salvo: precisa de nome e coordenadas válidas; o resto é opcional
+function isPlace(p) {
+  return (
+    isObject(p) &&
+    isText(p.name) &&
+    Number.isFinite(p.latitude) &&
+    Number.isFinite(p.longitude) &&
+    Math.abs(p.latitude) <= 90 &&
+    Math.abs(p.longitude) <= 180
+  );
+}
+
+//Listas perdem só os itens inválidos; um valor que nem é lista é inaproveitável
+const listOf = (isItem) => (v) => (Array.isArray(v) ? v.filter(isItem) : undefined);
+const objectOf = (isEntry) => (v) => (isObject(v) ? Object.fromEntries(Object.entries(v).filter(([, e]) => isEntry(e))) : undefined);
+const isCacheEntry = (e) => isObject(e) && Number.isFinite(e.savedAt) && e.data != null;
+
+function isRule(r) {
+  return isObject(r) && isText(r.id) && isText(r.placeKey) && r.metric in RULE_METRICS && Number.isFinite(r.value);
+}
+
+//Atividade do planejador: faixas [mín, máx] (número ou null) só dos critérios conhecidos
+const isBound = (v) => v === null || Number.isFinite(v);
+function isActivity(a) {
+  return (
+    isObject(a) &&
+    isText(a.id) &&
+    isText(a.name) &&
+    ACTIVITY_DAYLIGHT.includes(a.daylight) &&
+    isObject(a.ranges) &&
+    Object.entries(a.ranges).every(([k, r]) => k in ACTIVITY_CRITERIA && Array.isArray(r) && r.length === 2 && r.every(isBound))
+  );
+}
+
+function validateSettings(s) {
+  if (!isObject(s)) return undefined;
+  const out = { ...s, units: resolveUnits(s.units) };
+  if (!["light", "dark"].includes(out.theme)) delete out.theme;
+  for (const k of ["language", "provider", "activity"]) if (typeof out[k] !== "string") delete out[k];
+  for (const k of ["favoritesLimit", "refreshInterval"]) if (!Number.isInteger(out[k])) delete out[k];
+  return out;
+}
+
+export const STORES = {
+  favorites: defineStore({ name: "wx_favorites", fallback: [], validate: listOf(isPlace) }),
+  lastPlace: defineStore({ name: "wx_last_place", validate: (p) => (p === null || isPlace(p) ? p : undefined) }),
+  settings: defineStore({
+    name: "wx_settings",
+    version: 2,
+    fallback: {},
+    migrations: {
+      // v2: settings.unit ("metric"/"imperial") virou preferências separadas por grandeza em settings.units
+      2: ({ unit, ...rest }) => ({ ...rest, units: resolveUnits(rest.units, unit) }),
+    },
+    validate: validateSettings,
+  }),
+  // v3: modelo normalizado com chuva, UV, rajadas e pressão; caches de versões anteriores são descartados
+  forecastCache: defineStore({ name: "wx_forecast_cache", version: 3, fallback: {}, validate: objectOf(isCacheEntry), evictable: true }),
+  alertRules: defineStore({
+    name: "wx_alert_rules",
+    version: 2,
+    fallback: [],
+    migrations: {
+      // v2: a unidade do valor (rule.unit "metric"/"imperial") virou rule.valueUnit ("c", "f", "kmh", ...)
+      2: (rules) => (Array.isArray(rules) ? rules.map(({ unit, ...r }) => ({ ...r, valueUnit: ruleValueUnit({ ...r, unit }) })) : rules),
+    },
+    validate: listOf(isRule),
+  }),
+  ruleNotifications: defineStore({ name: "wx_rule_notifications", fallback: {}, validate: objectOf(Number.isFinite) }),
+  historyReference: defineStore({ name: "wx_history_reference", fallback: {}, validate: objectOf(isCacheEntry), evictable: true }),
+  recentPlaces: defineStore({ name: "wx_recent_places", fallback: [], validate: listOf(isPlace) }),
+  activities: defineStore({ name: "wx_activities", fallback: [], validate: listOf(isActivity) }),
+};
@@ -0,0 +1,115 @@
+//Resumo do dia em linguagem natural, montado a partir da série horária.
+//Aqui só se decide O QUE dizer (trechos estruturados); o texto em cada idioma sai do i18n (summary.*)
+
+//Períodos descritos, em horas locais [início, fim); a madrugada fica de fora
+export const SUMMARY_PERIODS = {
+  morning: [6, 12],
+  afternoon: [12, 18],
+  night: [18, 24],
+};
+
+//Sensação térmica média do período (°C) -> palavra
+const FEELS = [
+  [10, "cold"],
+  [17, "cool"],
+  [25, "mild"],
+  [31, "warm"],
+  [Infinity, "hot"],
+];
+
+//Tipos de precipitação por gravidade (o mais grave do período é o citado)
+const WET_ORDER = ["drizzle", "rain", "showers", "snow", "storm"];
+//Chance mínima (%) para o período ser descrito como chuvoso
+const WET_POP = 40;
+//Variação média de temperatura (°C) entre períodos que vira "esfriando"/"esquentando"
+const TREND_DELTA = 3;
+
+//Código WMO -> céu (clear/partly/cloudy/fog) ou precipitação (drizzle/rain/showers/snow/storm)
+function codeKind(code) {
+  if (code == null) return null;
+  if (code <= 1) return "clear";
+  if (code === 2) return "partly";
+  if (code === 3) return "cloudy";
+  if (code === 45 || code === 48) return "fog";
+  if (code >= 51 && code <= 57) return "drizzle";
+  if (code >= 61 && code <= 67) return "rain";
+  if (code >= 80 && code <= 82) return "showers";
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return "snow";
+  if (code >= 95) return "storm";
+  return null;
+}
+
+const isWetKind = (k) => WET_ORDER.includes(k);
+const average = (list) => (list.length ? list.reduce((a, v) => a + v, 0) / list.length : null);
+
+function mostCommon(list) {
+  const counts = new Map();
+  for (const v of list) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+function describePeriod(period, hours) {
+  const temps = hours.map((h) => h.temp).filter((v) => v != null);
+  const feels = hours.map((h) => h.feels ?? h.temp).filter((v) => v != null);
+  const pops = hours.map((h) => h.pop).filter((v) => v != null);
+  const pop = pops.length ? Math.max(...pops) : null;
+  const kinds = hours.map((h) => codeKind(h.code)).filter(Boolean);
+
+  // Precipitação conta só nas horas com chance razoável (ou sem o dado de chance)
+  const wet = hours
+    .filter((h) => h.pop == null || h.pop >= WET_POP)
+    .map((h) => codeKind(h.code))
+    .filter(isWetKind)
+    .sort((a, b) => WET_ORDER.indexOf(b) - WET_ORDER.indexOf(a))[0];
+  const feel = average(feels);
+
+  return {
+    period,
+    temp: average(temps),
+    feel: feel == null ? null : FEELS.find(([max]) => feel < max)[1],
+    sky: mostCommon(kinds.map((k) => (isWetKind(k) ? "cloudy" : k))),
+    wet: wet && (pop == null || pop >= WET_POP) ? wet : null,
+    pop,
+  };
+}
+
+//Trechos do resumo do dia `date` (horários ISO locais da cidade):
+// { type: "dry", period, feel, sky }   período sem chuva ("manhã fria e limpa")
+// { type: "wet", period, kind, pop }   chuva no período ("pancadas à tarde com 70% de chance")
+// { type: "trend", period, dir }       dir "cooling" | "warming" ("esfriando à noite")
+// { type: "steady" }                   o resto do dia repete o primeiro período
+//null quando não há horas do dia na série
+export function daySummary(hourly, date) {
+  const periods = Object.entries(SUMMARY_PERIODS)
+    .map(([period, [from, to]]) => {
+      const hours = (hourly || []).filter((h) => {
+        if (h.time.slice(0, 10) !== date) return false;
+        const hour = Number(h.time.slice(11, 13));
+        return hour >= from && hour < to;
+      });
+      return hours.length ? describePeriod(period, hours) : null;
+    })
+    .filter(Boolean);
+  if (!periods.length) return null;
+
+  const clauses = [];
+  let repeated = 0;
+  periods.forEach((p, i) => {
+    const prev = periods[i - 1];
+    if (p.wet) {
+      clauses.push({ type: "wet", period: p.period, kind: p.wet, pop: p.pop });
+      return;
+    }
+    const delta = prev && p.temp != null && prev.temp != null ? p.temp - prev.temp : 0;
+    if (Math.abs(delta) >= TREND_DELTA) {
+      clauses.push({ type: "trend", period: p.period, dir: delta < 0 ? "cooling" : "warming" });
+    } else if (prev && !prev.wet && prev.feel === p.feel && prev.sky === p.sky) {
+      repeated++;
+    } else if (p.feel || p.sky) {
+      clauses.push({ type: "dry", period: p.period, feel: p.feel, sky: p.sky });
+    }
+  });
+  if (clauses.length === 1 && repeated) clauses.push({ type: "steady" });
+
+  return clauses;
+}
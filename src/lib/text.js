@@ -0,0 +1,30 @@
+//Texto para comparação: sem acentos e em minúsculas ("São Paulo" -> "sao paulo")
+export function foldText(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+//Trechos [início, fim) de `text` que casam com `query`, ignorando acentos e caixa.
+//Os índices são do texto original, para destacar a parte digitada na lista de sugestões
+export function matchRanges(text, query) {
+  const q = foldText(query.trim());
+  if (!text || !q) return [];
+
+  // Texto dobrado caractere a caractere, lembrando a posição original de cada um
+  let folded = "";
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    const f = foldText(text[i]);
+    folded += f;
+    for (let k = 0; k < f.length; k++) origin.push(i);
+  }
+
+  const ranges = [];
+  let from = 0;
+  while (from <= folded.length - q.length) {
+    const at = folded.indexOf(q, from);
+    if (at < 0) break;
+    ranges.push([origin[at], origin[at + q.length - 1] + 1]);
+    from = at + q.length;
+  }
+  return ranges;
+}
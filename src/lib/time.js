@@ -0,0 +1,118 @@
+//Horários da previsão seguem o modelo do app: ISO local da cidade sem offset ("2026-01-01T13:00"),
+//ver providers/index.js. Esses textos nunca devem passar por new Date(iso): o navegador os leria no
+//fuso de quem usa o app. Aqui eles são tratados como "horário de parede": o relógio local da cidade
+//representado como se fosse UTC, o que permite comparar e formatar sem depender do fuso do navegador.
+
+const MINUTE_MS = 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function fullIso(iso) {
+  return iso.length === 10 ? `${iso}T00:00` : iso.slice(0, 16);
+}
+
+//ISO local -> horário de parede em ms (o relógio local lido como UTC); bom para comparar e ordenar
+export function wallMs(iso) {
+  return Date.parse(`${fullIso(iso)}:00Z`);
+}
+
+//ISO local -> instante UTC (ms), dado o offset da cidade em segundos
+export function localToUtcMs(iso, utcOffsetSeconds = 0) {
+  return wallMs(iso) - utcOffsetSeconds * 1000;
+}
+
+export function utcMsToLocal(ms, utcOffsetSeconds = 0) {
+  return new Date(ms + utcOffsetSeconds * 1000).toISOString().slice(0, 16);
+}
+
+//Fuso IANA utilizável pelo Intl ("auto" e vazio não são)
+export function isTimeZone(tz) {
+  if (!tz || tz === "auto") return false;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+//Instante UTC -> ISO local num fuso IANA (sem timeZone: o fuso do navegador)
+export function zonedIso(ms, timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-CA", {
+    timeZone: isTimeZone(timeZone) ? timeZone : undefined,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+//Relógio da cidade da previsão agora. Com fuso IANA usa o Intl (acerta mudanças de horário de verão
+//dentro da semana); sem ele, o utcOffsetSeconds que veio na resposta. Sem previsão: o relógio do navegador
+export function placeNowIso(forecast, now = Date.now()) {
+  if (!forecast) return zonedIso(now);
+  if (isTimeZone(forecast?.timezone)) return zonedIso(now, forecast.timezone);
+  return utcMsToLocal(now, forecast?.utcOffsetSeconds ?? 0);
+}
+
+//Offset atual da cidade em segundos
+export function placeOffsetSeconds(forecast, now = Date.now()) {
+  if (!isTimeZone(forecast?.timezone)) return forecast?.utcOffsetSeconds ?? 0;
+  const minuteNow = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  return (wallMs(zonedIso(minuteNow, forecast.timezone)) - minuteNow) / 1000;
+}
+
+//Offset atual de quem usa o app, em segundos
+export function userOffsetSeconds(now = Date.now()) {
+  return -new Date(now).getTimezoneOffset() * 60;
+}
+
+//3600 -> "UTC+1", -12600 -> "UTC−3:30"
+export function formatUtcOffset(seconds) {
+  const sign = seconds < 0 ? "−" : "+";
+  const abs = Math.abs(Math.round(seconds / 60));
+  const h = Math.floor(abs / 60);
+  const m = abs % 60;
+  return `UTC${sign}${h}${m ? `:${pad(m)}` : ""}`;
+}
+
+//Formatação do horário de parede: formata em UTC, que é onde ele foi "posto" por wallMs
+function formatWall(iso, locale, options) {
+  if (!iso) return "";
+  const ms = wallMs(iso);
+  if (Number.isNaN(ms)) return "";
+  return new Date(ms).toLocaleString(locale, { ...options, timeZone: "UTC" });
+}
+
+export function formatLocalTime(iso, locale = "pt-BR") {
+  return formatWall(iso, locale, { hour: "2-digit", minute: "2-digit" });
+}
+
+export function formatLocalWeekday(iso, locale = "pt-BR", weekday = "short") {
+  return formatWall(iso, locale, { weekday });
+}
+
+export function formatLocalDate(iso, locale = "pt-BR", options = { day: "2-digit", month: "short" }) {
+  return formatWall(iso, locale, options);
+}
+
+//Instante (timestamp) no relógio de quem usa o app
+export function formatInstantTime(ms, locale = "pt-BR") {
+  if (ms == null) return "";
+  return new Date(ms).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+}
+
+//Dia e mês de um instante no relógio do navegador (ex.: "18/10")
+export function formatInstantDate(ms, locale = "pt-BR") {
+  if (ms == null) return "";
+  return new Date(ms).toLocaleDateString(locale, { day: "2-digit", month: "2-digit" });
+}
+
+//Dois instantes caem no mesmo dia do relógio do navegador
+export function isSameLocalDay(a, b) {
+  return new Date(a).toDateString() === new Date(b).toDateString();
+}
@@ -0,0 +1,88 @@
+//Unidades de exibição. Os dados ficam sempre na unidade canônica do app
+//(°C, km/h, mm, metros) e são convertidos só na hora de mostrar, então trocar
+//de unidade não precisa buscar a previsão de novo.
+
+export const UNIT_OPTIONS = {
+  temp: ["c", "f"],
+  wind: ["kmh", "mph", "ms", "kn", "bft"],
+  precip: ["mm", "in"],
+  distance: ["km", "mi"],
+};
+
+export const DEFAULT_UNITS = { temp: "c", wind: "kmh", precip: "mm", distance: "km" };
+export const IMPERIAL_UNITS = { temp: "f", wind: "mph", precip: "in", distance: "mi" };
+
+export const UNIT_LABELS = {
+  temp: { c: "°C", f: "°F" },
+  wind: { kmh: "km/h", mph: "mph", ms: "m/s", kn: "kn", bft: "Bft" },
+  precip: { mm: "mm", in: "in" },
+  distance: { km: "km", mi: "mi" },
+};
+
+//Conversões básicas
+export const cToF = (c) => (c == null ? c : c * (9 / 5) + 32);
+export const fToC = (f) => (f == null ? f : (f - 32) * (5 / 9));
+export const msToKmh = (v) => (v == null ? v : v * 3.6);
+export const kmhToMph = (v) => (v == null ? v : v * 0.621371);
+export const mphToKmh = (v) => (v == null ? v : v / 0.621371);
+
+//Limites inferiores (km/h) de cada força da escala Beaufort, de 1 a 12
+const BEAUFORT_KMH = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+
+export function beaufort(kmh) {
+  if (kmh == null) return kmh;
+  return BEAUFORT_KMH.filter((min) => kmh >= min).length;
+}
+
+//Garante um objeto de unidades completo e válido; aceita o antigo settings.unit ("metric"/"imperial")
+export function resolveUnits(units, legacyUnit) {
+  const base = legacyUnit === "imperial" ? IMPERIAL_UNITS : DEFAULT_UNITS;
+  const out = { ...base };
+  for (const [dim, options] of Object.entries(UNIT_OPTIONS)) {
+    if (options.includes(units?.[dim])) out[dim] = units[dim];
+  }
+  return out;
+}
+
+//Canônico -> unidade de exibição
+export function convertTemp(c, to) {
+  return to === "f" ? cToF(c) : c;
+}
+
+export function convertWind(kmh, to) {
+  if (kmh == null) return kmh;
+  if (to === "mph") return kmhToMph(kmh);
+  if (to === "ms") return kmh / 3.6;
+  if (to === "kn") return kmh / 1.852;
+  if (to === "bft") return beaufort(kmh);
+  return kmh;
+}
+
+export function convertPrecip(mm, to) {
+  return mm == null || to !== "in" ? mm : mm / 25.4;
+}
+
+//Diferença de temperatura (ex.: +3 °C vs ano passado): só escala, sem o deslocamento de 32 °F
+export function convertTempDelta(c, to) {
+  return c == null || to !== "f" ? c : (c * 9) / 5;
+}
+
+//Distâncias canônicas vêm em metros
+export function convertDistance(m, to) {
+  if (m == null) return m;
+  return to === "mi" ? (m / 1000) * 0.621371 : m / 1000;
+}
+
+//Unidade de exibição -> canônico (usado para limites digitados pelo usuário)
+export function toCanonicalTemp(v, from) {
+  return from === "f" ? fToC(v) : v;
+}
+
+export function toCanonicalWind(v, from) {
+  if (v == null) return v;
+  if (from === "mph") return mphToKmh(v);
+  if (from === "ms") return v * 3.6;
+  if (from === "kn") return v * 1.852;
+  if (from === "bft") return v <= 0 ? 0 : BEAUFORT_KMH[Math.min(12, Math.round(v)) - 1];
+  return v;
+}
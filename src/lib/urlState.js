@@ -0,0 +1,61 @@
+//Sincronização do estado com a query string, para links compartilháveis:
+//?lat=-30.0346&lon=-51.2177&name=Porto+Alegre&admin1=RS&country=Brasil&tz=America/Sao_Paulo
+// &temp=f&wind=mph&precip=in&dist=mi&theme=dark&view=compare
+import { UNIT_OPTIONS, IMPERIAL_UNITS, DEFAULT_UNITS } from "./units.js";
+
+//Nome do parâmetro de cada grandeza de unidade
+const UNIT_PARAMS = { temp: "temp", wind: "wind", precip: "precip", distance: "dist" };
+const THEMES = ["light", "dark"];
+const VIEWS = ["forecast", "compare", "map", "favorites"];
+
+//Lê o estado da URL; só retorna os campos presentes e válidos
+export function parseUrlState(search = typeof window === "undefined" ? "" : window.location.search) {
+  const q = new URLSearchParams(search);
+  const out = {};
+
+  const lat = Number.parseFloat(q.get("lat"));
+  const lon = Number.parseFloat(q.get("lon"));
+  if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    out.place = {
+      id: `url:${lat},${lon}`,
+      name: q.get("name") || `${lat.toFixed(2)}, ${lon.toFixed(2)}`,
+      admin1: q.get("admin1") || "",
+      country: q.get("country") || "",
+      latitude: lat,
+      longitude: lon,
+      timezone: q.get("tz") || "auto",
+    };
+  }
+
+  // Links antigos usam unit=metric|imperial
+  const legacy = q.get("unit");
+  const units = legacy === "imperial" ? { ...IMPERIAL_UNITS } : legacy === "metric" ? { ...DEFAULT_UNITS } : {};
+  for (const [dim, param] of Object.entries(UNIT_PARAMS)) {
+    if (UNIT_OPTIONS[dim].includes(q.get(param))) units[dim] = q.get(param);
+  }
+  if (Object.keys(units).length) out.units = units;
+
+  if (THEMES.includes(q.get("theme"))) out.theme = q.get("theme");
+  if (VIEWS.includes(q.get("view"))) out.view = q.get("view");
+  return out;
+}
+
+//Monta a query string ("?..." ou "") a partir do estado atual
+export function buildUrlSearch({ place, units, theme, view }) {
+  const q = new URLSearchParams();
+  if (place) {
+    q.set("lat", place.latitude.toFixed(4));
+    q.set("lon", place.longitude.toFixed(4));
+    if (place.name) q.set("name", place.name);
+    if (place.admin1) q.set("admin1", place.admin1);
+    if (place.country) q.set("country", place.country);
+    if (place.timezone && place.timezone !== "auto") q.set("tz", place.timezone);
+  }
+  for (const [dim, param] of Object.entries(UNIT_PARAMS)) {
+    if (units?.[dim]) q.set(param, units[dim]);
+  }
+  if (theme) q.set("theme", theme);
+  if (view && view !== "forecast") q.set("view", view);
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { buildUrlSearch, parseUrlState } from "./urlState.js";
+import { DEFAULT_UNITS, IMPERIAL_UNITS } from "./units.js";
+
+const place = {
+  name: "Porto Alegre",
+  admin1: "RS",
+  country: "Brasil",
+  latitude: -30.0346,
+  longitude: -51.2177,
+  timezone: "America/Sao_Paulo",
+};
+
+describe("urlState", () => {
+  it("ida e volta preserva lugar, unidades, tema e visão", () => {
+    const units = { temp: "f", wind: "ms", precip: "mm", distance: "km" };
+    const search = buildUrlSearch({ place, units, theme: "dark", view: "compare" });
+    expect(parseUrlState(search)).toEqual({
+      place: { id: "url:-30.0346,-51.2177", ...place },
+      units,
+      theme: "dark",
+      view: "compare",
+    });
+  });
+
+  it("omite fuso automático e a visão padrão", () => {
+    const search = buildUrlSearch({ place: { ...place, timezone: "auto" }, view: "forecast" });
+    expect(search).not.toMatch(/tz=|view=/);
+    expect(parseUrlState(search).place.timezone).toBe("auto");
+  });
+
+  it("estado vazio vira query string vazia", () => {
+    expect(buildUrlSearch({})).toBe("");
+    expect(parseUrlState("")).toEqual({});
+  });
+
+  it("ignora coordenadas e valores inválidos", () => {
+    expect(parseUrlState("?lat=95&lon=10&theme=neon&view=x&temp=k")).toEqual({});
+    expect(parseUrlState("?lat=abc&lon=10")).toEqual({});
+  });
+
+  it("sem nome, usa as coordenadas", () => {
+    expect(parseUrlState("?lat=10.5&lon=-20.25").place.name).toBe("10.50, -20.25");
+  });
+
+  it("entende o parâmetro antigo unit=", () => {
+    expect(parseUrlState("?unit=imperial").units).toEqual(IMPERIAL_UNITS);
+    expect(parseUrlState("?unit=metric&wind=mph").units).toEqual({ ...DEFAULT_UNITS, wind: "mph" });
+  });
+});
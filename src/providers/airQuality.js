@@ -0,0 +1,33 @@
+import { fetchJson } from "../lib/http.js";
+
+//Qualidade do ar do Open-Meteo (modelo CAMS), independente do provider de previsão.
+//Formato: { current: { time, usAqi, europeanAqi, pm2_5, pm10, ozone, no2 }, hourly: [{ time, usAqi }] }
+//com poluentes em µg/m³ e horários locais da cidade sem offset
+export async function fetchAirQuality(place, { signal } = {}) {
+  const params = new URLSearchParams({
+    latitude: String(place.latitude),
+    longitude: String(place.longitude),
+    timezone: place.timezone || "auto",
+    current: ["us_aqi", "european_aqi", "pm2_5", "pm10", "ozone", "nitrogen_dioxide"].join(","),
+    hourly: "us_aqi",
+    forecast_days: "2",
+  });
+
+  const url = `https://air-quality-api.open-meteo.com/v1/air-quality?${params.toString()}`;
+  const raw = await fetchJson(url, { signal });
+  const c = raw?.current || {};
+  const h = raw?.hourly || {};
+
+  return {
+    current: {
+      time: c.time,
+      usAqi: c.us_aqi,
+      europeanAqi: c.european_aqi,
+      pm2_5: c.pm2_5,
+      pm10: c.pm10,
+      ozone: c.ozone,
+      no2: c.nitrogen_dioxide,
+    },
+    hourly: (h.time || []).map((time, i) => ({ time, usAqi: h.us_aqi?.[i] })),
+  };
+}
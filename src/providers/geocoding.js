@@ -0,0 +1,56 @@
+import { fetchJson } from "../lib/http.js";
+
+//Normaliza um resultado de geocoding para um formato consistente
+//Ajuda a não depender do shape exato retornado pela API
+export function normalizePlace(p) {
+  if (!p) return null;
+  return {
+    id: p.id ?? `${p.latitude},${p.longitude}`,
+    name: p.name,
+    admin1: p.admin1,
+    country: p.country,
+    latitude: p.latitude,
+    longitude: p.longitude,
+    timezone: p.timezone,
+  };
+}
+
+// Open-Meteo geocoding
+export async function geocodeOpenMeteo(query, count = 6, language = "pt", { signal } = {}) {
+  const q = encodeURIComponent(query.trim());
+  const url = `https://geocoding-api.open-meteo.com/v1/search?name=${q}&count=${count}&language=${language}&format=json`;
+  const data = await fetchJson(url, { signal });
+  return (data?.results || []).map(normalizePlace);
+}
+
+// Reverse geocode via Nominatim
+export async function reverseGeocodeOSM(lat, lon, language = "pt-BR", { signal } = {}) {
+  const url =
+    `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}&accept-language=${language}`;
+
+  const data = await fetchJson(url, { signal });
+  const a = data?.address || {};
+
+  // Sem cidade identificada o nome fica vazio e o app usa o texto traduzido de "minha localização"
+  const name = a.city || a.town || a.village || a.county || "";
+  const admin1 = a.state || "";
+  const country = a.country || "";
+
+  return [{
+    id: `osm:${lat},${lon}`,
+    name,
+    admin1,
+    country,
+    latitude: lat,
+    longitude: lon,
+    timezone: "auto",
+  }];
+}
+
+//Fuso IANA de um ponto: o Open-Meteo resolve com timezone=auto (a menor consulta possível, sem variáveis).
+//null quando a resposta não traz fuso
+export async function fetchTimezone(lat, lon, { signal } = {}) {
+  const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&timezone=auto&forecast_days=1`;
+  const data = await fetchJson(url, { signal });
+  return typeof data?.timezone === "string" ? data.timezone : null;
+}
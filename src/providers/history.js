@@ -0,0 +1,26 @@
+import { fetchJson } from "../lib/http.js";
+
+//Histórico diário do Open-Meteo Archive (reanálise ERA5), independente do provider de previsão.
+//Formato: [{ date, max, min, precip }] com °C e mm, datas no fuso da cidade ("2025-01-01")
+export async function fetchHistory(place, startDate, endDate, { signal } = {}) {
+  const params = new URLSearchParams({
+    latitude: String(place.latitude),
+    longitude: String(place.longitude),
+    timezone: place.timezone || "auto",
+    start_date: startDate,
+    end_date: endDate,
+    temperature_unit: "celsius",
+    precipitation_unit: "mm",
+    daily: ["temperature_2m_max", "temperature_2m_min", "precipitation_sum"].join(","),
+  });
+
+  const url = `https://archive-api.open-meteo.com/v1/archive?${params.toString()}`;
+  const d = (await fetchJson(url, { signal }))?.daily || {};
+
+  return (d.time || []).map((date, i) => ({
+    date,
+    max: d.temperature_2m_max?.[i],
+    min: d.temperature_2m_min?.[i],
+    precip: d.precipitation_sum?.[i],
+  }));
+}
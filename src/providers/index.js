@@ -0,0 +1,93 @@
+import { openMeteoProvider } from "./openMeteo.js";
+import { metNorwayProvider } from "./metNorway.js";
+import { mockProvider } from "./mock.js";
+import { foldText } from "../lib/text.js";
+import { isAbortError } from "../lib/http.js";
+
+//Modelo de previsão do app, independente do provider:
+//{
+//  provider, timezone, utcOffsetSeconds, fetchedAt,
+//  current: { time, temp, feels, humidity, wind, visibility, precip, uv, windDir, gusts, pressure, code, isDay },
+//  hourly: [{ time, temp, feels, humidity, wind, visibility, pop, precip, uv, windDir, gusts, pressure, code }],
+//  daily:  [{ date, code, max, min, sunrise, sunset, precip, popMax, uvMax, gustsMax }],
+//}
+//- time/date: ISO local da cidade, sem offset ("2026-01-01T13:00")
+//- code: código WMO (https://open-meteo.com/en/docs)
+//- unidades canônicas: °C, km/h (vento e rajadas), mm, hPa, direção do vento em graus de onde ele vem
+//  e visibilidade em metros (null quando o provider não tiver o dado);
+//  a conversão para a unidade escolhida pelo usuário é feita só na exibição (lib/units.js)
+//- fetchedAt: quando a resposta saiu do cache do service worker, a hora (ms) em que ela veio da rede;
+//  null (ou ausente) quando os dados acabaram de vir da rede
+//
+//Todo provider expõe: id, fetchForecast(place, options), geocode(query, count, language, options),
+//reverseGeocode(lat, lon, language, options); options = { signal } para cancelar a requisição
+//(fetchForecast aceita também `cache`, o modo de cache do fetch).
+//O nome exibido não fica no provider: vem dos catálogos de i18n (providers.<id>).
+//Opcional: forecastUrl(place), a URL que fetchForecast busca (o service worker a usa para atualizar
+//os favoritos em segundo plano; o mock não tem)
+
+export const PROVIDERS = {
+  [openMeteoProvider.id]: openMeteoProvider,
+  [metNorwayProvider.id]: metNorwayProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+export const DEFAULT_PROVIDER = openMeteoProvider.id;
+
+//Ordem de tentativa quando o provider escolhido falha (o mock nunca entra como fallback)
+const FALLBACK_ORDER = [openMeteoProvider.id, metNorwayProvider.id];
+
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+//URL da previsão do lugar no provider, ou null quando ele não busca na rede
+export function forecastRequestUrl(place, providerId = DEFAULT_PROVIDER) {
+  return getProvider(providerId).forecastUrl?.(place) ?? null;
+}
+
+//Tenta o provider escolhido e, se falhar, os demais da ordem de fallback.
+//O modelo retornado informa em `provider` quem respondeu de fato.
+export async function fetchForecast(place, providerId = DEFAULT_PROVIDER, { signal, cache } = {}) {
+  const first = getProvider(providerId);
+  const chain = [first, ...FALLBACK_ORDER.filter((id) => id !== first.id && first.id !== "mock").map(getProvider)];
+
+  let lastError;
+  for (const provider of chain) {
+    try {
+      return await provider.fetchForecast(place, { signal, cache });
+    } catch (e) {
+      // Cancelado pelo chamador: não adianta tentar outra fonte
+      if (isAbortError(e)) throw e;
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+//Cache em memória das buscas por nome (provider + idioma + texto normalizado).
+//Só guarda respostas concluídas; buscas iguais ainda em andamento são compartilhadas por lib/http.js
+const GEOCODE_CACHE_MAX_ENTRIES = 100;
+const geocodeCache = new Map();
+
+export async function geocode(query, count = 6, language = "pt", providerId = DEFAULT_PROVIDER, { signal } = {}) {
+  const provider = getProvider(providerId);
+  const key = `${provider.id}|${language}|${count}|${foldText(query).trim()}`;
+
+  if (geocodeCache.has(key)) {
+    const hit = geocodeCache.get(key);
+    // Reinsere para manter a ordem de uso recente (LRU)
+    geocodeCache.delete(key);
+    geocodeCache.set(key, hit);
+    return hit;
+  }
+
+  const results = await provider.geocode(query, count, language, { signal });
+  geocodeCache.set(key, results);
+  if (geocodeCache.size > GEOCODE_CACHE_MAX_ENTRIES) geocodeCache.delete(geocodeCache.keys().next().value);
+  return results;
+}
+
+export function reverseGeocode(lat, lon, language = "pt-BR", providerId = DEFAULT_PROVIDER, { signal } = {}) {
+  return getProvider(providerId).reverseGeocode(lat, lon, language, { signal });
+}
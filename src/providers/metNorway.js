@@ -0,0 +1,191 @@
+import { fetchJson, cachedResponseTime } from "../lib/http.js";
+import { msToKmh } from "../lib/units.js";
+import { isTimeZone, wallMs, zonedIso } from "../lib/time.js";
+import { sunEvents } from "../lib/astronomy.js";
+import { fetchTimezone, geocodeOpenMeteo, reverseGeocodeOSM } from "./geocoding.js";
+
+//symbol_code do MET Norway (sem o sufixo _day/_night) -> código WMO usado no resto do app
+const SYMBOL_TO_WMO = {
+  clearsky: 0,
+  fair: 1,
+  partlycloudy: 2,
+  cloudy: 3,
+  fog: 45,
+  lightrain: 61,
+  rain: 63,
+  heavyrain: 65,
+  lightrainshowers: 80,
+  rainshowers: 81,
+  heavyrainshowers: 82,
+  // Chuva com neve vira chuva comum: 66/67 são chuva congelante, que gera alerta próprio (lib/alerts.js)
+  lightsleet: 61,
+  sleet: 63,
+  heavysleet: 65,
+  lightsleetshowers: 80,
+  sleetshowers: 81,
+  heavysleetshowers: 82,
+  lightsnow: 71,
+  snow: 73,
+  heavysnow: 75,
+  lightsnowshowers: 85,
+  snowshowers: 85,
+  heavysnowshowers: 86,
+};
+
+function symbolToWmo(symbol) {
+  if (!symbol) return null;
+  const base = symbol.replace(/_(day|night|polartwilight)$/, "");
+  if (base.includes("thunder")) return 95;
+  return SYMBOL_TO_WMO[base] ?? null;
+}
+
+//Sensação térmica (apparent temperature, fórmula australiana), já que o MET não fornece
+function apparentTemp(tempC, rh, windMs) {
+  if (tempC == null || rh == null) return tempC;
+  const e = (rh / 100) * 6.105 * Math.exp((17.27 * tempC) / (237.7 + tempC));
+  return tempC + 0.33 * e - 0.7 * (windMs ?? 0) - 4;
+}
+
+//O MET responde em UTC; o app trabalha com horário local da cidade sem offset (como o Open-Meteo)
+function toPlaceLocalIso(utcIso, timeZone) {
+  return zonedIso(Date.parse(utcIso), timeZone);
+}
+
+//Converte um payload no formato locationforecast/2.0 para o modelo do app (ver providers/index.js).
+//place.timezone deve ser um fuso IANA (ver placeTimezone)
+export function normalizeMetNorway(raw, place) {
+  const series = raw?.properties?.timeseries || [];
+  const tz = place?.timezone;
+
+  const hourly = series.map((entry) => {
+    const d = entry.data?.instant?.details || {};
+    const next = entry.data?.next_1_hours || entry.data?.next_6_hours || {};
+    const pop = next.details?.probability_of_precipitation;
+    // Quantidade de chuva só é horária quando vem de next_1_hours
+    const precip = entry.data?.next_1_hours?.details?.precipitation_amount;
+    return {
+      time: toPlaceLocalIso(entry.time, tz),
+      temp: d.air_temperature,
+      feels: apparentTemp(d.air_temperature, d.relative_humidity, d.wind_speed),
+      humidity: d.relative_humidity,
+      wind: msToKmh(d.wind_speed),
+      visibility: null,
+      pop: pop == null ? null : Math.round(pop),
+      precip: precip ?? null,
+      uv: d.ultraviolet_index_clear_sky ?? null,
+      windDir: d.wind_from_direction ?? null,
+      gusts: d.wind_speed_of_gust == null ? null : msToKmh(d.wind_speed_of_gust),
+      pressure: d.air_pressure_at_sea_level ?? null,
+      code: symbolToWmo(next.summary?.symbol_code),
+    };
+  });
+
+  //Agrupa por dia local: máxima/mínima do dia e condição mais próxima do meio-dia
+  const byDay = new Map();
+  const dayOffsets = new Map(); // offset da cidade (s) em cada dia, para o nascer/pôr do sol
+  hourly.forEach((h, i) => {
+    const date = h.time.slice(0, 10);
+    if (!byDay.has(date)) {
+      byDay.set(date, []);
+      dayOffsets.set(date, Math.round((wallMs(h.time) - Date.parse(series[i].time)) / 1000));
+    }
+    byDay.get(date).push(h);
+  });
+  const lat = Number(place?.latitude);
+  const lon = Number(place?.longitude);
+  const hasCoords = Number.isFinite(lat) && Number.isFinite(lon);
+  const daily = [...byDay.entries()].slice(0, 7).map(([date, hours]) => {
+    const temps = hours.map((h) => h.temp).filter((t) => t != null);
+    const pick = (key) => hours.map((h) => h[key]).filter((v) => v != null);
+    const pops = pick("pop");
+    const uvs = pick("uv");
+    const gusts = pick("gusts");
+    const noon = hours.reduce((best, h) =>
+      Math.abs(Number(h.time.slice(11, 13)) - 12) < Math.abs(Number(best.time.slice(11, 13)) - 12) ? h : best
+    );
+    // O MET não traz nascer/pôr do sol: calculados pela posição do sol (null nos dias polares)
+    const sun = hasCoords ? sunEvents(date, lat, lon, dayOffsets.get(date)) : null;
+    return {
+      date,
+      code: noon.code,
+      max: temps.length ? Math.max(...temps) : null,
+      min: temps.length ? Math.min(...temps) : null,
+      sunrise: sun?.sunrise ?? null,
+      sunset: sun?.sunset ?? null,
+      // Nos dias distantes o MET é de 6 em 6 horas e não traz a quantidade horária
+      precip: hours.some((h) => h.precip != null) ? pick("precip").reduce((a, b) => a + b, 0) : null,
+      popMax: pops.length ? Math.max(...pops) : null,
+      uvMax: uvs.length ? Math.max(...uvs) : null,
+      gustsMax: gusts.length ? Math.max(...gusts) : null,
+    };
+  });
+
+  const now = hourly[0] || {};
+  const nowSymbol = series[0]?.data?.next_1_hours?.summary?.symbol_code || "";
+  const utcOffsetSeconds = series[0]
+    ? Math.round((wallMs(now.time) - Date.parse(series[0].time)) / 1000)
+    : 0;
+
+  return {
+    provider: "met-norway",
+    timezone: tz,
+    utcOffsetSeconds,
+    current: {
+      time: now.time,
+      temp: now.temp,
+      feels: now.feels,
+      humidity: now.humidity,
+      wind: now.wind,
+      visibility: null,
+      precip: now.precip,
+      uv: now.uv,
+      windDir: now.windDir,
+      gusts: now.gusts,
+      pressure: now.pressure,
+      code: now.code,
+      isDay: !/_night$/.test(nowSymbol),
+    },
+    hourly,
+    daily,
+  };
+}
+
+//URL da previsão no MET Norway (locationforecast/complete traz também a chance de chuva)
+function forecastUrl(place) {
+  const lat = Number(place.latitude).toFixed(4);
+  const lon = Number(place.longitude).toFixed(4);
+  return `https://api.met.no/weatherapi/locationforecast/2.0/complete?lat=${lat}&lon=${lon}`;
+}
+
+//Fusos já resolvidos, por coordenada
+const timezoneCache = new Map();
+
+//O MET responde em UTC e não diz o fuso; lugares sem fuso conhecido ("auto", como os escolhidos no
+//mapa) têm o fuso resolvido antes. Sem ele a previsão falha e entra o fallback de providers/index.js
+async function placeTimezone(place, signal) {
+  if (isTimeZone(place.timezone)) return place.timezone;
+  const key = `${Number(place.latitude).toFixed(4)},${Number(place.longitude).toFixed(4)}`;
+  if (!timezoneCache.has(key)) {
+    const tz = await fetchTimezone(place.latitude, place.longitude, { signal });
+    if (!isTimeZone(tz)) throw new Error("Fuso do lugar indisponível");
+    timezoneCache.set(key, tz);
+  }
+  return timezoneCache.get(key);
+}
+
+async function fetchForecast(place, { signal, cache } = {}) {
+  const [raw, timezone] = await Promise.all([
+    fetchJson(forecastUrl(place), { signal, cache }),
+    placeTimezone(place, signal),
+  ]);
+  return { ...normalizeMetNorway(raw, { ...place, timezone }), fetchedAt: cachedResponseTime(raw) };
+}
+
+export const metNorwayProvider = {
+  id: "met-norway",
+  fetchForecast,
+  forecastUrl,
+  // O MET não tem geocoding: reaproveita Open-Meteo/Nominatim
+  geocode: geocodeOpenMeteo,
+  reverseGeocode: reverseGeocodeOSM,
+};
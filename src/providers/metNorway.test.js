@@ -0,0 +1,44 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { metNorwayProvider } from "./metNorway.js";
+
+const payload = {
+  properties: {
+    timeseries: [
+      {
+        time: "2026-10-19T12:00:00Z",
+        data: { instant: { details: { air_temperature: 18, relative_humidity: 60, wind_speed: 3 } } },
+      },
+    ],
+  },
+};
+
+let fetchMock;
+beforeEach(() => {
+  fetchMock = vi.fn(async (url) =>
+    Response.json(url.includes("api.met.no") ? payload : { timezone: url.includes("latitude=35.68") ? "Asia/Tokyo" : "" })
+  );
+  vi.stubGlobal("fetch", fetchMock);
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe("metNorwayProvider.fetchForecast", () => {
+  it("resolve o fuso de lugares com timezone auto antes de converter os horários", async () => {
+    const place = { name: "Tóquio", latitude: 35.68, longitude: 139.69, timezone: "auto" };
+    const forecast = await metNorwayProvider.fetchForecast(place);
+    expect(forecast.timezone).toBe("Asia/Tokyo");
+    expect(forecast.current.time).toBe("2026-10-19T21:00");
+    expect(forecast.utcOffsetSeconds).toBe(9 * 3600);
+  });
+
+  it("usa o fuso do lugar quando ele já é conhecido", async () => {
+    const place = { name: "Lisboa", latitude: 38.72, longitude: -9.14, timezone: "Europe/Lisbon" };
+    const forecast = await metNorwayProvider.fetchForecast(place);
+    expect(forecast.current.time).toBe("2026-10-19T13:00");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("falha (para o fallback entrar) quando o fuso não pode ser resolvido", async () => {
+    const place = { name: "Mar", latitude: -40.5, longitude: -30.5, timezone: "auto" };
+    await expect(metNorwayProvider.fetchForecast(place)).rejects.toThrow();
+  });
+});
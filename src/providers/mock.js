@@ -0,0 +1,94 @@
+import { normalizeOpenMeteo } from "./openMeteo.js";
+import fixture from "./fixtures/open-meteo-sao-paulo.json";
+import fixturePlaces from "./fixtures/places.json";
+import { foldText } from "../lib/text.js";
+import { userOffsetSeconds } from "../lib/time.js";
+
+const pad = (n) => String(n).padStart(2, "0");
+const localDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+//Desloca uma data "YYYY-MM-DD[THH:mm]" em N dias, preservando a hora
+function shiftIso(iso, days) {
+  const [date, time] = iso.split("T");
+  const d = new Date(`${date}T00:00`);
+  d.setDate(d.getDate() + days);
+  return time ? `${localDate(d)}T${time}` : localDate(d);
+}
+
+//Monta a previsão a partir do fixture, com as datas trazidas para hoje
+//e um pequeno ajuste de temperatura pela latitude para as cidades não ficarem idênticas
+function fixtureForecast(place) {
+  const first = new Date(`${fixture.daily.time[0]}T00:00`);
+  const today = new Date(`${localDate(new Date())}T00:00`);
+  const shift = Math.round((today - first) / 86400000);
+  const delta = (Math.abs(-23.55) - Math.abs(place.latitude ?? -23.55)) * 0.4;
+
+  const model = normalizeOpenMeteo(fixture);
+  const temp = (t) => (t == null ? t : Math.round((t + delta) * 10) / 10);
+
+  const hourly = model.hourly.map((h) => ({
+    ...h,
+    time: shiftIso(h.time, shift),
+    temp: temp(h.temp),
+    feels: temp(h.feels),
+  }));
+  const now = new Date();
+  const nowKey = `${localDate(now)}T${pad(now.getHours())}:00`;
+  const current = hourly.find((h) => h.time === nowKey) || hourly[0];
+  const hour = now.getHours();
+
+  return {
+    ...model,
+    provider: "mock",
+    // As datas do fixture são trazidas para o relógio do navegador, então o fuso é o dele
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    utcOffsetSeconds: userOffsetSeconds(),
+    current: {
+      time: current.time,
+      temp: current.temp,
+      feels: current.feels,
+      humidity: current.humidity,
+      wind: current.wind,
+      visibility: current.visibility,
+      precip: current.precip,
+      uv: current.uv,
+      windDir: current.windDir,
+      gusts: current.gusts,
+      pressure: current.pressure,
+      code: current.code,
+      isDay: hour >= 6 && hour < 19,
+    },
+    hourly,
+    daily: model.daily.map((d) => ({
+      ...d,
+      date: shiftIso(d.date, shift),
+      max: temp(d.max),
+      min: temp(d.min),
+      sunrise: shiftIso(d.sunrise, shift),
+      sunset: shiftIso(d.sunset, shift),
+    })),
+  };
+}
+
+//Provider sem rede: útil para desenvolvimento e demonstração offline
+export const mockProvider = {
+  id: "mock",
+  async fetchForecast(place) {
+    return fixtureForecast(place);
+  },
+  async geocode(query, count = 6) {
+    const q = foldText(query.trim());
+    return fixturePlaces.filter((p) => foldText(p.name).includes(q)).slice(0, count);
+  },
+  async reverseGeocode(lat, lon) {
+    return [{
+      id: `mock:${lat},${lon}`,
+      name: "",
+      admin1: "",
+      country: "",
+      latitude: lat,
+      longitude: lon,
+      timezone: "auto",
+    }];
+  },
+};
@@ -0,0 +1,22 @@
+import { fetchJson } from "../lib/http.js";
+
+//Condição atual em vários pontos numa única requisição (o Open-Meteo aceita listas de
+//coordenadas e responde um array na mesma ordem), independente do provider de previsão.
+//Formato: os pontos recebidos com { temp, code, isDay } acrescentados (°C; null sem dado)
+export async function fetchCurrentAt(points, { signal } = {}) {
+  if (!points.length) return [];
+  const params = new URLSearchParams({
+    latitude: points.map((p) => p.latitude.toFixed(3)).join(","),
+    longitude: points.map((p) => p.longitude.toFixed(3)).join(","),
+    current: ["temperature_2m", "weather_code", "is_day"].join(","),
+  });
+
+  const url = `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+  const raw = await fetchJson(url, { signal });
+  const list = Array.isArray(raw) ? raw : [raw];
+
+  return points.map((p, i) => {
+    const c = list[i]?.current || {};
+    return { ...p, temp: c.temperature_2m ?? null, code: c.weather_code ?? null, isDay: c.is_day ?? 1 };
+  });
+}
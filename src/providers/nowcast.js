@@ -0,0 +1,25 @@
+import { fetchJson } from "../lib/http.js";
+
+//Precipitação de 15 em 15 minutos do Open-Meteo, independente do provider de previsão.
+//Cada valor é o acumulado (mm) dos 15 minutos que TERMINAM no horário dele.
+//Formato: { timezone, utcOffsetSeconds, slots: [{ time, precip }] } com horários locais da cidade sem offset
+export async function fetchNowcast(place, { signal } = {}) {
+  const params = new URLSearchParams({
+    latitude: String(place.latitude),
+    longitude: String(place.longitude),
+    timezone: place.timezone || "auto",
+    minutely_15: "precipitation",
+    past_minutely_15: "1",
+    forecast_minutely_15: "16",
+  });
+
+  const url = `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+  const raw = await fetchJson(url, { signal });
+  const m = raw?.minutely_15 || {};
+
+  return {
+    timezone: raw?.timezone,
+    utcOffsetSeconds: raw?.utc_offset_seconds ?? 0,
+    slots: (m.time || []).map((time, i) => ({ time, precip: m.precipitation?.[i] ?? null })),
+  };
+}
@@ -0,0 +1,125 @@
+import { fetchJson, cachedResponseTime } from "../lib/http.js";
+import { geocodeOpenMeteo, reverseGeocodeOSM } from "./geocoding.js";
+
+//Converte a resposta do Open-Meteo (colunas paralelas) para o modelo do app (ver providers/index.js)
+export function normalizeOpenMeteo(raw) {
+  const c = raw?.current || {};
+  const h = raw?.hourly || {};
+  const d = raw?.daily || {};
+
+  return {
+    provider: "open-meteo",
+    timezone: raw?.timezone,
+    utcOffsetSeconds: raw?.utc_offset_seconds ?? 0,
+    current: {
+      time: c.time,
+      temp: c.temperature_2m,
+      feels: c.apparent_temperature,
+      humidity: c.relative_humidity_2m,
+      wind: c.wind_speed_10m,
+      visibility: c.visibility,
+      precip: c.precipitation,
+      uv: c.uv_index,
+      windDir: c.wind_direction_10m,
+      gusts: c.wind_gusts_10m,
+      pressure: c.pressure_msl,
+      code: c.weather_code,
+      isDay: Boolean(c.is_day),
+    },
+    hourly: (h.time || []).map((time, i) => ({
+      time,
+      temp: h.temperature_2m?.[i],
+      feels: h.apparent_temperature?.[i],
+      humidity: h.relative_humidity_2m?.[i],
+      wind: h.wind_speed_10m?.[i],
+      visibility: h.visibility?.[i],
+      pop: h.precipitation_probability?.[i],
+      precip: h.precipitation?.[i],
+      uv: h.uv_index?.[i],
+      windDir: h.wind_direction_10m?.[i],
+      gusts: h.wind_gusts_10m?.[i],
+      pressure: h.pressure_msl?.[i],
+      code: h.weather_code?.[i],
+    })),
+    daily: (d.time || []).map((date, i) => ({
+      date,
+      code: d.weather_code?.[i],
+      max: d.temperature_2m_max?.[i],
+      min: d.temperature_2m_min?.[i],
+      sunrise: d.sunrise?.[i],
+      sunset: d.sunset?.[i],
+      precip: d.precipitation_sum?.[i],
+      popMax: d.precipitation_probability_max?.[i],
+      uvMax: d.uv_index_max?.[i],
+      gustsMax: d.wind_gusts_10m_max?.[i],
+    })),
+  };
+}
+
+//URL da previsão no Open-Meteo (sempre nas unidades canônicas do app)
+function forecastUrl(place) {
+  const params = new URLSearchParams({
+    latitude: String(place.latitude),
+    longitude: String(place.longitude),
+    timezone: place.timezone || "auto",
+    temperature_unit: "celsius",
+    wind_speed_unit: "kmh",
+    precipitation_unit: "mm",
+    current: [
+      "temperature_2m",
+      "relative_humidity_2m",
+      "apparent_temperature",
+      "weather_code",
+      "wind_speed_10m",
+      "visibility",
+      "is_day",
+      "precipitation",
+      "uv_index",
+      "wind_direction_10m",
+      "wind_gusts_10m",
+      "pressure_msl",
+    ].join(","),
+    hourly: [
+      "temperature_2m",
+      "apparent_temperature",
+      "relative_humidity_2m",
+      "weather_code",
+      "wind_speed_10m",
+      "visibility",
+      "precipitation_probability",
+      "precipitation",
+      "uv_index",
+      "wind_direction_10m",
+      "wind_gusts_10m",
+      "pressure_msl",
+    ].join(","),
+    daily: [
+      "weather_code",
+      "temperature_2m_max",
+      "temperature_2m_min",
+      "sunrise",
+      "sunset",
+      "precipitation_sum",
+      "precipitation_probability_max",
+      "uv_index_max",
+      "wind_gusts_10m_max",
+    ].join(","),
+    forecast_days: "7",
+  });
+
+  return `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+}
+
+//Busca previsao no Open-Meteo
+async function fetchForecast(place, { signal, cache } = {}) {
+  const raw = await fetchJson(forecastUrl(place), { signal, cache });
+  return { ...normalizeOpenMeteo(raw), fetchedAt: cachedResponseTime(raw) };
+}
+
+export const openMeteoProvider = {
+  id: "open-meteo",
+  fetchForecast,
+  forecastUrl,
+  geocode: geocodeOpenMeteo,
+  reverseGeocode: reverseGeocodeOSM,
+};
@@ -0,0 +1,154 @@
+/* Service worker do app. Não entra no bundle: o plugin em vite.config.js injeta a lista
+   de arquivos do build em PRECACHE/VERSION e emite o resultado como dist/sw.js */
+
+const VERSION = "__SW_VERSION__";
+const PRECACHE = self.__PRECACHE_MANIFEST || [];
+
+const SHELL_CACHE = `wx-shell-${VERSION}`;
+//v2: as respostas guardadas levam FETCHED_AT_HEADER; as da v1 não, e passariam por dados da rede
+const API_CACHE = "wx-api-v2";
+const API_CACHE_MAX_ENTRIES = 60;
+const API_HOSTS = ["api.open-meteo.com", "geocoding-api.open-meteo.com", "air-quality-api.open-meteo.com", "api.met.no"];
+//Hora em que a resposta guardada veio da rede; o app (lib/http.js) a usa para tratar a cópia como cache
+const FETCHED_AT_HEADER = "X-Wx-Fetched-At";
+const TILE_CACHE = "wx-tiles-v1";
+const TILE_CACHE_MAX_ENTRIES = 500;
+const TILE_HOSTS = ["tile.openstreetmap.org"];
+const PERIODIC_SYNC_TAG = "wx-refresh-favorites";
+//URLs de previsão dos favoritos (enviadas pelo app), guardadas num cache próprio: o worker não tem localStorage
+const META_CACHE = "wx-meta-v1";
+const SYNC_URLS_KEY = "/__wx/sync-urls";
+
+self.addEventListener("install", (event) => {
+  // Sem skipWaiting: a nova versão espera o usuário aceitar o aviso de atualização
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      const stale = (k) => (k.startsWith("wx-shell-") && k !== SHELL_CACHE) || (k.startsWith("wx-api-") && k !== API_CACHE);
+      await Promise.all(keys.filter(stale).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if (event.data?.type === "SYNC_URLS") event.waitUntil(saveSyncUrls(event.data.urls));
+});
+
+async function saveSyncUrls(urls) {
+  const cache = await caches.open(META_CACHE);
+  await cache.put(SYNC_URLS_KEY, new Response(JSON.stringify(Array.isArray(urls) ? urls : [])));
+}
+
+async function readSyncUrls() {
+  const res = await (await caches.open(META_CACHE)).match(SYNC_URLS_KEY);
+  return res ? res.json() : [];
+}
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+//Cópia da resposta para guardar, marcada com a hora em que veio da rede
+async function stamped(res, fetchedAt = Date.now()) {
+  const headers = new Headers(res.headers);
+  headers.set(FETCHED_AT_HEADER, String(fetchedAt));
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+//APIs: rede primeiro (dados frescos), cache como reserva offline. A cópia guardada vai marcada,
+//então o app sabe que não é dado ao vivo. Pedidos com cache "force-cache" (o app lendo o que a
+//atualização em segundo plano trouxe) saem do cache quando houver cópia
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+  if (request.cache === "force-cache") {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+  }
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      await cache.put(request, await stamped(res.clone()));
+      trimCache(API_CACHE, API_CACHE_MAX_ENTRIES);
+    }
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+//Tiles do mapa: cache primeiro (a imagem de um tile quase não muda), rede para os que faltam
+async function tileFirst(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) {
+    await cache.put(request, res.clone());
+    trimCache(TILE_CACHE, TILE_CACHE_MAX_ENTRIES);
+  }
+  return res;
+}
+
+//App shell: cache primeiro; navegações caem no index.html quando offline
+async function shellFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === "navigate" });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    if (request.mode === "navigate") {
+      const index = await caches.match(self.registration.scope);
+      if (index) return index;
+    }
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (API_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request));
+  } else if (TILE_HOSTS.includes(url.hostname)) {
+    event.respondWith(tileFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(shellFirst(request));
+  }
+});
+
+//Atualização periódica em segundo plano: rebusca a previsão dos favoritos (as URLs que o app
+//enviou, iguais às que ele mesmo busca) e guarda no cache da API, onde o app as encontra offline.
+//As abas abertas são avisadas (com a hora gravada nas cópias) e leem as cópias com "force-cache"
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag !== PERIODIC_SYNC_TAG) return;
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(API_CACHE);
+      const urls = await readSyncUrls();
+      const at = Date.now();
+      const results = await Promise.allSettled(
+        urls.map(async (url) => {
+          const res = await fetch(url);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(url, await stamped(res, at));
+        })
+      );
+      trimCache(API_CACHE, API_CACHE_MAX_ENTRIES);
+      if (!results.some((r) => r.status === "fulfilled")) return;
+      const clients = await self.clients.matchAll({ type: "window" });
+      clients.forEach((client) => client.postMessage({ type: "FORECASTS_REFRESHED", at }));
+    })()
+  );
+});
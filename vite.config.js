@@ -1,8 +1,29 @@
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 
+// Emite o service worker (src/sw.js) com a lista de arquivos do build para precache
+function serviceWorker() {
+  return {
+    name: "weather-service-worker",
+    apply: "build",
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter((f) => !f.endsWith(".map"));
+      const precache = ["./", "manifest.webmanifest", "icon.svg", ...files];
+      const version = createHash("sha256").update(precache.join("\n")).digest("hex").slice(0, 12);
+
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace("__SW_VERSION__", version)
+        .replace("self.__PRECACHE_MANIFEST", JSON.stringify(precache));
+
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
   base: "/weather-react/",
 });